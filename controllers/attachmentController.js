@@ -0,0 +1,204 @@
+const crypto = require('crypto');
+const path = require('path');
+const { Attachment, User } = require('../models');
+const { getStorage, removeFiles } = require('../utils/storage');
+
+/**
+ * Shape an attachment for the API
+ * @param {Attachment} attachment - Attachment with uploader loaded
+ * @returns {Object} Attachment JSON
+ */
+const serializeAttachment = (attachment) => ({
+  id: attachment.id,
+  taskId: attachment.taskId,
+  fileName: attachment.fileName,
+  contentType: attachment.contentType,
+  size: attachment.size,
+  uploadedBy: attachment.uploader ? { id: attachment.uploader.id, name: attachment.uploader.name } : null,
+  url: `/api/tasks/${attachment.taskId}/attachments/${attachment.id}`,
+  createdAt: attachment.createdAt
+});
+
+/**
+ * Find an attachment on the task loaded by authorizeTask
+ * @param {Object} req - Express request object
+ * @returns {Promise<Attachment|null>} Attachment or null if not on this task
+ */
+const findAttachment = (req) =>
+  Attachment.findOne({
+    where: {
+      id: req.params.attachmentId,
+      taskId: req.task.id
+    }
+  });
+
+/**
+ * Build a storage key for a new file
+ * Random so keys cannot be guessed; keeps a simple extension for convenience
+ * @param {number} taskId - Task the file belongs to
+ * @param {string} fileName - Original file name
+ * @returns {string} Storage key
+ */
+const storageKeyFor = (taskId, fileName) => {
+  const ext = path.extname(fileName).toLowerCase();
+  return `tasks/${taskId}/${crypto.randomUUID()}${/^\.[a-z0-9]{1,10}$/.test(ext) ? ext : ''}`;
+};
+
+/**
+ * @route   GET /api/tasks/:id/attachments
+ * @desc    Get a task's attachments, newest first
+ * @access  Private (viewer)
+ */
+const getAttachments = async (req, res) => {
+  try {
+    const attachments = await Attachment.findAll({
+      where: { taskId: req.task.id },
+      include: [{ model: User, as: 'uploader', attributes: ['id', 'name'] }],
+      order: [['createdAt', 'DESC'], ['id', 'DESC']]
+    });
+
+    res.status(200).json({
+      success: true,
+      count: attachments.length,
+      attachments: attachments.map(serializeAttachment)
+    });
+  } catch (error) {
+    console.error('Get attachments error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Could not fetch attachments.'
+    });
+  }
+};
+
+/**
+ * @route   POST /api/tasks/:id/attachments
+ * @desc    Upload an attachment (multipart/form-data, field "file")
+ * @access  Private (editor)
+ */
+const createAttachment = async (req, res) => {
+  try {
+    // File is parsed and checked by uploadAttachment
+    const { originalname, mimetype, size, buffer } = req.file;
+    const storageKey = storageKeyFor(req.task.id, originalname);
+
+    await getStorage().put(storageKey, buffer, { contentType: mimetype });
+
+    let attachment;
+    try {
+      attachment = await Attachment.create({
+        taskId: req.task.id,
+        userId: req.user.id,
+        fileName: originalname,
+        contentType: mimetype,
+        size,
+        storageKey
+      });
+    } catch (error) {
+      // Do not leave an orphaned file behind
+      await removeFiles([storageKey]);
+      throw error;
+    }
+    attachment.uploader = req.user;
+
+    res.status(201).json({
+      success: true,
+      message: 'File uploaded successfully',
+      attachment: serializeAttachment(attachment)
+    });
+  } catch (error) {
+    console.error('Create attachment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Could not upload file.'
+    });
+  }
+};
+
+/**
+ * @route   GET /api/tasks/:id/attachments/:attachmentId
+ * @desc    Download an attachment
+ * @access  Private (viewer)
+ */
+const downloadAttachment = async (req, res) => {
+  try {
+    const attachment = await findAttachment(req);
+
+    if (!attachment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Attachment not found.'
+      });
+    }
+
+    let stream;
+    try {
+      stream = await getStorage().get(attachment.storageKey);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      return res.status(404).json({
+        success: false,
+        message: 'Attachment file is missing from storage.'
+      });
+    }
+
+    // Always download (never render inline) and never let the browser guess the type
+    res.attachment(attachment.fileName);
+    res.set({
+      'Content-Type': attachment.contentType,
+      'Content-Length': attachment.size,
+      'X-Content-Type-Options': 'nosniff'
+    });
+
+    stream.on('error', (error) => {
+      console.error('Download attachment stream error:', error);
+      res.destroy(error);
+    });
+    stream.pipe(res);
+  } catch (error) {
+    console.error('Download attachment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Could not download file.'
+    });
+  }
+};
+
+/**
+ * @route   DELETE /api/tasks/:id/attachments/:attachmentId
+ * @desc    Delete an attachment and its file
+ * @access  Private (editor)
+ */
+const deleteAttachment = async (req, res) => {
+  try {
+    const attachment = await findAttachment(req);
+
+    if (!attachment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Attachment not found.'
+      });
+    }
+
+    await attachment.destroy();
+    await removeFiles([attachment.storageKey]);
+
+    res.status(200).json({
+      success: true,
+      message: 'Attachment deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete attachment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Could not delete attachment.'
+    });
+  }
+};
+
+module.exports = {
+  getAttachments,
+  createAttachment,
+  downloadAttachment,
+  deleteAttachment
+};
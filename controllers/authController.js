@@ -1,45 +1,134 @@
 const jwt = require('jsonwebtoken');
-const { User } = require('../models');
+const { User, Session, UserToken, Task } = require('../models');
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/db');
+const { sendMail } = require('../utils/mailer');
+const { verificationEmail, passwordResetEmail } = require('../utils/mailer/templates');
+const {
+  ACCESS_TOKEN_TTL_MS,
+  REFRESH_TOKEN_TTL_MS,
+  PASSWORD_RESET_MINUTES,
+  PASSWORD_RESET_TTL_MS,
+  EMAIL_VERIFICATION_TTL_MS,
+  hashToken,
+  generateSecret,
+  generateAccessToken,
+  buildRefreshToken,
+  parseRefreshToken,
+  matchesHash
+} = require('../utils/tokens');
 
 /**
- * Generate JWT Token
- * @param {number} id - User ID
- * @returns {string} JWT token with 7 day expiry
- */
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE || '7d'
-  });
-};
-
-/**
- * Send token in httpOnly cookie
+ * Cookie options for auth cookies
  * Security benefits:
  * - httpOnly: true -> Prevents XSS attacks (not accessible via JavaScript)
  * - secure: true -> Only sent over HTTPS in production
  * - sameSite: 'strict' -> Prevents CSRF attacks
- * 
+ *
+ * @param {number} maxAge - Cookie lifetime in milliseconds
+ * @param {string} path - Cookie path (refresh token is only sent to /api/auth)
+ * @returns {Object} Cookie options
+ */
+const cookieOptions = (maxAge, path = '/') => ({
+  expires: new Date(Date.now() + maxAge),
+  httpOnly: true, // Cookie not accessible via JavaScript
+  sameSite: 'strict', // Strict same-site policy
+  secure: process.env.NODE_ENV === 'production', // HTTPS only in production
+  path
+});
+
+/**
+ * Clear access and refresh token cookies
  * @param {Object} res - Express response object
- * @param {string} token - JWT token
- */
-const sendTokenResponse = (res, token, statusCode, user) => {
-  const options = {
-    expires: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000), // 7 days
-    httpOnly: true, // Cookie not accessible via JavaScript
-    sameSite: 'strict', // Strict same-site policy
-    secure: process.env.NODE_ENV === 'production' // HTTPS only in production
-  };
+ */
+const clearAuthCookies = (res) => {
+  res.cookie('token', 'none', cookieOptions(10 * 1000)); // Expire in 10 seconds
+  res.cookie('refreshToken', 'none', cookieOptions(10 * 1000, '/api/auth'));
+};
 
-  res.status(statusCode).cookie('token', token, options).json({
-    success: true,
-    message: statusCode === 201 ? 'Registration successful' : 'Login successful',
-    token, // Also send in response for API clients
-    user: {
-      id: user.id,
-      name: user.name,
-      email: user.email
-    }
+/**
+ * Start a new session for a user (one per login / device)
+ * @param {Object} req - Express request object (for user agent and IP)
+ * @param {Object} user - Authenticated user
+ * @returns {Promise<{accessToken: string, refreshToken: string}>} Issued tokens
+ */
+const createSession = async (req, user) => {
+  const secret = generateSecret();
+
+  const session = await Session.create({
+    userId: user.id,
+    refreshTokenHash: hashToken(secret),
+    userAgent: (req.get('user-agent') || '').slice(0, 255) || null,
+    ipAddress: req.ip || null,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS)
   });
+
+  return {
+    accessToken: generateAccessToken(user.id, session.id),
+    refreshToken: buildRefreshToken(session.id, secret)
+  };
+};
+
+/**
+ * Whether login requires a verified email (REQUIRE_EMAIL_VERIFICATION=true)
+ * @returns {boolean}
+ */
+const verificationRequired = () => process.env.REQUIRE_EMAIL_VERIFICATION === 'true';
+
+/**
+ * Issue an email verification token and email it to the user
+ * Failures are logged, not thrown: the user can request a new link
+ * @param {Object} user - User to verify
+ */
+const sendVerificationEmail = async (user) => {
+  try {
+    const token = await UserToken.issue(user.id, 'email_verification', EMAIL_VERIFICATION_TTL_MS);
+    await sendMail({ to: user.email, ...verificationEmail(user, token) });
+  } catch (error) {
+    console.error('Send verification email error:', error);
+  }
+};
+
+/**
+ * Issue a password reset token and email it to the user
+ * Failures are logged, not thrown, so callers may skip awaiting it
+ * @param {Object} user - User who forgot their password
+ */
+const sendPasswordResetEmail = async (user) => {
+  try {
+    const token = await UserToken.issue(user.id, 'password_reset', PASSWORD_RESET_TTL_MS);
+    await sendMail({ to: user.email, ...passwordResetEmail(user, token, PASSWORD_RESET_MINUTES) });
+  } catch (error) {
+    console.error('Send password reset email error:', error);
+  }
+};
+
+/**
+ * Send access and refresh tokens in httpOnly cookies
+ *
+ * @param {Object} res - Express response object
+ * @param {Object} tokens - Access and refresh tokens
+ * @param {number} statusCode - HTTP status code
+ * @param {Object} user - Authenticated user
+ * @param {string} message - Response message
+ */
+const sendTokenResponse = (res, tokens, statusCode, user, message) => {
+  res
+    .status(statusCode)
+    .cookie('token', tokens.accessToken, cookieOptions(ACCESS_TOKEN_TTL_MS))
+    .cookie('refreshToken', tokens.refreshToken, cookieOptions(REFRESH_TOKEN_TTL_MS, '/api/auth'))
+    .json({
+      success: true,
+      message,
+      token: tokens.accessToken, // Also send in response for API clients
+      refreshToken: tokens.refreshToken,
+      user: {
+        id: user.id,
+        name: user.name,
+        email: user.email,
+        emailVerified: user.emailVerified
+      }
+    });
 };
 
 /**
@@ -68,9 +157,25 @@ const register = async (req, res) => {
       password
     });
 
-    // Generate token and send response
-    const token = generateToken(user.id);
-    sendTokenResponse(res, token, 201, user);
+    await sendVerificationEmail(user);
+
+    // Unverified users cannot log in yet, so don't start a session
+    if (verificationRequired()) {
+      return res.status(201).json({
+        success: true,
+        message: 'Registration successful. Please check your email to verify your account.',
+        user: {
+          id: user.id,
+          name: user.name,
+          email: user.email,
+          emailVerified: user.emailVerified
+        }
+      });
+    }
+
+    // Start session and send tokens
+    const tokens = await createSession(req, user);
+    sendTokenResponse(res, tokens, 201, user, 'Registration successful');
 
   } catch (error) {
     console.error('Registration error:', error);
@@ -123,9 +228,16 @@ const login = async (req, res) => {
       });
     }
 
-    // Generate token and send response
-    const token = generateToken(user.id);
-    sendTokenResponse(res, token, 200, user);
+    if (verificationRequired() && !user.emailVerified) {
+      return res.status(403).json({
+        success: false,
+        message: 'Please verify your email address before logging in.'
+      });
+    }
+
+    // Start session and send tokens
+    const tokens = await createSession(req, user);
+    sendTokenResponse(res, tokens, 200, user, 'Login successful');
 
   } catch (error) {
     console.error('Login error:', error);
@@ -136,17 +248,151 @@ const login = async (req, res) => {
   }
 };
 
+// Rotated-out refresh tokens remembered per session for reuse detection;
+// replaying an older one is rejected without revoking the session
+const ROTATED_HASHES_KEPT = 50;
+
+/**
+ * @route   POST /api/auth/refresh
+ * @desc    Exchange a refresh token for a new access/refresh token pair
+ * @access  Public (requires refresh token cookie or body)
+ */
+const refresh = async (req, res) => {
+  try {
+    const parsed = parseRefreshToken(req.cookies.refreshToken || req.body.refreshToken);
+
+    if (!parsed) {
+      return res.status(401).json({
+        success: false,
+        message: 'Refresh token missing or invalid. Please login again.'
+      });
+    }
+
+    const session = await Session.findByPk(parsed.sessionId);
+
+    if (!session || !session.isActive()) {
+      clearAuthCookies(res);
+      return res.status(401).json({
+        success: false,
+        message: 'Session has expired or been revoked. Please login again.'
+      });
+    }
+
+    if (!matchesHash(parsed.secret, session.refreshTokenHash)) {
+      // An old token from this family was presented: assume it was stolen
+      if (session.rotatedTokenHashes.includes(hashToken(parsed.secret))) {
+        await session.revoke('reuse_detected');
+        clearAuthCookies(res);
+        return res.status(401).json({
+          success: false,
+          message: 'Refresh token reuse detected. Session has been revoked. Please login again.'
+        });
+      }
+
+      // A secret this session never issued proves nothing: leave the session alone
+      return res.status(401).json({
+        success: false,
+        message: 'Refresh token missing or invalid. Please login again.'
+      });
+    }
+
+    // Rotate atomically so two concurrent refreshes cannot both succeed
+    const secret = generateSecret();
+    const [rotated] = await Session.update(
+      {
+        refreshTokenHash: hashToken(secret),
+        rotatedTokenHashes: [...session.rotatedTokenHashes, session.refreshTokenHash].slice(-ROTATED_HASHES_KEPT),
+        lastUsedAt: new Date(),
+        expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS)
+      },
+      {
+        where: {
+          id: session.id,
+          refreshTokenHash: session.refreshTokenHash,
+          revokedAt: null
+        }
+      }
+    );
+
+    if (!rotated) {
+      await session.revoke('reuse_detected');
+      clearAuthCookies(res);
+      return res.status(401).json({
+        success: false,
+        message: 'Refresh token reuse detected. Session has been revoked. Please login again.'
+      });
+    }
+
+    const user = await User.findByPk(session.userId);
+
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: 'User not found. Please login again.'
+      });
+    }
+
+    const tokens = {
+      accessToken: generateAccessToken(user.id, session.id),
+      refreshToken: buildRefreshToken(session.id, secret)
+    };
+    sendTokenResponse(res, tokens, 200, user, 'Token refreshed');
+
+  } catch (error) {
+    console.error('Refresh error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during token refresh. Please try again.'
+    });
+  }
+};
+
+/**
+ * Find the session a logout request belongs to
+ * Access tokens expire long before the session does, so an expired one is
+ * fine here: the refresh token is tried first, then the access token with
+ * its expiry ignored (its signature is still checked)
+ * @param {Object} req - Express request
+ * @returns {Promise<Session|null>} Session, or null if none can be identified
+ */
+const findLogoutSession = async (req) => {
+  const parsed = parseRefreshToken(req.cookies.refreshToken || (req.body && req.body.refreshToken));
+  if (parsed) {
+    const session = await Session.findByPk(parsed.sessionId);
+    if (session && matchesHash(parsed.secret, session.refreshTokenHash)) return session;
+  }
+
+  const { authorization } = req.headers;
+  const token =
+    req.cookies.token ||
+    (authorization && authorization.startsWith('Bearer') ? authorization.split(' ')[1] : null);
+  if (!token) return null;
+
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET, { ignoreExpiration: true });
+  } catch (error) {
+    return null;
+  }
+
+  return decoded.sid ? Session.findOne({ where: { id: decoded.sid, userId: decoded.id } }) : null;
+};
+
 /**
  * @route   POST /api/auth/logout
- * @desc    Logout user (clear cookie)
- * @access  Private
+ * @desc    Logout user (revoke current session and clear cookies)
+ * @access  Public (the session is taken from the refresh or access token,
+ *          which may have expired)
  */
 const logout = async (req, res) => {
   try {
-    res.cookie('token', 'none', {
-      expires: new Date(Date.now() + 10 * 1000), // Expire in 10 seconds
-      httpOnly: true
-    });
+    const session = await findLogoutSession(req);
+    if (session) {
+      await session.revoke('logout');
+    }
+
+    // Always clear the cookies, even if no session could be identified
+    clearAuthCookies(res);
 
     res.status(200).json({
       success: true,
@@ -178,6 +424,7 @@ const getMe = async (req, res) => {
         id: user.id,
         name: user.name,
         email: user.email,
+        emailVerified: user.emailVerified,
         createdAt: user.createdAt
       }
     });
@@ -190,10 +437,439 @@ const getMe = async (req, res) => {
   }
 };
 
+/**
+ * @route   PATCH /api/auth/me
+ * @desc    Update current user's name and/or email
+ *          Changing email marks the account unverified and sends a new verification link
+ * @access  Private
+ */
+const updateMe = async (req, res) => {
+  try {
+    const { name, email } = req.body;
+
+    const user = await User.findByPk(req.user.id);
+
+    if (name !== undefined) {
+      user.name = name;
+    }
+
+    const emailChanged = email !== undefined && email !== user.email;
+
+    if (emailChanged) {
+      const existingUser = await User.findOne({ where: { email } });
+
+      if (existingUser) {
+        return res.status(400).json({
+          success: false,
+          message: 'Email already registered to another account.'
+        });
+      }
+
+      user.email = email;
+      user.emailVerified = false;
+      user.emailVerifiedAt = null;
+    }
+
+    await user.save();
+
+    if (emailChanged) {
+      await sendVerificationEmail(user);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: emailChanged
+        ? 'Profile updated. Please check your email to verify your new address.'
+        : 'Profile updated successfully',
+      user: {
+        id: user.id,
+        name: user.name,
+        email: user.email,
+        emailVerified: user.emailVerified,
+        createdAt: user.createdAt
+      }
+    });
+  } catch (error) {
+    console.error('Update me error:', error);
+
+    // Handle Sequelize validation errors
+    if (error.name === 'SequelizeValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.errors.map(err => ({
+          field: err.path,
+          message: err.message
+        }))
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Could not update profile.'
+    });
+  }
+};
+
+/**
+ * @route   PUT /api/auth/me/password
+ * @desc    Change password (requires current password)
+ *          Every other session is revoked; the current one stays logged in
+ * @access  Private
+ */
+const changePassword = async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    const user = await User.findByPk(req.user.id);
+
+    const isPasswordValid = await user.comparePassword(currentPassword);
+
+    if (!isPasswordValid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Current password is incorrect.'
+      });
+    }
+
+    // Password is hashed by the beforeUpdate hook
+    user.password = newPassword;
+    await user.save();
+
+    await Session.update(
+      { revokedAt: new Date(), revokedReason: 'password_change' },
+      {
+        where: {
+          userId: user.id,
+          id: { [Op.ne]: req.sessionId },
+          revokedAt: null
+        },
+        individualHooks: true
+      }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Password changed successfully. Other devices have been logged out.'
+    });
+  } catch (error) {
+    console.error('Change password error:', error);
+
+    // Handle Sequelize validation errors
+    if (error.name === 'SequelizeValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.errors.map(err => ({
+          field: err.path,
+          message: err.message
+        }))
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Could not change password.'
+    });
+  }
+};
+
+/**
+ * @route   DELETE /api/auth/me
+ * @desc    Delete current user's account and all their tasks (requires password)
+ * @access  Private
+ */
+const deleteMe = async (req, res) => {
+  try {
+    const user = await User.findByPk(req.user.id);
+
+    const isPasswordValid = await user.comparePassword(req.body.password);
+
+    if (!isPasswordValid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password is incorrect.'
+      });
+    }
+
+    // Tasks are purged first so their attachment files are removed from storage;
+    // sessions are revoked so their open event streams close
+    await sequelize.transaction(async (transaction) => {
+      await Task.purge({ userId: user.id }, { transaction });
+      await Session.update(
+        { revokedAt: new Date(), revokedReason: 'account_deleted' },
+        { where: { userId: user.id, revokedAt: null }, individualHooks: true, transaction }
+      );
+      await user.destroy({ transaction });
+    });
+
+    clearAuthCookies(res);
+
+    res.status(200).json({
+      success: true,
+      message: 'Account deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete me error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Could not delete account.'
+    });
+  }
+};
+
+/**
+ * @route   POST /api/auth/verify-email
+ * @desc    Verify email address using the emailed token
+ * @access  Public
+ */
+const verifyEmail = async (req, res) => {
+  try {
+    const userToken = await UserToken.consume(req.body.token, 'email_verification');
+
+    if (!userToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification link is invalid or has expired.'
+      });
+    }
+
+    await User.update(
+      { emailVerified: true, emailVerifiedAt: new Date() },
+      { where: { id: userToken.userId } }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Email verified successfully'
+    });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during email verification. Please try again.'
+    });
+  }
+};
+
+/**
+ * @route   POST /api/auth/resend-verification
+ * @desc    Send a new email verification link
+ * @access  Public
+ */
+const resendVerification = async (req, res) => {
+  try {
+    const user = await User.findOne({ where: { email: req.body.email } });
+
+    // Not awaited: waiting for the mail server only when the account exists
+    // would tell registered emails apart by response time
+    if (user && !user.emailVerified) {
+      sendVerificationEmail(user);
+    }
+
+    // Same response either way so emails cannot be enumerated
+    res.status(200).json({
+      success: true,
+      message: 'If an unverified account exists for that email, a verification link has been sent.'
+    });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Please try again.'
+    });
+  }
+};
+
+/**
+ * @route   POST /api/auth/forgot-password
+ * @desc    Email a password reset link
+ * @access  Public
+ */
+const forgotPassword = async (req, res) => {
+  try {
+    const user = await User.findOne({ where: { email: req.body.email } });
+
+    // Not awaited, so the response takes as long whether or not the account exists
+    if (user) {
+      sendPasswordResetEmail(user);
+    }
+
+    // Same response either way so emails cannot be enumerated
+    res.status(200).json({
+      success: true,
+      message: 'If an account exists for that email, a password reset link has been sent.'
+    });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Could not send password reset email.'
+    });
+  }
+};
+
+/**
+ * @route   POST /api/auth/reset-password
+ * @desc    Set a new password using the emailed token
+ * @access  Public
+ */
+const resetPassword = async (req, res) => {
+  try {
+    const userToken = await UserToken.consume(req.body.token, 'password_reset');
+
+    if (!userToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password reset link is invalid or has expired.'
+      });
+    }
+
+    const user = await User.findByPk(userToken.userId);
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password reset link is invalid or has expired.'
+      });
+    }
+
+    // Password is hashed by the beforeUpdate hook
+    user.password = req.body.password;
+
+    // Receiving the reset email proves ownership of the address
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+
+    await user.save();
+
+    // Log out every device that may have used the old password
+    await Session.update(
+      { revokedAt: new Date(), revokedReason: 'password_reset' },
+      { where: { userId: user.id, revokedAt: null }, individualHooks: true }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Password reset successful. Please login with your new password.'
+    });
+  } catch (error) {
+    console.error('Reset password error:', error);
+
+    // Handle Sequelize validation errors
+    if (error.name === 'SequelizeValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.errors.map(err => ({
+          field: err.path,
+          message: err.message
+        }))
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error during password reset. Please try again.'
+    });
+  }
+};
+
+/**
+ * @route   GET /api/auth/sessions
+ * @desc    List active sessions (logged-in devices) for current user
+ * @access  Private
+ */
+const getSessions = async (req, res) => {
+  try {
+    const sessions = await Session.findAll({
+      where: {
+        userId: req.user.id,
+        revokedAt: null,
+        expiresAt: { [Op.gt]: new Date() }
+      },
+      order: [['lastUsedAt', 'DESC']]
+    });
+
+    res.status(200).json({
+      success: true,
+      count: sessions.length,
+      sessions: sessions.map(session => ({
+        id: session.id,
+        userAgent: session.userAgent,
+        ipAddress: session.ipAddress,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        expiresAt: session.expiresAt,
+        current: session.id === req.sessionId
+      }))
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Could not fetch sessions.'
+    });
+  }
+};
+
+/**
+ * @route   DELETE /api/auth/sessions/:id
+ * @desc    Revoke one of the current user's sessions (log out a device)
+ * @access  Private
+ */
+const revokeSession = async (req, res) => {
+  try {
+    const session = await Session.findOne({
+      where: {
+        id: req.params.id,
+        userId: req.user.id // Ensure user owns the session
+      }
+    });
+
+    if (!session || !session.isActive()) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found or already revoked.'
+      });
+    }
+
+    await session.revoke('revoked');
+
+    // Revoking the current session is the same as logging out
+    if (session.id === req.sessionId) {
+      clearAuthCookies(res);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Session revoked successfully'
+    });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Could not revoke session.'
+    });
+  }
+};
+
 module.exports = {
   register,
   login,
+  refresh,
   logout,
-  getMe
+  getMe,
+  updateMe,
+  changePassword,
+  deleteMe,
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword,
+  getSessions,
+  revokeSession
 };
 
@@ -0,0 +1,172 @@
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/db');
+const { Task, Tag, CalendarToken } = require('../models');
+const { accessibleTasksWhere } = require('../utils/permissions');
+const { calendarStart, calendarEnd, taskEvent } = require('../utils/icalendar');
+
+// Tasks due this many days ago or later are in the feed
+const FEED_PAST_DAYS = 90;
+
+// How often subscribers are asked to refresh the feed
+const FEED_REFRESH_INTERVAL = 'PT1H';
+
+/**
+ * Public URL of a calendar feed
+ * Uses API_URL when set (e.g. behind a proxy), otherwise the request host
+ * @param {Object} req - Express request
+ * @param {string} token - Plain feed token
+ * @returns {{url: string, webcalUrl: string}} https and webcal URLs
+ */
+const feedUrls = (req, token) => {
+  const base = (process.env.API_URL || `${req.protocol}://${req.get('host')}`).replace(/\/+$/, '');
+  const url = `${base}/api/calendar/${token}.ics`;
+  return { url, webcalUrl: url.replace(/^https?:/, 'webcal:') };
+};
+
+/**
+ * @route   GET /api/calendar/:token.ics
+ * @desc    iCalendar feed of the user's tasks as all-day events on their due dates
+ * @access  Public (the token in the URL identifies the user)
+ */
+const getCalendarFeed = async (req, res) => {
+  try {
+    const calendarToken = await CalendarToken.findByToken(req.params.token);
+
+    if (!calendarToken) {
+      return res.status(404).json({
+        success: false,
+        message: 'Calendar feed not found.'
+      });
+    }
+
+    const tasks = await Task.findAll({
+      where: {
+        [Op.and]: [
+          accessibleTasksWhere(calendarToken.userId),
+          { status: { [Op.ne]: 'cancelled' } },
+          { endDate: { [Op.gte]: sequelize.literal(`CURRENT_DATE - ${FEED_PAST_DAYS}`) } }
+        ]
+      },
+      include: [
+        {
+          model: Tag,
+          as: 'tags',
+          attributes: ['name'],
+          through: { attributes: [] }
+        }
+      ],
+      order: [
+        ['endDate', 'ASC'],
+        ['id', 'ASC']
+      ]
+    });
+
+    await calendarToken.update({ lastUsedAt: new Date() });
+
+    res.status(200);
+    res.type('text/calendar; charset=utf-8');
+    res.set('Cache-Control', 'private, max-age=300');
+    res.send(
+      calendarStart('Tasks', FEED_REFRESH_INTERVAL) +
+        tasks.map((task) => taskEvent(task.toJSON())).join('') +
+        calendarEnd()
+    );
+  } catch (error) {
+    console.error('Calendar feed error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Could not build calendar feed.'
+    });
+  }
+};
+
+/**
+ * @route   GET /api/auth/calendar-token
+ * @desc    Whether the user has a calendar feed URL (the URL itself is
+ *          only shown when it is created)
+ * @access  Private
+ */
+const getCalendarToken = async (req, res) => {
+  try {
+    const calendarToken = await CalendarToken.findOne({ where: { userId: req.user.id } });
+
+    res.status(200).json({
+      success: true,
+      calendarFeed: {
+        active: Boolean(calendarToken),
+        createdAt: calendarToken ? calendarToken.createdAt : null,
+        lastUsedAt: calendarToken ? calendarToken.lastUsedAt : null
+      }
+    });
+  } catch (error) {
+    console.error('Get calendar token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Could not fetch calendar feed.'
+    });
+  }
+};
+
+/**
+ * @route   POST /api/auth/calendar-token/rotate
+ * @desc    Create a calendar feed URL, replacing the previous one
+ * @access  Private
+ */
+const rotateCalendarToken = async (req, res) => {
+  try {
+    const { token, calendarToken } = await CalendarToken.rotate(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Calendar feed URL created. Copy it now; it will not be shown again.',
+      calendarFeed: {
+        active: true,
+        ...feedUrls(req, token),
+        createdAt: calendarToken.createdAt,
+        lastUsedAt: null
+      }
+    });
+  } catch (error) {
+    console.error('Rotate calendar token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Could not create calendar feed.'
+    });
+  }
+};
+
+/**
+ * @route   DELETE /api/auth/calendar-token
+ * @desc    Revoke the calendar feed URL
+ * @access  Private
+ */
+const revokeCalendarToken = async (req, res) => {
+  try {
+    const revoked = await CalendarToken.destroy({ where: { userId: req.user.id } });
+
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        message: 'No calendar feed to revoke.'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Calendar feed URL revoked'
+    });
+  } catch (error) {
+    console.error('Revoke calendar token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Could not revoke calendar feed.'
+    });
+  }
+};
+
+module.exports = {
+  getCalendarFeed,
+  getCalendarToken,
+  rotateCalendarToken,
+  revokeCalendarToken
+};
@@ -0,0 +1,232 @@
+const { ChecklistItem } = require('../models');
+const { sequelize } = require('../config/db');
+
+/**
+ * Find a checklist item belonging to the task loaded by authorizeTask
+ * @param {Object} req - Express request object
+ * @returns {Promise<ChecklistItem|null>} Item or null if not on this task
+ */
+const findItem = (req) =>
+  ChecklistItem.findOne({
+    where: {
+      id: req.params.itemId,
+      taskId: req.task.id
+    }
+  });
+
+/**
+ * @route   GET /api/tasks/:id/checklist
+ * @desc    Get checklist items of a task in order
+ * @access  Private (viewer)
+ */
+const getChecklist = async (req, res) => {
+  try {
+    const items = await ChecklistItem.findAll({
+      where: { taskId: req.task.id },
+      order: [['position', 'ASC'], ['id', 'ASC']]
+    });
+
+    res.status(200).json({
+      success: true,
+      count: items.length,
+      items
+    });
+  } catch (error) {
+    console.error('Get checklist error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Could not fetch checklist.'
+    });
+  }
+};
+
+/**
+ * @route   POST /api/tasks/:id/checklist
+ * @desc    Add checklist item (appended unless position is given)
+ * @access  Private (editor)
+ */
+const createChecklistItem = async (req, res) => {
+  try {
+    const { content, isChecked, position } = req.body;
+
+    const nextPosition =
+      position !== undefined
+        ? position
+        : ((await ChecklistItem.max('position', { where: { taskId: req.task.id } })) ?? -1) + 1;
+
+    const item = await ChecklistItem.create({
+      taskId: req.task.id,
+      content,
+      isChecked,
+      position: nextPosition
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Checklist item created successfully',
+      item
+    });
+  } catch (error) {
+    console.error('Create checklist item error:', error);
+
+    // Handle Sequelize validation errors
+    if (error.name === 'SequelizeValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.errors.map(err => ({
+          field: err.path,
+          message: err.message
+        }))
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Could not create checklist item.'
+    });
+  }
+};
+
+/**
+ * @route   PUT /api/tasks/:id/checklist/:itemId
+ * @desc    Update checklist item (content, checked state, position)
+ * @access  Private (editor)
+ */
+const updateChecklistItem = async (req, res) => {
+  try {
+    const { content, isChecked, position } = req.body;
+
+    const item = await findItem(req);
+
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: 'Checklist item not found.'
+      });
+    }
+
+    item.content = content || item.content;
+    item.isChecked = isChecked !== undefined ? isChecked : item.isChecked;
+    item.position = position !== undefined ? position : item.position;
+
+    await item.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Checklist item updated successfully',
+      item
+    });
+  } catch (error) {
+    console.error('Update checklist item error:', error);
+
+    // Handle Sequelize validation errors
+    if (error.name === 'SequelizeValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.errors.map(err => ({
+          field: err.path,
+          message: err.message
+        }))
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Could not update checklist item.'
+    });
+  }
+};
+
+/**
+ * @route   PUT /api/tasks/:id/checklist/reorder
+ * @desc    Reorder all checklist items of a task
+ * @access  Private (editor)
+ * @body    itemIds - every item ID of the task in the new order
+ */
+const reorderChecklist = async (req, res) => {
+  try {
+    const { itemIds } = req.body;
+
+    const items = await ChecklistItem.findAll({
+      where: { taskId: req.task.id },
+      attributes: ['id']
+    });
+
+    const currentIds = items.map((item) => item.id).sort((a, b) => a - b);
+    const requestedIds = [...itemIds].sort((a, b) => a - b);
+
+    if (
+      currentIds.length !== requestedIds.length ||
+      currentIds.some((id, index) => id !== requestedIds[index])
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: 'itemIds must list every checklist item of the task exactly once.'
+      });
+    }
+
+    await sequelize.transaction(async (transaction) => {
+      for (const [position, id] of itemIds.entries()) {
+        await ChecklistItem.update({ position }, { where: { id }, transaction });
+      }
+    });
+
+    const reordered = await ChecklistItem.findAll({
+      where: { taskId: req.task.id },
+      order: [['position', 'ASC']]
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Checklist reordered successfully',
+      items: reordered
+    });
+  } catch (error) {
+    console.error('Reorder checklist error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Could not reorder checklist.'
+    });
+  }
+};
+
+/**
+ * @route   DELETE /api/tasks/:id/checklist/:itemId
+ * @desc    Delete checklist item
+ * @access  Private (editor)
+ */
+const deleteChecklistItem = async (req, res) => {
+  try {
+    const item = await findItem(req);
+
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: 'Checklist item not found.'
+      });
+    }
+
+    await item.destroy();
+
+    res.status(200).json({
+      success: true,
+      message: 'Checklist item deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete checklist item error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Could not delete checklist item.'
+    });
+  }
+};
+
+module.exports = {
+  getChecklist,
+  createChecklistItem,
+  updateChecklistItem,
+  reorderChecklist,
+  deleteChecklistItem
+};
@@ -0,0 +1,209 @@
+const { Comment, User } = require('../models');
+
+/**
+ * Shape a comment for the API
+ * @param {Comment} comment - Comment with author loaded
+ * @returns {Object} Comment JSON
+ */
+const serializeComment = (comment) => ({
+  id: comment.id,
+  taskId: comment.taskId,
+  body: comment.body,
+  bodyHtml: comment.bodyHtml,
+  author: comment.author ? { id: comment.author.id, name: comment.author.name } : null,
+  editedAt: comment.editedAt,
+  createdAt: comment.createdAt,
+  updatedAt: comment.updatedAt
+});
+
+/**
+ * Find a comment on the task loaded by authorizeTask and check its author
+ * Sends 404 if it is not on this task, 403 if it belongs to someone else
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {string} action - Verb for the error message (edit, delete)
+ * @returns {Promise<Comment|null>} Comment, or null if a response was sent
+ */
+const findOwnComment = async (req, res, action) => {
+  const comment = await Comment.findOne({
+    where: { id: req.params.commentId, taskId: req.task.id }
+  });
+
+  if (!comment) {
+    res.status(404).json({
+      success: false,
+      message: 'Comment not found.'
+    });
+    return null;
+  }
+
+  if (comment.userId !== req.user.id) {
+    res.status(403).json({
+      success: false,
+      message: `You can only ${action} your own comments.`
+    });
+    return null;
+  }
+
+  return comment;
+};
+
+/**
+ * @route   GET /api/tasks/:id/comments
+ * @desc    Get a task's comments, oldest first, with pagination
+ * @access  Private (viewer)
+ */
+const getComments = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+    const offset = (page - 1) * limit;
+
+    const { count, rows: comments } = await Comment.findAndCountAll({
+      where: { taskId: req.task.id },
+      include: [{ model: User, as: 'author', attributes: ['id', 'name'] }],
+      limit,
+      offset,
+      order: [
+        ['createdAt', 'ASC'],
+        ['id', 'ASC']
+      ]
+    });
+
+    const totalPages = Math.ceil(count / limit);
+
+    res.status(200).json({
+      success: true,
+      count: comments.length,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalComments: count,
+        limit,
+        hasNext: page < totalPages,
+        hasPrev: page > 1
+      },
+      comments: comments.map(serializeComment)
+    });
+  } catch (error) {
+    console.error('Get comments error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Could not fetch comments.'
+    });
+  }
+};
+
+/**
+ * @route   POST /api/tasks/:id/comments
+ * @desc    Comment on a task (markdown, rendered and sanitized by the Comment model)
+ * @access  Private (viewer)
+ */
+const createComment = async (req, res) => {
+  try {
+    const comment = await Comment.create({
+      taskId: req.task.id,
+      userId: req.user.id,
+      body: req.body.body
+    });
+    comment.author = req.user;
+
+    res.status(201).json({
+      success: true,
+      message: 'Comment added successfully',
+      comment: serializeComment(comment)
+    });
+  } catch (error) {
+    console.error('Create comment error:', error);
+
+    // Handle Sequelize validation errors
+    if (error.name === 'SequelizeValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.errors.map(err => ({
+          field: err.path,
+          message: err.message
+        }))
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Could not add comment.'
+    });
+  }
+};
+
+/**
+ * @route   PUT /api/tasks/:id/comments/:commentId
+ * @desc    Edit own comment
+ * @access  Private (viewer, author only)
+ */
+const updateComment = async (req, res) => {
+  try {
+    const comment = await findOwnComment(req, res, 'edit');
+    if (!comment) return;
+
+    comment.body = req.body.body;
+    await comment.save();
+    comment.author = req.user;
+
+    res.status(200).json({
+      success: true,
+      message: 'Comment updated successfully',
+      comment: serializeComment(comment)
+    });
+  } catch (error) {
+    console.error('Update comment error:', error);
+
+    // Handle Sequelize validation errors
+    if (error.name === 'SequelizeValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.errors.map(err => ({
+          field: err.path,
+          message: err.message
+        }))
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Could not update comment.'
+    });
+  }
+};
+
+/**
+ * @route   DELETE /api/tasks/:id/comments/:commentId
+ * @desc    Delete own comment
+ * @access  Private (viewer, author only)
+ */
+const deleteComment = async (req, res) => {
+  try {
+    const comment = await findOwnComment(req, res, 'delete');
+    if (!comment) return;
+
+    await comment.destroy();
+
+    res.status(200).json({
+      success: true,
+      message: 'Comment deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete comment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Could not delete comment.'
+    });
+  }
+};
+
+module.exports = {
+  getComments,
+  createComment,
+  updateComment,
+  deleteComment
+};
@@ -0,0 +1,71 @@
+const { subscribe, subscriberCount, onSessionRevoked } = require('../utils/realtime');
+
+// Open streams allowed per user (tabs and devices)
+const MAX_STREAMS_PER_USER = 10;
+
+// Comment line sent periodically so proxies do not close an idle stream
+const HEARTBEAT_MS = 25 * 1000;
+
+// How long EventSource waits before reconnecting
+const RETRY_MS = 5000;
+
+/**
+ * Format a Server-Sent Event
+ * @param {Object} event - { id, type, data }
+ * @returns {string} Event in text/event-stream format
+ */
+const formatEvent = ({ id, type, data }) =>
+  `${id ? `id: ${id}\n` : ''}event: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+
+/**
+ * @route   GET /api/events
+ * @desc    Server-Sent Events stream of task changes the user can see
+ *          (task.created, task.updated, task.deleted, task.restored)
+ * @access  Private
+ */
+const streamEvents = (req, res) => {
+  const userId = req.user.id;
+
+  if (subscriberCount(userId) >= MAX_STREAMS_PER_USER) {
+    return res.status(429).json({
+      success: false,
+      message: `Too many open event streams (max ${MAX_STREAMS_PER_USER}). Close other tabs and try again.`
+    });
+  }
+
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no' // Disable response buffering in nginx
+  });
+  res.flushHeaders();
+
+  res.write(`retry: ${RETRY_MS}\n\n`);
+  res.write(formatEvent({ type: 'ready', data: { userId } }));
+
+  const unsubscribe = subscribe(userId, (event) => res.write(formatEvent(event)));
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), HEARTBEAT_MS);
+
+  // The stream is only as valid as the access token that opened it: when it
+  // expires the client must refresh its session and reconnect
+  const expiry = setTimeout(() => {
+    res.write(formatEvent({ type: 'expired', data: {} }));
+    res.end();
+  }, Math.max(req.tokenExpiresAt - Date.now(), 0));
+
+  // Logging out (or being logged out) ends the stream right away
+  const stopOnRevoke = onSessionRevoked(req.sessionId, () => {
+    res.write(formatEvent({ type: 'revoked', data: {} }));
+    res.end();
+  });
+
+  res.on('close', () => {
+    unsubscribe();
+    stopOnRevoke();
+    clearInterval(heartbeat);
+    clearTimeout(expiry);
+  });
+};
+
+module.exports = { streamEvents };
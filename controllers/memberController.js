@@ -0,0 +1,409 @@
+const { User, Task, Project, ProjectMember, ProjectInvitation } = require('../models');
+const { sequelize } = require('../config/db');
+const { sendMail } = require('../utils/mailer');
+const { projectInvitationEmail } = require('../utils/mailer/templates');
+
+/**
+ * @route   GET /api/projects/:id/members
+ * @desc    List the project creator and everyone it is shared with
+ * @access  Private (viewer)
+ */
+const getMembers = async (req, res) => {
+  try {
+    const project = req.project;
+
+    const [creator, members] = await Promise.all([
+      User.findByPk(project.userId, { attributes: ['id', 'name', 'email'] }),
+      ProjectMember.findAll({
+        where: { projectId: project.id },
+        include: [{ model: User, as: 'user', attributes: ['id', 'name', 'email'] }],
+        order: [['createdAt', 'ASC']]
+      })
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: members.length + 1,
+      members: [
+        {
+          userId: creator.id,
+          name: creator.name,
+          email: creator.email,
+          role: 'owner',
+          isCreator: true
+        },
+        ...members.map(member => ({
+          userId: member.user.id,
+          name: member.user.name,
+          email: member.user.email,
+          role: member.role,
+          isCreator: false,
+          joinedAt: member.createdAt
+        }))
+      ]
+    });
+  } catch (error) {
+    console.error('Get members error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Could not fetch project members.'
+    });
+  }
+};
+
+/**
+ * @route   PUT /api/projects/:id/members/:userId
+ * @desc    Change a member's role
+ * @access  Private (owner)
+ */
+const updateMember = async (req, res) => {
+  try {
+    if (req.params.userId === req.project.userId) {
+      return res.status(400).json({
+        success: false,
+        message: 'The project creator is always an owner.'
+      });
+    }
+
+    const member = await ProjectMember.findOne({
+      where: { projectId: req.project.id, userId: req.params.userId }
+    });
+
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        message: 'Member not found.'
+      });
+    }
+
+    member.role = req.body.role;
+    await member.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Member role updated successfully',
+      member: {
+        userId: member.userId,
+        role: member.role
+      }
+    });
+  } catch (error) {
+    console.error('Update member error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Could not update member.'
+    });
+  }
+};
+
+/**
+ * @route   DELETE /api/projects/:id/members/:userId
+ * @desc    Remove a member (owners), or leave the project (any member removing themselves)
+ *          Tasks in the project assigned to the member are unassigned
+ * @access  Private (owner, or self)
+ */
+const removeMember = async (req, res) => {
+  try {
+    const isSelf = req.params.userId === req.user.id;
+
+    if (!isSelf && req.projectRole !== 'owner') {
+      return res.status(403).json({
+        success: false,
+        message: 'You need owner access to this project to perform this action.'
+      });
+    }
+
+    if (req.params.userId === req.project.userId) {
+      return res.status(400).json({
+        success: false,
+        message: 'The project creator cannot be removed. Delete the project instead.'
+      });
+    }
+
+    const member = await ProjectMember.findOne({
+      where: { projectId: req.project.id, userId: req.params.userId }
+    });
+
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        message: 'Member not found.'
+      });
+    }
+
+    // Includes trashed tasks so a restore does not bring back the old assignee;
+    // saved one by one so each task gets a new version (ETag)
+    await sequelize.transaction(async (transaction) => {
+      const tasks = await Task.findAll({
+        where: { projectId: req.project.id, assigneeId: member.userId },
+        paranoid: false,
+        transaction
+      });
+      for (const task of tasks) {
+        task.assigneeId = null;
+        await task.save({ transaction, actorId: req.user.id });
+      }
+      await member.destroy({ transaction });
+    });
+
+    res.status(200).json({
+      success: true,
+      message: isSelf ? 'You have left the project' : 'Member removed successfully'
+    });
+  } catch (error) {
+    console.error('Remove member error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Could not remove member.'
+    });
+  }
+};
+
+/**
+ * @route   GET /api/projects/:id/invitations
+ * @desc    List pending invitations for a project
+ * @access  Private (owner)
+ */
+const getProjectInvitations = async (req, res) => {
+  try {
+    const invitations = await ProjectInvitation.findAll({
+      where: { projectId: req.project.id, status: 'pending' },
+      order: [['createdAt', 'DESC']]
+    });
+
+    res.status(200).json({
+      success: true,
+      count: invitations.length,
+      invitations
+    });
+  } catch (error) {
+    console.error('Get project invitations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Could not fetch invitations.'
+    });
+  }
+};
+
+/**
+ * @route   POST /api/projects/:id/invitations
+ * @desc    Invite someone to the project by email
+ * @access  Private (owner)
+ */
+const createInvitation = async (req, res) => {
+  try {
+    const { email, role = 'viewer' } = req.body;
+    const project = req.project;
+
+    const invitee = await User.findOne({ where: { email } });
+
+    if (invitee) {
+      const alreadyMember =
+        invitee.id === project.userId ||
+        (await ProjectMember.findOne({ where: { projectId: project.id, userId: invitee.id } }));
+
+      if (alreadyMember) {
+        return res.status(400).json({
+          success: false,
+          message: 'This user is already a member of the project.'
+        });
+      }
+    }
+
+    const pending = await ProjectInvitation.findOne({
+      where: { projectId: project.id, email, status: 'pending' }
+    });
+
+    if (pending) {
+      return res.status(400).json({
+        success: false,
+        message: 'An invitation is already pending for this email.'
+      });
+    }
+
+    const invitation = await ProjectInvitation.create({
+      projectId: project.id,
+      email,
+      role,
+      invitedById: req.user.id
+    });
+
+    // Invitation stays valid even if the email cannot be delivered
+    try {
+      await sendMail({ to: email, ...projectInvitationEmail(req.user, project, role) });
+    } catch (mailError) {
+      console.error('Send invitation email error:', mailError);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Invitation sent successfully',
+      invitation
+    });
+  } catch (error) {
+    console.error('Create invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Could not create invitation.'
+    });
+  }
+};
+
+/**
+ * @route   DELETE /api/projects/:id/invitations/:invitationId
+ * @desc    Cancel a pending invitation
+ * @access  Private (owner)
+ */
+const cancelInvitation = async (req, res) => {
+  try {
+    const invitation = await ProjectInvitation.findOne({
+      where: {
+        id: req.params.invitationId,
+        projectId: req.project.id,
+        status: 'pending'
+      }
+    });
+
+    if (!invitation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation not found or already answered.'
+      });
+    }
+
+    invitation.status = 'cancelled';
+    invitation.respondedAt = new Date();
+    await invitation.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Invitation cancelled successfully'
+    });
+  } catch (error) {
+    console.error('Cancel invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Could not cancel invitation.'
+    });
+  }
+};
+
+/**
+ * @route   GET /api/invitations
+ * @desc    List pending invitations addressed to the current user's email
+ * @access  Private
+ */
+const getMyInvitations = async (req, res) => {
+  try {
+    const invitations = await ProjectInvitation.findAll({
+      where: { email: req.user.email, status: 'pending' },
+      include: [
+        { model: Project, as: 'project', attributes: ['id', 'name', 'color'] },
+        { model: User, as: 'invitedBy', attributes: ['id', 'name'] }
+      ],
+      order: [['createdAt', 'DESC']]
+    });
+
+    res.status(200).json({
+      success: true,
+      count: invitations.length,
+      invitations
+    });
+  } catch (error) {
+    console.error('Get my invitations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Could not fetch invitations.'
+    });
+  }
+};
+
+/**
+ * Build a handler that accepts or declines an invitation
+ * Only the user registered with the invited (and verified) email may answer
+ * @param {boolean} accept - True to accept, false to decline
+ * @returns {Function} Express handler
+ */
+const respondToInvitation = (accept) => async (req, res) => {
+  try {
+    const invitation = await ProjectInvitation.findOne({
+      where: {
+        id: req.params.id,
+        email: req.user.email,
+        status: 'pending'
+      }
+    });
+
+    if (!invitation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation not found or already answered.'
+      });
+    }
+
+    // Otherwise anyone could claim invitations by changing their email
+    if (accept && !req.user.emailVerified) {
+      return res.status(403).json({
+        success: false,
+        message: 'Please verify your email address before accepting invitations.'
+      });
+    }
+
+    await sequelize.transaction(async (transaction) => {
+      invitation.status = accept ? 'accepted' : 'declined';
+      invitation.respondedAt = new Date();
+      await invitation.save({ transaction });
+
+      if (accept) {
+        const [member, created] = await ProjectMember.findOrCreate({
+          where: { projectId: invitation.projectId, userId: req.user.id },
+          defaults: { role: invitation.role },
+          transaction
+        });
+
+        if (!created && member.role !== invitation.role) {
+          member.role = invitation.role;
+          await member.save({ transaction });
+        }
+      }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: accept ? 'Invitation accepted' : 'Invitation declined',
+      projectId: invitation.projectId
+    });
+  } catch (error) {
+    console.error(`${accept ? 'Accept' : 'Decline'} invitation error:`, error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Could not respond to invitation.'
+    });
+  }
+};
+
+/**
+ * @route   POST /api/invitations/:id/accept
+ * @desc    Accept an invitation and join the project
+ * @access  Private
+ */
+const acceptInvitation = respondToInvitation(true);
+
+/**
+ * @route   POST /api/invitations/:id/decline
+ * @desc    Decline an invitation
+ * @access  Private
+ */
+const declineInvitation = respondToInvitation(false);
+
+module.exports = {
+  getMembers,
+  updateMember,
+  removeMember,
+  getProjectInvitations,
+  createInvitation,
+  cancelInvitation,
+  getMyInvitations,
+  acceptInvitation,
+  declineInvitation
+};
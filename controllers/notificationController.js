@@ -0,0 +1,174 @@
+const { Notification, Task } = require('../models');
+
+/**
+ * Shape a notification for the API
+ * @param {Notification} notification - Notification with task loaded
+ * @returns {Object} Notification JSON
+ */
+const serializeNotification = (notification) => ({
+  id: notification.id,
+  type: notification.type,
+  title: notification.title,
+  body: notification.body,
+  // null once the task is trashed or purged
+  task: notification.task ? { id: notification.task.id, title: notification.task.title } : null,
+  read: Boolean(notification.readAt),
+  readAt: notification.readAt,
+  createdAt: notification.createdAt
+});
+
+/**
+ * Count the user's unread notifications
+ * @param {number} userId - User ID
+ * @returns {Promise<number>} Unread count
+ */
+const countUnread = (userId) =>
+  Notification.count({ where: { userId, readAt: null } });
+
+/**
+ * @route   GET /api/notifications
+ * @desc    Get the user's notifications, newest first, with pagination and unread count
+ * @access  Private
+ */
+const getNotifications = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const offset = (page - 1) * limit;
+
+    const where = { userId: req.user.id };
+    if (req.query.unread === true) {
+      where.readAt = null;
+    }
+
+    const [{ count, rows: notifications }, unreadCount] = await Promise.all([
+      Notification.findAndCountAll({
+        where,
+        include: [{ model: Task, as: 'task', attributes: ['id', 'title'], required: false }],
+        limit,
+        offset,
+        order: [
+          ['createdAt', 'DESC'],
+          ['id', 'DESC']
+        ]
+      }),
+      countUnread(req.user.id)
+    ]);
+
+    const totalPages = Math.ceil(count / limit);
+
+    res.status(200).json({
+      success: true,
+      count: notifications.length,
+      unreadCount,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalNotifications: count,
+        limit,
+        hasNext: page < totalPages,
+        hasPrev: page > 1
+      },
+      notifications: notifications.map(serializeNotification)
+    });
+  } catch (error) {
+    console.error('Get notifications error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Could not fetch notifications.'
+    });
+  }
+};
+
+/**
+ * @route   GET /api/notifications/unread-count
+ * @desc    Get the number of unread notifications (for the bell badge)
+ * @access  Private
+ */
+const getUnreadCount = async (req, res) => {
+  try {
+    res.status(200).json({
+      success: true,
+      unreadCount: await countUnread(req.user.id)
+    });
+  } catch (error) {
+    console.error('Get unread count error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Could not count notifications.'
+    });
+  }
+};
+
+/**
+ * @route   POST /api/notifications/:id/read
+ * @desc    Mark one notification as read
+ * @access  Private
+ */
+const markRead = async (req, res) => {
+  try {
+    const notification = await Notification.findOne({
+      where: { id: req.params.id, userId: req.user.id },
+      include: [{ model: Task, as: 'task', attributes: ['id', 'title'], required: false }]
+    });
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found.'
+      });
+    }
+
+    if (!notification.readAt) {
+      notification.readAt = new Date();
+      await notification.save();
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Notification marked as read',
+      notification: serializeNotification(notification),
+      unreadCount: await countUnread(req.user.id)
+    });
+  } catch (error) {
+    console.error('Mark notification read error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Could not update notification.'
+    });
+  }
+};
+
+/**
+ * @route   POST /api/notifications/read-all
+ * @desc    Mark all of the user's notifications as read
+ * @access  Private
+ */
+const markAllRead = async (req, res) => {
+  try {
+    const [updated] = await Notification.update(
+      { readAt: new Date() },
+      { where: { userId: req.user.id, readAt: null } }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: `${updated} notification(s) marked as read`,
+      updated,
+      unreadCount: 0
+    });
+  } catch (error) {
+    console.error('Mark all notifications read error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Could not update notifications.'
+    });
+  }
+};
+
+module.exports = {
+  getNotifications,
+  getUnreadCount,
+  markRead,
+  markAllRead
+};
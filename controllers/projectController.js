@@ -0,0 +1,309 @@
+const { Project, Task, ProjectMember } = require('../models');
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/db');
+const { accessibleProjectIds } = require('../utils/permissions');
+
+/**
+ * Count tasks per project in a single grouped query
+ * open = not done/cancelled, overdue = open and past end_date
+ * @param {number[]} projectIds - Project IDs to count tasks for
+ * @returns {Promise<Object>} Map of projectId -> { total, open, overdue }
+ */
+const countTasksByProject = async (projectIds) => {
+  if (!projectIds.length) return {};
+
+  const rows = await Task.findAll({
+    where: { projectId: { [Op.in]: projectIds } },
+    attributes: [
+      'projectId',
+      [sequelize.fn('COUNT', sequelize.col('id')), 'total'],
+      [
+        sequelize.literal(`COUNT(*) FILTER (WHERE status NOT IN ('done', 'cancelled'))`),
+        'open'
+      ],
+      [
+        sequelize.literal(
+          `COUNT(*) FILTER (WHERE status NOT IN ('done', 'cancelled') AND end_date < CURRENT_DATE)`
+        ),
+        'overdue'
+      ]
+    ],
+    group: ['projectId'],
+    raw: true
+  });
+
+  return rows.reduce((counts, row) => {
+    counts[row.projectId] = {
+      total: parseInt(row.total),
+      open: parseInt(row.open),
+      overdue: parseInt(row.overdue)
+    };
+    return counts;
+  }, {});
+};
+
+/**
+ * Look up the current user's role on each project in one query
+ * @param {Project[]} projects - Projects to resolve
+ * @param {number} userId - Authenticated user ID
+ * @returns {Promise<Object>} Map of projectId -> role
+ */
+const rolesByProject = async (projects, userId) => {
+  const memberships = await ProjectMember.findAll({
+    where: {
+      userId,
+      projectId: { [Op.in]: projects.map((project) => project.id) }
+    }
+  });
+
+  const roles = memberships.reduce((result, membership) => {
+    result[membership.projectId] = membership.role;
+    return result;
+  }, {});
+
+  projects
+    .filter((project) => project.userId === userId)
+    .forEach((project) => {
+      roles[project.id] = 'owner';
+    });
+
+  return roles;
+};
+
+/**
+ * Attach task counts and the user's role to projects for the response
+ * @param {Project[]} projects - Projects to serialize
+ * @param {number} userId - Authenticated user ID
+ * @returns {Promise<Object[]>} Projects with role and taskCounts
+ */
+const withTaskCounts = async (projects, userId) => {
+  const counts = await countTasksByProject(projects.map((project) => project.id));
+  const roles = await rolesByProject(projects, userId);
+
+  return projects.map((project) => ({
+    ...project.toJSON(),
+    role: roles[project.id] || null,
+    taskCounts: counts[project.id] || { total: 0, open: 0, overdue: 0 }
+  }));
+};
+
+/**
+ * @route   GET /api/projects
+ * @desc    Get all projects the user owns or is a member of, with task counts
+ * @access  Private
+ * @query   includeArchived
+ */
+const getProjects = async (req, res) => {
+  try {
+    const where = { id: { [Op.in]: accessibleProjectIds(req.user.id) } };
+
+    if (req.query.includeArchived !== true) {
+      where.archivedAt = null;
+    }
+
+    const projects = await Project.findAll({
+      where,
+      order: [['name', 'ASC']]
+    });
+
+    res.status(200).json({
+      success: true,
+      count: projects.length,
+      projects: await withTaskCounts(projects, req.user.id)
+    });
+  } catch (error) {
+    console.error('Get projects error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Could not fetch projects.'
+    });
+  }
+};
+
+/**
+ * @route   GET /api/projects/:id
+ * @desc    Get single project with task counts
+ * @access  Private
+ */
+const getProject = async (req, res) => {
+  try {
+    // Project is loaded and viewer access verified by authorizeProject('viewer')
+    const [result] = await withTaskCounts([req.project], req.user.id);
+
+    res.status(200).json({
+      success: true,
+      project: result
+    });
+  } catch (error) {
+    console.error('Get project error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Could not fetch project.'
+    });
+  }
+};
+
+/**
+ * @route   POST /api/projects
+ * @desc    Create new project
+ * @access  Private
+ */
+const createProject = async (req, res) => {
+  try {
+    const { name, description, color } = req.body;
+
+    const project = await Project.create({
+      userId: req.user.id,
+      name,
+      description,
+      color
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Project created successfully',
+      project: { ...project.toJSON(), role: 'owner' }
+    });
+  } catch (error) {
+    console.error('Create project error:', error);
+
+    // Handle Sequelize validation errors
+    if (error.name === 'SequelizeValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.errors.map(err => ({
+          field: err.path,
+          message: err.message
+        }))
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Could not create project.'
+    });
+  }
+};
+
+/**
+ * @route   PUT /api/projects/:id
+ * @desc    Update project
+ * @access  Private
+ */
+const updateProject = async (req, res) => {
+  try {
+    const { name, description, color } = req.body;
+
+    // Project is loaded and owner access verified by authorizeProject('owner')
+    const project = req.project;
+
+    // Update project fields
+    project.name = name || project.name;
+    project.description = description !== undefined ? description : project.description;
+    project.color = color !== undefined ? color : project.color;
+
+    await project.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Project updated successfully',
+      project
+    });
+  } catch (error) {
+    console.error('Update project error:', error);
+
+    // Handle Sequelize validation errors
+    if (error.name === 'SequelizeValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.errors.map(err => ({
+          field: err.path,
+          message: err.message
+        }))
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Could not update project.'
+    });
+  }
+};
+
+/**
+ * Build a handler that archives or unarchives a project
+ * Tasks are left untouched either way
+ * @param {boolean} archive - True to archive, false to restore
+ * @returns {Function} Express handler
+ */
+const setArchived = (archive) => async (req, res) => {
+  try {
+    // Project is loaded and owner access verified by authorizeProject('owner')
+    const project = req.project;
+
+    project.archivedAt = archive ? project.archivedAt || new Date() : null;
+    await project.save();
+
+    res.status(200).json({
+      success: true,
+      message: archive ? 'Project archived successfully' : 'Project restored successfully',
+      project
+    });
+  } catch (error) {
+    console.error(`${archive ? 'Archive' : 'Unarchive'} project error:`, error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Could not update project.'
+    });
+  }
+};
+
+/**
+ * @route   POST /api/projects/:id/archive
+ * @desc    Archive project (its tasks are kept)
+ * @access  Private
+ */
+const archiveProject = setArchived(true);
+
+/**
+ * @route   POST /api/projects/:id/unarchive
+ * @desc    Restore an archived project
+ * @access  Private
+ */
+const unarchiveProject = setArchived(false);
+
+/**
+ * @route   DELETE /api/projects/:id
+ * @desc    Delete project (its tasks are kept without a project)
+ * @access  Private
+ */
+const deleteProject = async (req, res) => {
+  try {
+    // Project is loaded and owner access verified by authorizeProject('owner')
+    // project_id is set to NULL on its tasks by the foreign key
+    await req.project.destroy();
+
+    res.status(200).json({
+      success: true,
+      message: 'Project deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete project error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Could not delete project.'
+    });
+  }
+};
+
+module.exports = {
+  getProjects,
+  getProject,
+  createProject,
+  updateProject,
+  archiveProject,
+  unarchiveProject,
+  deleteProject
+};
@@ -0,0 +1,184 @@
+const { Reminder, NotificationDelivery } = require('../models');
+
+// Reminders one user may keep on one task
+const MAX_REMINDERS_PER_TASK = 10;
+
+/**
+ * Date a reminder goes out for a due date
+ * @param {string} endDate - Task due date (YYYY-MM-DD)
+ * @param {number} daysBefore - Days before the due date
+ * @returns {string} Date (YYYY-MM-DD)
+ */
+const remindOn = (endDate, daysBefore) => {
+  const date = new Date(`${endDate}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() - daysBefore);
+  return date.toISOString().slice(0, 10);
+};
+
+/**
+ * Shape a reminder for the API
+ * @param {Reminder} reminder - Reminder instance
+ * @param {Task} task - Its task
+ * @param {NotificationDelivery} [delivery] - Delivery for the task's current due date
+ * @returns {Object} Reminder JSON
+ */
+const serializeReminder = (reminder, task, delivery) => ({
+  id: reminder.id,
+  taskId: reminder.taskId,
+  daysBefore: reminder.daysBefore,
+  channel: reminder.channel,
+  target: reminder.target,
+  remindOn: remindOn(task.endDate, reminder.daysBefore),
+  delivery: delivery
+    ? {
+        status: delivery.status,
+        attempts: delivery.attempts,
+        sentAt: delivery.sentAt,
+        lastError: delivery.lastError
+      }
+    : null,
+  createdAt: reminder.createdAt
+});
+
+/**
+ * @route   GET /api/tasks/:id/reminders
+ * @desc    Get the current user's reminders on a task
+ * @access  Private (viewer)
+ */
+const getReminders = async (req, res) => {
+  try {
+    const reminders = await Reminder.findAll({
+      where: { taskId: req.task.id, userId: req.user.id },
+      include: [
+        {
+          model: NotificationDelivery,
+          as: 'deliveries',
+          where: { dueDate: req.task.endDate },
+          required: false
+        }
+      ],
+      order: [['daysBefore', 'DESC'], ['id', 'ASC']]
+    });
+
+    res.status(200).json({
+      success: true,
+      count: reminders.length,
+      reminders: reminders.map((reminder) =>
+        serializeReminder(reminder, req.task, reminder.deliveries[0])
+      )
+    });
+  } catch (error) {
+    console.error('Get reminders error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Could not fetch reminders.'
+    });
+  }
+};
+
+/**
+ * @route   POST /api/tasks/:id/reminders
+ * @desc    Add a reminder for the current user
+ * @access  Private (viewer)
+ */
+const createReminder = async (req, res) => {
+  try {
+    const { daysBefore = 0, channel = 'email' } = req.body;
+    const target = channel === 'webhook' ? req.body.target : null;
+
+    const existing = await Reminder.findAll({
+      where: { taskId: req.task.id, userId: req.user.id }
+    });
+
+    if (existing.length >= MAX_REMINDERS_PER_TASK) {
+      return res.status(400).json({
+        success: false,
+        message: `You can have at most ${MAX_REMINDERS_PER_TASK} reminders on a task.`
+      });
+    }
+
+    if (
+      existing.some(
+        (reminder) =>
+          reminder.daysBefore === daysBefore && reminder.channel === channel && reminder.target === target
+      )
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: 'You already have this reminder on the task.'
+      });
+    }
+
+    const reminder = await Reminder.create({
+      taskId: req.task.id,
+      userId: req.user.id,
+      daysBefore,
+      channel,
+      target
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Reminder added successfully',
+      reminder: serializeReminder(reminder, req.task)
+    });
+  } catch (error) {
+    console.error('Create reminder error:', error);
+
+    // Handle Sequelize validation errors
+    if (error.name === 'SequelizeValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.errors.map(err => ({
+          field: err.path,
+          message: err.message
+        }))
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Could not add reminder.'
+    });
+  }
+};
+
+/**
+ * @route   DELETE /api/tasks/:id/reminders/:reminderId
+ * @desc    Delete one of the current user's reminders
+ * @access  Private (viewer)
+ */
+const deleteReminder = async (req, res) => {
+  try {
+    const reminder = await Reminder.findOne({
+      where: { id: req.params.reminderId, taskId: req.task.id, userId: req.user.id }
+    });
+
+    if (!reminder) {
+      return res.status(404).json({
+        success: false,
+        message: 'Reminder not found.'
+      });
+    }
+
+    await reminder.destroy();
+
+    res.status(200).json({
+      success: true,
+      message: 'Reminder deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete reminder error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Could not delete reminder.'
+    });
+  }
+};
+
+module.exports = {
+  getReminders,
+  createReminder,
+  deleteReminder
+};
@@ -0,0 +1,200 @@
+const { Tag } = require('../models');
+const { sequelize } = require('../config/db');
+
+/**
+ * Respond with 400 for Sequelize validation and unique constraint errors
+ * @param {Object} res - Express response object
+ * @param {Error} error - Error thrown by Sequelize
+ * @returns {boolean} True if a response was sent
+ */
+const handleTagError = (res, error) => {
+  if (error.name === 'SequelizeUniqueConstraintError') {
+    res.status(400).json({
+      success: false,
+      message: 'A tag with this name already exists.'
+    });
+    return true;
+  }
+
+  // Handle Sequelize validation errors
+  if (error.name === 'SequelizeValidationError') {
+    res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors: error.errors.map(err => ({
+        field: err.path,
+        message: err.message
+      }))
+    });
+    return true;
+  }
+
+  return false;
+};
+
+/**
+ * @route   GET /api/tags
+ * @desc    Get all tags for authenticated user with usage counts (for a tag cloud)
+ * @access  Private
+ */
+const getTags = async (req, res) => {
+  try {
+    const tags = await Tag.findAll({
+      where: { userId: req.user.id },
+      attributes: {
+        include: [
+          [
+            sequelize.literal(
+              `(SELECT COUNT(*) FROM task_tags
+                JOIN tasks ON tasks.id = task_tags.task_id AND tasks.deleted_at IS NULL
+                WHERE task_tags.tag_id = "Tag"."id")`
+            ),
+            'usageCount'
+          ]
+        ]
+      },
+      order: [['name', 'ASC']]
+    });
+
+    res.status(200).json({
+      success: true,
+      count: tags.length,
+      tags: tags.map(tag => ({
+        id: tag.id,
+        name: tag.name,
+        color: tag.color,
+        usageCount: parseInt(tag.get('usageCount')),
+        createdAt: tag.createdAt
+      }))
+    });
+  } catch (error) {
+    console.error('Get tags error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Could not fetch tags.'
+    });
+  }
+};
+
+/**
+ * @route   POST /api/tags
+ * @desc    Create new tag
+ * @access  Private
+ */
+const createTag = async (req, res) => {
+  try {
+    const { name, color } = req.body;
+
+    const tag = await Tag.create({
+      userId: req.user.id,
+      name,
+      color
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Tag created successfully',
+      tag
+    });
+  } catch (error) {
+    console.error('Create tag error:', error);
+
+    if (handleTagError(res, error)) return;
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Could not create tag.'
+    });
+  }
+};
+
+/**
+ * @route   PUT /api/tags/:id
+ * @desc    Rename or recolour tag
+ * @access  Private
+ */
+const updateTag = async (req, res) => {
+  try {
+    const { name, color } = req.body;
+
+    // Find tag and verify ownership
+    const tag = await Tag.findOne({
+      where: {
+        id: req.params.id,
+        userId: req.user.id
+      }
+    });
+
+    if (!tag) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tag not found or you do not have permission to update it.'
+      });
+    }
+
+    tag.name = name || tag.name;
+    tag.color = color || tag.color;
+
+    await tag.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Tag updated successfully',
+      tag
+    });
+  } catch (error) {
+    console.error('Update tag error:', error);
+
+    if (handleTagError(res, error)) return;
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Could not update tag.'
+    });
+  }
+};
+
+/**
+ * @route   DELETE /api/tags/:id
+ * @desc    Delete tag (removes it from all tasks)
+ * @access  Private
+ */
+const deleteTag = async (req, res) => {
+  try {
+    // Find tag and verify ownership
+    const tag = await Tag.findOne({
+      where: {
+        id: req.params.id,
+        userId: req.user.id
+      }
+    });
+
+    if (!tag) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tag not found or you do not have permission to delete it.'
+      });
+    }
+
+    // task_tags rows are removed by the foreign key cascade
+    await tag.destroy();
+
+    res.status(200).json({
+      success: true,
+      message: 'Tag deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete tag error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Could not delete tag.'
+    });
+  }
+};
+
+module.exports = {
+  getTags,
+  createTag,
+  updateTag,
+  deleteTag
+};
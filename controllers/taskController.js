@@ -1,12 +1,390 @@
-const { Task } = require('../models');
+const { Task, Project, Tag, ChecklistItem, TaskEvent, Comment, User } = require('../models');
 const { Op } = require('sequelize');
 const { sequelize } = require('../config/db');
+const {
+  hasRole,
+  getProjectRole,
+  getTaskRole,
+  accessibleTasksWhere,
+  canBeAssigned
+} = require('../utils/permissions');
+const { nextOccurrences } = require('../utils/recurrence');
+const { TRASH_RETENTION_DAYS, purgeDate } = require('../utils/trash');
+const { emitTaskEvent } = require('../utils/webhooks');
+const { FORMATS } = require('../utils/taskExport');
+const { readRecords, resolveColumns, normalizeRecord, isTaskRecord } = require('../utils/taskImport');
+const { validateTaskObject } = require('../utils/validation');
+
+/**
+ * Check that a task can be put in the given project
+ * The user needs editor access and the project must not be archived
+ * @param {number|null|undefined} projectId - Requested project
+ * @param {number} userId - Authenticated user ID
+ * @param {Transaction} [transaction] - Transaction to read in
+ * @returns {Promise<string|null>} Error message, or null if allowed
+ */
+const checkProject = async (projectId, userId, transaction) => {
+  if (projectId === undefined || projectId === null) return null;
+
+  const project = await Project.findByPk(projectId, { transaction });
+  const role = project ? await getProjectRole(project, userId, transaction) : null;
+
+  if (!hasRole(role, 'editor')) return 'Project not found or you do not have permission to use it.';
+  if (project.archivedAt) return 'Cannot add tasks to an archived project.';
+  return null;
+};
+
+/**
+ * Check that a task can be assigned to the given user
+ * Assignees must be members of the task's project; tasks outside a
+ * project can only be assigned to their creator
+ * @param {number|null} projectId - Task project
+ * @param {number|null} assigneeId - Requested assignee
+ * @param {number} ownerId - Task creator
+ * @param {Transaction} [transaction] - Transaction to read in
+ * @returns {Promise<string|null>} Error message, or null if allowed
+ */
+const checkAssignee = async (projectId, assigneeId, ownerId, transaction) => {
+  if (assigneeId === undefined || assigneeId === null) return null;
+
+  if (!(await canBeAssigned(projectId, assigneeId, ownerId, transaction))) {
+    return projectId
+      ? 'Assignee must be a member of the task project.'
+      : 'Tasks outside a project can only be assigned to their creator.';
+  }
+  return null;
+};
+
+/**
+ * Check that a task can become a subtask of the given parent
+ * Subtasks are one level deep and live in the same project as their parent
+ * @param {number|null|undefined} parentId - Requested parent task
+ * @param {number|null} projectId - Project the (sub)task will be in
+ * @param {number} userId - Authenticated user ID
+ * @param {Task} [task] - Task being updated (omitted on create)
+ * @param {Transaction} [transaction] - Transaction to read in
+ * @returns {Promise<string|null>} Error message, or null if allowed
+ */
+const checkParent = async (parentId, projectId, userId, task, transaction) => {
+  if (parentId === undefined || parentId === null) return null;
+
+  if (task && task.id === parentId) return 'A task cannot be its own parent.';
+
+  const parent = await Task.findByPk(parentId, { transaction });
+  const role = parent ? await getTaskRole(parent, userId, transaction) : null;
+
+  if (!hasRole(role, 'editor')) return 'Parent task not found or you do not have permission to use it.';
+  if (parent.parentId) return 'Subtasks cannot have subtasks of their own.';
+  if ((parent.projectId || null) !== (projectId || null)) {
+    return 'A subtask must be in the same project as its parent.';
+  }
+
+  // Trashed subtasks count too, they come back when the parent is restored
+  if (task && (await Task.count({ where: { parentId: task.id }, paranoid: false, transaction }))) {
+    return 'A task with subtasks cannot become a subtask.';
+  }
+  return null;
+};
+
+/**
+ * Check that every tag exists and belongs to the user
+ * @param {number[]|undefined} tagIds - Requested tag IDs
+ * @param {number} userId - Authenticated user ID
+ * @param {Transaction} [transaction] - Transaction to read in
+ * @returns {Promise<string|null>} Error message, or null if allowed
+ */
+const checkTags = async (tagIds, userId, transaction) => {
+  if (!tagIds || !tagIds.length) return null;
+
+  const uniqueIds = [...new Set(tagIds)];
+  const count = await Tag.count({ where: { id: { [Op.in]: uniqueIds }, userId }, transaction });
+
+  return count === uniqueIds.length ? null : 'One or more tags were not found.';
+};
+
+/**
+ * Compute progress of many tasks with two grouped queries
+ * Progress counts subtasks (cancelled ones excluded) and checklist items together
+ * @param {number[]} taskIds - Task IDs
+ * @returns {Promise<Object>} Map of taskId -> { done, total, percent }
+ */
+const progressByTask = async (taskIds) => {
+  const [subtasks, items] = await Promise.all([
+    Task.findAll({
+      where: { parentId: { [Op.in]: taskIds } },
+      attributes: [
+        'parentId',
+        [sequelize.literal(`COUNT(*) FILTER (WHERE status <> 'cancelled')`), 'total'],
+        [sequelize.literal(`COUNT(*) FILTER (WHERE status = 'done')`), 'done']
+      ],
+      group: ['parentId'],
+      raw: true
+    }),
+    ChecklistItem.findAll({
+      where: { taskId: { [Op.in]: taskIds } },
+      attributes: [
+        'taskId',
+        [sequelize.fn('COUNT', sequelize.col('id')), 'total'],
+        [sequelize.literal('COUNT(*) FILTER (WHERE is_checked)'), 'done']
+      ],
+      group: ['taskId'],
+      raw: true
+    })
+  ]);
+
+  const progress = {};
+  const add = (taskId, row) => {
+    const entry = (progress[taskId] = progress[taskId] || { done: 0, total: 0 });
+    entry.done += parseInt(row.done);
+    entry.total += parseInt(row.total);
+  };
+
+  subtasks.forEach((row) => add(row.parentId, row));
+  items.forEach((row) => add(row.taskId, row));
+
+  Object.values(progress).forEach((entry) => {
+    entry.percent = entry.total ? Math.round((entry.done / entry.total) * 100) : 0;
+  });
+
+  return progress;
+};
+
+/**
+ * Count comments of many tasks with one grouped query
+ * @param {number[]} taskIds - Task IDs
+ * @returns {Promise<Object>} Map of taskId -> comment count
+ */
+const commentCountsByTask = async (taskIds) => {
+  const rows = await Comment.findAll({
+    where: { taskId: { [Op.in]: taskIds } },
+    attributes: ['taskId', [sequelize.fn('COUNT', sequelize.col('id')), 'count']],
+    group: ['taskId'],
+    raw: true
+  });
+
+  return rows.reduce((counts, row) => {
+    counts[row.taskId] = parseInt(row.count);
+    return counts;
+  }, {});
+};
+
+/**
+ * Load tags, progress and comment counts of many tasks in a few queries
+ * and add them to each task
+ * progress is null for tasks without subtasks or checklist items
+ * @param {Task[]} tasks - Tasks to serialize
+ * @returns {Promise<Object[]>} Plain task objects with tags, progress and commentCount
+ */
+const serializeTasks = async (tasks) => {
+  if (!tasks.length) return [];
+
+  const taskIds = tasks.map((task) => task.id);
+  const [progress, commentCounts] = await Promise.all([
+    progressByTask(taskIds),
+    commentCountsByTask(taskIds)
+  ]);
+
+  const tags = await Tag.findAll({
+    attributes: ['id', 'name', 'color'],
+    include: [
+      {
+        model: Task,
+        as: 'tasks',
+        attributes: ['id'],
+        where: { id: { [Op.in]: taskIds } },
+        through: { attributes: [] }
+      }
+    ],
+    order: [['name', 'ASC']]
+  });
+
+  const tagsByTask = {};
+  tags.forEach((tag) => {
+    tag.tasks.forEach((task) => {
+      (tagsByTask[task.id] = tagsByTask[task.id] || []).push({
+        id: tag.id,
+        name: tag.name,
+        color: tag.color
+      });
+    });
+  });
+
+  return tasks.map((task) => ({
+    ...task.toJSON(),
+    tags: tagsByTask[task.id] || [],
+    progress: progress[task.id] || null,
+    commentCount: commentCounts[task.id] || 0
+  }));
+};
+
+/**
+ * Build the PostgreSQL full-text query for a search string
+ * websearch_to_tsquery accepts free text, "quoted phrases" and -exclusions
+ * @param {string} q - Raw search string from the query
+ * @returns {string} SQL expression producing a tsquery
+ */
+const searchQuery = (q) => `websearch_to_tsquery('english', ${sequelize.escape(q)})`;
+
+/**
+ * Build the where clause for listing a user's tasks from query filters
+ * Starts from every task the user can see (own tasks and shared projects)
+ * All filters are optional and combined with AND
+ * @param {Object} query - Validated request query
+ * @param {number} userId - Authenticated user ID
+ * @returns {Object} Sequelize where clause
+ */
+const buildTaskFilters = (query, userId) => {
+  const conditions = [accessibleTasksWhere(userId)];
+
+  if (query.status) {
+    conditions.push({ status: query.status });
+  }
+
+  // "none" lists tasks that are not in any project
+  if (query.projectId) {
+    conditions.push({
+      projectId: query.projectId === 'none' ? null : parseInt(query.projectId)
+    });
+  }
+
+  // "none" lists top-level tasks only
+  if (query.parentId) {
+    conditions.push({
+      parentId: query.parentId === 'none' ? null : parseInt(query.parentId)
+    });
+  }
+
+  if (query.priority && query.priority.length) {
+    conditions.push({ priority: { [Op.in]: query.priority } });
+  }
+
+  // Tasks carrying any (default) or all of the given tags
+  if (query.tags && query.tags.length) {
+    const tagIds = query.tags.map((id) => sequelize.escape(id)).join(', ');
+    const subquery =
+      query.tagMatch === 'all'
+        ? `SELECT task_id FROM task_tags WHERE tag_id IN (${tagIds}) GROUP BY task_id HAVING COUNT(DISTINCT tag_id) = ${new Set(query.tags).size}`
+        : `SELECT task_id FROM task_tags WHERE tag_id IN (${tagIds})`;
+
+    conditions.push({ id: { [Op.in]: sequelize.literal(`(${subquery})`) } });
+  }
+
+  // Due date range (inclusive)
+  if (query.dueAfter) {
+    conditions.push({ endDate: { [Op.gte]: query.dueAfter } });
+  }
+  if (query.dueBefore) {
+    conditions.push({ endDate: { [Op.lte]: query.dueBefore } });
+  }
+
+  // Overdue: past due date and still open
+  if (query.overdue === true) {
+    conditions.push({
+      endDate: { [Op.lt]: sequelize.literal('CURRENT_DATE') },
+      status: { [Op.notIn]: ['done', 'cancelled'] }
+    });
+  }
+
+  // Creation date range (inclusive)
+  if (query.createdAfter) {
+    conditions.push({ createdAt: { [Op.gte]: query.createdAfter } });
+  }
+  if (query.createdBefore) {
+    // A bare date includes the whole day, like dueBefore
+    conditions.push({
+      createdAt: /^\d{4}-\d{2}-\d{2}$/.test(query.createdBefore)
+        ? { [Op.lt]: new Date(Date.parse(`${query.createdBefore}T00:00:00Z`) + 24 * 60 * 60 * 1000) }
+        : { [Op.lte]: new Date(query.createdBefore) }
+    });
+  }
+
+  // Full-text search over title and description (uses idx_tasks_search)
+  if (query.q) {
+    conditions.push(sequelize.literal(`search_vector @@ ${searchQuery(query.q)}`));
+  }
+
+  return { [Op.and]: conditions };
+};
+
+// Task columns returned by the listing and the export
+const LIST_ATTRIBUTES = [
+  'id',
+  'userId',
+  'projectId',
+  'parentId',
+  'assigneeId',
+  'title',
+  'description',
+  'priority',
+  'endDate',
+  'status',
+  'completedAt',
+  'recurrence',
+  'occurrence',
+  'nextOccurrenceId',
+  'version',
+  'createdAt',
+  'updatedAt'
+];
+
+/**
+ * Relevance of a task for a search string
+ * @param {string} q - Raw search string from the query
+ * @returns {string} SQL expression producing the rank
+ */
+const searchRank = (q) => `ts_rank(search_vector, ${searchQuery(q)})`;
+
+/**
+ * Build the order clause for listing tasks from sortBy and order
+ * Search results are ranked by relevance unless an explicit sort was requested
+ * @param {Object} query - Validated request query
+ * @returns {Array} Sequelize order clause
+ */
+const buildTaskOrder = (query) => {
+  // Sorting parameters with defaults
+  const sortBy = query.sortBy || 'end_date';
+  const order = query.order || 'asc';
+
+  // Map sortBy to actual database column names
+  const sortMapping = {
+    end_date: 'endDate',
+    priority: 'priority',
+    created_at: 'createdAt'
+  };
+
+  // Custom sorting for priority (high > medium > low)
+  let orderClause;
+  if (sortBy === 'priority') {
+    // Custom priority ordering using CASE statement
+    orderClause = [
+      [
+        sequelize.literal(`
+          CASE 
+            WHEN priority = 'high' THEN 1
+            WHEN priority = 'medium' THEN 2
+            WHEN priority = 'low' THEN 3
+          END
+        `),
+        order
+      ]
+    ];
+  } else {
+    orderClause = [[sortMapping[sortBy] || 'endDate', order.toUpperCase()]];
+  }
+
+  if (query.q && !query.sortBy) {
+    orderClause.unshift([sequelize.literal(searchRank(query.q)), 'DESC']);
+  }
+
+  return orderClause;
+};
 
 /**
  * @route   GET /api/tasks
- * @desc    Get all tasks for authenticated user with pagination and sorting
+ * @desc    Get all tasks for authenticated user with pagination, sorting and filters
  * @access  Private
- * @query   page, limit, sortBy, order
+ * @query   page, limit, sortBy, order, status, priority, dueBefore, dueAfter,
+ *          overdue, createdBefore, createdAfter, q, projectId, parentId, tags, tagMatch
  */
 const getTasks = async (req, res) => {
   try {
@@ -15,52 +393,19 @@ const getTasks = async (req, res) => {
     const limit = parseInt(req.query.limit) || 10;
     const offset = (page - 1) * limit;
 
-    // Sorting parameters with defaults
-    const sortBy = req.query.sortBy || 'end_date';
-    const order = req.query.order || 'asc';
-
-    // Map sortBy to actual database column names
-    const sortMapping = {
-      end_date: 'endDate',
-      priority: 'priority',
-      created_at: 'createdAt'
-    };
-
-    // Custom sorting for priority (high > medium > low)
-    let orderClause;
-    if (sortBy === 'priority') {
-      // Custom priority ordering using CASE statement
-      orderClause = [
-        [
-          sequelize.literal(`
-            CASE 
-              WHEN priority = 'high' THEN 1
-              WHEN priority = 'medium' THEN 2
-              WHEN priority = 'low' THEN 3
-            END
-          `),
-          order
-        ]
-      ];
-    } else {
-      orderClause = [[sortMapping[sortBy] || 'endDate', order.toUpperCase()]];
+    const attributes = [...LIST_ATTRIBUTES];
+
+    if (req.query.q) {
+      attributes.push([sequelize.literal(searchRank(req.query.q)), 'rank']);
     }
 
     // Fetch tasks for authenticated user
     const { count, rows: tasks } = await Task.findAndCountAll({
-      where: { userId: req.user.id },
+      where: buildTaskFilters(req.query, req.user.id),
       limit,
       offset,
-      order: orderClause,
-      attributes: [
-        'id',
-        'title',
-        'description',
-        'priority',
-        'endDate',
-        'createdAt',
-        'updatedAt'
-      ]
+      order: buildTaskOrder(req.query),
+      attributes
     });
 
     // Calculate pagination metadata
@@ -77,7 +422,7 @@ const getTasks = async (req, res) => {
         hasNext: page < totalPages,
         hasPrev: page > 1
       },
-      tasks
+      tasks: await serializeTasks(tasks)
     });
   } catch (error) {
     console.error('Get tasks error:', error);
@@ -88,6 +433,85 @@ const getTasks = async (req, res) => {
   }
 };
 
+// Tasks loaded per query while exporting
+const EXPORT_BATCH_SIZE = 200;
+
+/**
+ * Write a chunk, waiting for the client to catch up when its buffer is full
+ * @param {Object} res - Express response
+ * @param {string} chunk - Data to write
+ * @returns {Promise<void>} Resolves when more can be written (or the client left)
+ */
+const writeChunk = (res, chunk) =>
+  res.write(chunk)
+    ? Promise.resolve()
+    : new Promise((resolve) => {
+        const done = () => {
+          res.off('drain', done);
+          res.off('close', done);
+          resolve();
+        };
+        res.on('drain', done);
+        res.on('close', done);
+      });
+
+/**
+ * @route   GET /api/tasks/export
+ * @desc    Download all tasks as CSV, JSON or iCalendar (VTODO)
+ * @access  Private
+ * @query   format (csv, json, ics; default json), plus the sort and filter
+ *          options of GET /api/tasks (page and limit are ignored)
+ */
+const exportTasks = async (req, res) => {
+  try {
+    const format = FORMATS[req.query.format || 'json'];
+
+    // Only the IDs are loaded up front; tasks are loaded and written in batches
+    const ids = (
+      await Task.findAll({
+        where: buildTaskFilters(req.query, req.user.id),
+        order: [...buildTaskOrder(req.query), ['id', 'ASC']],
+        attributes: ['id'],
+        raw: true
+      })
+    ).map((task) => task.id);
+
+    res.status(200);
+    res.type(format.contentType);
+    res.attachment(`tasks-${new Date().toISOString().slice(0, 10)}.${format.extension}`);
+    await writeChunk(res, format.start());
+
+    let index = 0;
+    for (let start = 0; start < ids.length && !res.destroyed; start += EXPORT_BATCH_SIZE) {
+      const batchIds = ids.slice(start, start + EXPORT_BATCH_SIZE);
+      const tasks = await serializeTasks(await Task.findAll({ where: { id: { [Op.in]: batchIds } }, attributes: LIST_ATTRIBUTES }));
+      const byId = new Map(tasks.map((task) => [task.id, task]));
+
+      // Keep the export order; tasks deleted in the meantime are skipped
+      const chunk = batchIds
+        .filter((id) => byId.has(id))
+        .map((id) => format.row(byId.get(id), index++))
+        .join('');
+      await writeChunk(res, chunk);
+    }
+
+    res.end(format.end());
+  } catch (error) {
+    console.error('Export tasks error:', error);
+
+    // Part of the file was sent already; drop the connection so the
+    // download shows up as failed instead of silently truncated
+    if (res.headersSent) {
+      res.destroy();
+      return;
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Could not export tasks.'
+    });
+  }
+};
+
 /**
  * @route   GET /api/tasks/:id
  * @desc    Get single task by ID
@@ -95,22 +519,13 @@ const getTasks = async (req, res) => {
  */
 const getTask = async (req, res) => {
   try {
-    const task = await Task.findOne({
-      where: {
-        id: req.params.id,
-        userId: req.user.id // Ensure user owns the task
-      }
-    });
-
-    if (!task) {
-      return res.status(404).json({
-        success: false,
-        message: 'Task not found or you do not have permission to view it.'
-      });
-    }
+    // Task and role are loaded by authorizeTask('viewer')
+    const [task] = await serializeTasks([req.task]);
 
+    res.set('ETag', req.task.etag());
     res.status(200).json({
       success: true,
+      role: req.taskRole,
       task
     });
   } catch (error) {
@@ -122,6 +537,188 @@ const getTask = async (req, res) => {
   }
 };
 
+/**
+ * Check and create a task for a user
+ * Shared by createTask and bulk operations
+ * @param {Object} data - Validated task fields (see taskValidation)
+ * @param {number} userId - Authenticated user ID
+ * @param {Transaction} transaction - Transaction to write in
+ * @returns {Promise<{task?: Task, error?: string}>} Created task, or an error message
+ */
+const createTaskRecord = async (data, userId, transaction) => {
+  const {
+    title,
+    description,
+    priority,
+    endDate,
+    status,
+    projectId,
+    parentId,
+    assigneeId,
+    tagIds,
+    recurrence
+  } = data;
+
+  const accessError =
+    (await checkProject(projectId, userId, transaction)) ||
+    (await checkParent(parentId, projectId, userId, undefined, transaction)) ||
+    (await checkAssignee(projectId, assigneeId, userId, transaction)) ||
+    (await checkTags(tagIds, userId, transaction));
+  if (accessError) return { error: accessError };
+
+  // Create task associated with authenticated user
+  // completedAt is stamped by the model hook if created as done
+  const task = await Task.create(
+    {
+      userId,
+      title,
+      description,
+      priority,
+      endDate,
+      status,
+      projectId,
+      parentId,
+      assigneeId,
+      recurrence
+    },
+    { transaction, actorId: userId }
+  );
+
+  if (tagIds && tagIds.length) {
+    await task.setTags(tagIds, { transaction });
+  }
+
+  return { task };
+};
+
+/**
+ * Check and apply changes to a task
+ * Fields left undefined keep their current value.
+ * Shared by updateTask (PUT and PATCH) and bulk operations
+ * @param {Task} task - Task the user has editor access to
+ * @param {Object} data - Validated task fields (see taskValidation)
+ * @param {number} userId - Authenticated user ID
+ * @param {Transaction} transaction - Transaction to write in
+ * @returns {Promise<{task?: Task, error?: string}>} Updated task, or an error message
+ */
+const updateTaskRecord = async (task, data, userId, transaction) => {
+  const {
+    title,
+    description,
+    priority,
+    endDate,
+    status,
+    projectId,
+    parentId,
+    assigneeId,
+    tagIds,
+    recurrence
+  } = data;
+
+  // Other members' tags on a shared task may be sent back as the task was
+  // returned; they are kept either way, so only the user's own tags count
+  let ownTagIds = tagIds;
+  if (tagIds && tagIds.length) {
+    const otherTags = await task.getTags({
+      where: { userId: { [Op.ne]: userId } },
+      attributes: ['id'],
+      joinTableAttributes: [],
+      transaction
+    });
+    const otherTagIds = new Set(otherTags.map((tag) => tag.id));
+    ownTagIds = tagIds.filter((id) => !otherTagIds.has(id));
+  }
+
+  const tagError = await checkTags(ownTagIds, userId, transaction);
+  if (tagError) return { error: tagError };
+
+  // Enforce allowed status transitions (e.g. cancelled -> done is not allowed)
+  if (status !== undefined && !task.canTransitionTo(status)) {
+    return { error: `Cannot change task status from ${task.status} to ${status}.` };
+  }
+
+  // Only check the project when it is being changed
+  if (projectId !== undefined && projectId !== task.projectId) {
+    const projectError = await checkProject(projectId, userId, transaction);
+    if (projectError) return { error: projectError };
+  }
+
+  // Parent and assignee must still be allowed after a project move
+  const nextProjectId = projectId !== undefined ? projectId : task.projectId;
+  const nextParentId = parentId !== undefined ? parentId : task.parentId;
+  const nextAssigneeId = assigneeId !== undefined ? assigneeId : task.assigneeId;
+  const relationError =
+    (parentId !== undefined || projectId !== undefined
+      ? await checkParent(nextParentId, nextProjectId, userId, task, transaction)
+      : null) || (await checkAssignee(nextProjectId, nextAssigneeId, task.userId, transaction));
+  if (relationError) return { error: relationError };
+
+  // Update the given fields; null clears nullable ones (description, recurrence)
+  const fields = { title, description, priority, endDate, status, recurrence };
+  Object.entries(fields).forEach(([field, value]) => {
+    if (value !== undefined) task[field] = value;
+  });
+  const projectChanged = nextProjectId !== task.projectId;
+
+  task.projectId = nextProjectId;
+  task.parentId = nextParentId;
+  task.assigneeId = nextAssigneeId;
+
+  // Completing a recurring task creates its next occurrence (Task afterSave hook)
+  await task.save({ transaction, actorId: userId });
+
+  // Subtasks follow their parent into the new project; saved one by one so
+  // each gets a new version (ETag) like any other edit
+  if (projectChanged) {
+    const subtasks = await Task.findAll({ where: { parentId: task.id }, paranoid: false, transaction });
+    for (const subtask of subtasks) {
+      subtask.projectId = nextProjectId;
+      await subtask.save({ transaction, actorId: userId });
+    }
+  }
+
+  // tagIds replaces the user's own tags on the task when given ([] removes
+  // them all); tags other members put on a shared task are left alone
+  if (ownTagIds !== undefined) {
+    const wanted = new Set(ownTagIds);
+    const ownTags = await task.getTags({
+      where: { userId },
+      attributes: ['id'],
+      joinTableAttributes: [],
+      transaction
+    });
+
+    await task.removeTags(
+      ownTags.filter((tag) => !wanted.has(tag.id)),
+      { transaction }
+    );
+    await task.addTags([...wanted], { transaction });
+  }
+
+  return { task };
+};
+
+/**
+ * Send a task event to the webhooks subscribed to it
+ * Call once the change is committed; never throws
+ * @param {string} event - task.created, task.updated or task.deleted
+ * @param {Task} task - Task the event is about
+ * @param {Object|null} serialized - Task as returned by the API (null for deletions)
+ * @param {User} user - Acting user
+ * @returns {Promise<void>}
+ */
+const emitTaskWebhook = (event, task, serialized, user) =>
+  emitTaskEvent(event, task, {
+    task: serialized || {
+      id: task.id,
+      title: task.title,
+      projectId: task.projectId,
+      parentId: task.parentId,
+      deletedAt: task.deletedAt
+    },
+    actor: { id: user.id, name: user.name }
+  });
+
 /**
  * @route   POST /api/tasks
  * @desc    Create new task
@@ -129,21 +726,24 @@ const getTask = async (req, res) => {
  */
 const createTask = async (req, res) => {
   try {
-    const { title, description, priority, endDate } = req.body;
+    const { task, error } = await sequelize.transaction((transaction) =>
+      createTaskRecord(req.body, req.user.id, transaction)
+    );
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
 
-    // Create task associated with authenticated user
-    const task = await Task.create({
-      userId: req.user.id,
-      title,
-      description,
-      priority,
-      endDate
-    });
+    const [result] = await serializeTasks([task]);
+    await emitTaskWebhook('task.created', task, result, req.user);
 
+    res.set('ETag', task.etag());
     res.status(201).json({
       success: true,
       message: 'Task created successfully',
-      task
+      task: result
     });
   } catch (error) {
     console.error('Create task error:', error);
@@ -169,44 +769,44 @@ const createTask = async (req, res) => {
 
 /**
  * @route   PUT /api/tasks/:id
- * @desc    Update task
+ * @route   PATCH /api/tasks/:id
+ * @desc    Update task (PUT sends every required field, PATCH any subset).
+ *          Honours If-Match via checkTaskIfMatch and returns the new ETag.
  * @access  Private
  */
 const updateTask = async (req, res) => {
   try {
-    const { title, description, priority, endDate } = req.body;
-
-    // Find task and verify ownership
-    const task = await Task.findOne({
-      where: {
-        id: req.params.id,
-        userId: req.user.id
-      }
-    });
-
-    if (!task) {
-      return res.status(404).json({
+    // Task is loaded and editor access verified by authorizeTask('editor')
+    const { task, error } = await sequelize.transaction((transaction) =>
+      updateTaskRecord(req.task, req.body, req.user.id, transaction)
+    );
+    if (error) {
+      return res.status(400).json({
         success: false,
-        message: 'Task not found or you do not have permission to update it.'
+        message: error
       });
     }
 
-    // Update task fields
-    task.title = title || task.title;
-    task.description = description !== undefined ? description : task.description;
-    task.priority = priority || task.priority;
-    task.endDate = endDate || task.endDate;
-
-    await task.save();
+    const [result] = await serializeTasks([task]);
+    await emitTaskWebhook('task.updated', task, result, req.user);
 
+    res.set('ETag', task.etag());
     res.status(200).json({
       success: true,
       message: 'Task updated successfully',
-      task
+      task: result
     });
   } catch (error) {
     console.error('Update task error:', error);
 
+    // Someone else saved the task between loading and saving it
+    if (error.name === 'SequelizeOptimisticLockError') {
+      return res.status(412).json({
+        success: false,
+        message: 'Task has been modified since you last loaded it. Reload it and try again.'
+      });
+    }
+
     // Handle Sequelize validation errors
     if (error.name === 'SequelizeValidationError') {
       return res.status(400).json({
@@ -228,46 +828,706 @@ const updateTask = async (req, res) => {
 
 /**
  * @route   DELETE /api/tasks/:id
- * @desc    Delete task
+ * @desc    Move task (and its subtasks) to the trash
  * @access  Private
  */
 const deleteTask = async (req, res) => {
   try {
-    // Find task and verify ownership
-    const task = await Task.findOne({
+    // Task is loaded and editor access verified by authorizeTask('editor')
+    // Soft delete; subtasks are trashed by the Task afterDestroy hook
+    await sequelize.transaction((transaction) => req.task.destroy({ transaction, actorId: req.user.id }));
+    await emitTaskWebhook('task.deleted', req.task, null, req.user);
+
+    res.status(200).json({
+      success: true,
+      message: 'Task moved to trash',
+      purgeAt: purgeDate(req.task.deletedAt)
+    });
+  } catch (error) {
+    console.error('Delete task error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Could not delete task.'
+    });
+  }
+};
+
+/**
+ * @route   GET /api/tasks/trash
+ * @desc    Get trashed tasks the user can see, most recently deleted first
+ * @access  Private
+ */
+const getTrash = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const offset = (page - 1) * limit;
+
+    const { count, rows: tasks } = await Task.findAndCountAll({
       where: {
-        id: req.params.id,
-        userId: req.user.id
+        [Op.and]: [accessibleTasksWhere(req.user.id), { deletedAt: { [Op.ne]: null } }]
+      },
+      paranoid: false,
+      limit,
+      offset,
+      order: [['deletedAt', 'DESC']]
+    });
+
+    const totalPages = Math.ceil(count / limit);
+    const serialized = await serializeTasks(tasks);
+
+    res.status(200).json({
+      success: true,
+      count: tasks.length,
+      retentionDays: TRASH_RETENTION_DAYS,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalTasks: count,
+        limit,
+        hasNext: page < totalPages,
+        hasPrev: page > 1
+      },
+      tasks: serialized.map((task) => ({ ...task, purgeAt: purgeDate(task.deletedAt) }))
+    });
+  } catch (error) {
+    console.error('Get trash error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Could not fetch trash.'
+    });
+  }
+};
+
+/**
+ * @route   POST /api/tasks/:id/restore
+ * @desc    Restore a task (and the subtasks trashed with it) from the trash
+ * @access  Private
+ */
+const restoreTask = async (req, res) => {
+  try {
+    // Task is loaded (including trashed) by authorizeTask('editor', { trashed: true })
+    const task = req.task;
+
+    if (!task.deletedAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'Task is not in the trash.'
+      });
+    }
+
+    // A subtask can only come back under a live parent
+    if (task.parentId && !(await Task.findByPk(task.parentId))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Restore the parent task first.'
+      });
+    }
+
+    await sequelize.transaction((transaction) => task.restore({ transaction, actorId: req.user.id }));
+
+    const [result] = await serializeTasks([task]);
+
+    res.set('ETag', task.etag());
+    res.status(200).json({
+      success: true,
+      message: 'Task restored successfully',
+      task: result
+    });
+  } catch (error) {
+    console.error('Restore task error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Could not restore task.'
+    });
+  }
+};
+
+/**
+ * @route   DELETE /api/tasks/:id/purge
+ * @desc    Permanently delete a trashed task with its subtasks, checklist and tags
+ * @access  Private
+ */
+const purgeTask = async (req, res) => {
+  try {
+    // Task is loaded (including trashed) by authorizeTask('editor', { trashed: true })
+    if (!req.task.deletedAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only tasks in the trash can be purged. Delete the task first.'
+      });
+    }
+
+    // Subtasks, checklist items, comments and tag links go with it (ON DELETE CASCADE),
+    // attachment files are removed from storage
+    await Task.purge({ id: req.task.id });
+
+    res.status(200).json({
+      success: true,
+      message: 'Task permanently deleted'
+    });
+  } catch (error) {
+    console.error('Purge task error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Could not purge task.'
+    });
+  }
+};
+
+/**
+ * @route   GET /api/tasks/:id/history
+ * @desc    Get a task's activity history, newest first
+ * @access  Private
+ */
+const getTaskHistory = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const offset = (page - 1) * limit;
+
+    // Task and viewer access are checked by authorizeTask('viewer')
+    const { count, rows: events } = await TaskEvent.findAndCountAll({
+      where: { taskId: req.task.id },
+      include: [{ model: User, as: 'actor', attributes: ['id', 'name'] }],
+      limit,
+      offset,
+      order: [
+        ['createdAt', 'DESC'],
+        ['id', 'DESC']
+      ]
+    });
+
+    const totalPages = Math.ceil(count / limit);
+
+    res.status(200).json({
+      success: true,
+      count: events.length,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalEvents: count,
+        limit,
+        hasNext: page < totalPages,
+        hasPrev: page > 1
+      },
+      events: events.map((event) => ({
+        id: event.id,
+        action: event.action,
+        changes: event.changes,
+        actor: event.actor ? { id: event.actor.id, name: event.actor.name } : null,
+        createdAt: event.createdAt
+      }))
+    });
+  } catch (error) {
+    console.error('Get task history error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Could not fetch task history.'
+    });
+  }
+};
+
+/**
+ * @route   GET /api/tasks/:id/occurrences
+ * @desc    Preview the next due dates of a recurring task
+ * @access  Private
+ */
+const getOccurrences = async (req, res) => {
+  try {
+    // Task is loaded and viewer access verified by authorizeTask('viewer')
+    const task = req.task;
+
+    if (!task.recurrence) {
+      return res.status(400).json({
+        success: false,
+        message: 'Task does not recur.'
+      });
+    }
+
+    const count = req.query.count || 5;
+    const dates = nextOccurrences(task.recurrence, task.endDate, task.occurrence, count);
+
+    res.status(200).json({
+      success: true,
+      recurrence: task.recurrence,
+      occurrences: dates.map((endDate, index) => ({
+        occurrence: task.occurrence + index + 1,
+        endDate
+      }))
+    });
+  } catch (error) {
+    console.error('Get occurrences error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Could not preview occurrences.'
+    });
+  }
+};
+
+/**
+ * Load a task for a bulk operation and check editor access
+ * @param {number} id - Task ID
+ * @param {number} userId - Authenticated user ID
+ * @param {Transaction} transaction - Bulk transaction
+ * @returns {Promise<{task?: Task, error?: string}>} Task, or an error message
+ */
+const loadEditableTask = async (id, userId, transaction) => {
+  const task = await Task.findByPk(id, { transaction });
+  const role = task ? await getTaskRole(task, userId, transaction) : null;
+
+  if (!role) return { error: 'Task not found or you do not have permission to view it.' };
+  if (!hasRole(role, 'editor')) return { error: 'You do not have permission to modify this task.' };
+  return { task };
+};
+
+/**
+ * Run a single bulk operation
+ * @param {Object} operation - Validated operation (see bulkTaskValidation)
+ * @param {number} userId - Authenticated user ID
+ * @param {Transaction} transaction - Savepoint for this operation
+ * @returns {Promise<{task?: Task, error?: string}>} Affected task, or an error message
+ */
+const runBulkOperation = async (operation, userId, transaction) => {
+  if (operation.op === 'create') {
+    return createTaskRecord(operation.task, userId, transaction);
+  }
+
+  const { task, error } = await loadEditableTask(operation.id, userId, transaction);
+  if (error) return { error };
+
+  switch (operation.op) {
+    case 'update':
+      return updateTaskRecord(task, operation.task, userId, transaction);
+    case 'priority':
+      return updateTaskRecord(task, { priority: operation.priority }, userId, transaction);
+    case 'status':
+      return updateTaskRecord(task, { status: operation.status }, userId, transaction);
+    case 'delete':
+      await task.destroy({ transaction, actorId: userId });
+      return { task };
+    default:
+      return { error: `Unknown operation: ${operation.op}` };
+  }
+};
+
+/**
+ * @route   POST /api/tasks/bulk
+ * @desc    Run up to 100 create/update/delete/priority/status operations
+ *          in one transaction. Nothing is applied unless every
+ *          operation succeeds; results are reported per operation either way.
+ * @access  Private
+ */
+const bulkTasks = async (req, res) => {
+  try {
+    const { operations } = req.body;
+    const results = [];
+    const applied = [];
+
+    const transaction = await sequelize.transaction();
+    try {
+      for (const [index, operation] of operations.entries()) {
+        try {
+          // Each operation runs in a savepoint so a failing one does not
+          // abort the transaction and later operations can still report
+          const { task, error } = await sequelize.transaction({ transaction }, (savepoint) =>
+            runBulkOperation(operation, req.user.id, savepoint)
+          );
+
+          if (error) {
+            results.push({ index, op: operation.op, id: operation.id, success: false, message: error });
+          } else {
+            results.push({ index, op: operation.op, id: task.id, success: true });
+            applied.push({ op: operation.op, task });
+          }
+        } catch (error) {
+          const lockError = error.name === 'SequelizeOptimisticLockError';
+          if (!lockError && error.name !== 'SequelizeValidationError') throw error;
+          results.push({
+            index,
+            op: operation.op,
+            id: operation.id,
+            success: false,
+            message: lockError
+              ? 'Task has been modified concurrently.'
+              : error.errors.map((err) => err.message).join(' ')
+          });
+        }
+      }
+
+      if (results.some((result) => !result.success)) {
+        await transaction.rollback();
+      } else {
+        await transaction.commit();
       }
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+
+    const failed = results.filter((result) => !result.success).length;
+    if (failed) {
+      return res.status(400).json({
+        success: false,
+        message: `${failed} of ${operations.length} operation(s) failed. No changes were applied.`,
+        results
+      });
+    }
+
+    // Attach the serialized task to create/update/priority/status results
+    const serialized = await serializeTasks(
+      applied.filter(({ op }) => op !== 'delete').map(({ task }) => task)
+    );
+    const byId = new Map(serialized.map((task) => [task.id, task]));
+    results.forEach((result) => {
+      if (result.op !== 'delete') result.task = byId.get(result.id);
+    });
+
+    for (const { op, task } of applied) {
+      const event = op === 'create' ? 'task.created' : op === 'delete' ? 'task.deleted' : 'task.updated';
+      await emitTaskWebhook(event, task, op === 'delete' ? null : byId.get(task.id), req.user);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `${operations.length} operation(s) applied successfully`,
+      results
+    });
+  } catch (error) {
+    console.error('Bulk tasks error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Could not apply bulk operations.'
     });
+  }
+};
+
+// Rows shown in a dry run's preview
+const IMPORT_PREVIEW_ROWS = 20;
+
+/**
+ * Map tag names to the user's tag IDs, creating the tags that do not exist
+ * @param {string[]} names - Tag names
+ * @param {number} userId - Authenticated user ID
+ * @param {Transaction} transaction - Transaction to write in
+ * @returns {Promise<Map<string, number>>} Tag ID by name
+ */
+const resolveTagIds = async (names, userId, transaction) => {
+  if (!names.length) return new Map();
+
+  await Tag.bulkCreate(
+    names.map((name) => ({ userId, name })),
+    { ignoreDuplicates: true, transaction }
+  );
+  const tags = await Tag.findAll({
+    where: { userId, name: { [Op.in]: names } },
+    attributes: ['id', 'name'],
+    transaction
+  });
+
+  return new Map(tags.map((tag) => [tag.name, tag.id]));
+};
+
+/**
+ * @route   POST /api/tasks/import
+ * @desc    Import tasks from a CSV or JSON file in one transaction
+ * @access  Private
+ * @body    multipart/form-data: file, mapping (JSON { field: column }), dryRun
+ */
+const importTasks = async (req, res) => {
+  try {
+    const { records, columns, error: readError } = readRecords(req.file.buffer, req.file.format);
+    const { columnFor, error } = readError ? { error: readError } : resolveColumns(columns, req.body.mapping);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    // Check every row before writing anything; rows are numbered from 1,
+    // not counting the CSV header
+    const rows = [];
+    const errors = [];
+    let skipped = 0;
+
+    for (const [index, record] of records.entries()) {
+      if (!isTaskRecord(record)) {
+        skipped += 1;
+        continue;
+      }
+
+      const { task, tags, errors: recordErrors } = normalizeRecord(record, columnFor);
+      // The importer's own message about a field replaces the generic one
+      const flagged = new Set(recordErrors.map(({ field }) => field));
+      const rowErrors = [
+        ...(await validateTaskObject(task)).filter(({ field }) => !flagged.has(field)),
+        ...recordErrors
+      ];
+
+      rowErrors.forEach((rowError) => errors.push({ row: index + 1, ...rowError }));
+      if (!rowErrors.length) rows.push({ row: index + 1, task, tags });
+    }
 
-    if (!task) {
-      return res.status(404).json({
+    const tagNames = [...new Set(rows.flatMap(({ tags }) => tags))];
+    const invalidRows = new Set(errors.map(({ row }) => row)).size;
+
+    if (req.body.dryRun) {
+      const existingTags = await Tag.findAll({
+        where: { userId: req.user.id, name: { [Op.in]: tagNames } },
+        attributes: ['name']
+      });
+      const existingNames = new Set(existingTags.map((tag) => tag.name));
+
+      return res.status(200).json({
+        success: true,
+        dryRun: true,
+        message: invalidRows
+          ? `${invalidRows} row(s) have errors. Fix them before importing.`
+          : `${rows.length} task(s) ready to import`,
+        total: records.length,
+        valid: rows.length,
+        invalid: invalidRows,
+        skipped,
+        columns: columnFor,
+        newTags: tagNames.filter((name) => !existingNames.has(name)),
+        errors,
+        preview: rows.slice(0, IMPORT_PREVIEW_ROWS).map(({ row, task, tags }) => ({
+          row,
+          ...task,
+          endDate: task.endDate.toISOString().slice(0, 10),
+          tags
+        }))
+      });
+    }
+
+    if (errors.length) {
+      return res.status(400).json({
         success: false,
-        message: 'Task not found or you do not have permission to delete it.'
+        message: `Validation failed for ${invalidRows} row(s). No tasks were imported.`,
+        errors
       });
     }
+    if (!rows.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'File contains no tasks.'
+      });
+    }
+
+    const created = [];
+    let failure = null;
+
+    const transaction = await sequelize.transaction();
+    try {
+      const tagIds = await resolveTagIds(tagNames, req.user.id, transaction);
+
+      for (const { row, task, tags } of rows) {
+        try {
+          const { task: record, error: createError } = await createTaskRecord(
+            { ...task, tagIds: tags.map((name) => tagIds.get(name)) },
+            req.user.id,
+            transaction
+          );
+
+          if (createError) {
+            failure = { row, message: createError };
+            break;
+          }
+          created.push(record);
+        } catch (error) {
+          if (error.name !== 'SequelizeValidationError') throw error;
+          failure = { row, message: error.errors.map((err) => err.message).join(' ') };
+          break;
+        }
+      }
+
+      if (failure) {
+        await transaction.rollback();
+      } else {
+        await transaction.commit();
+      }
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+
+    if (failure) {
+      return res.status(400).json({
+        success: false,
+        message: `Row ${failure.row} could not be imported. No tasks were imported.`,
+        errors: [failure]
+      });
+    }
+
+    const tasks = await serializeTasks(created);
+    for (const [index, task] of created.entries()) {
+      await emitTaskWebhook('task.created', task, tasks[index], req.user);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `${tasks.length} task(s) imported successfully`,
+      count: tasks.length,
+      skipped,
+      tasks
+    });
+  } catch (error) {
+    console.error('Import tasks error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Could not import tasks.'
+    });
+  }
+};
+
+// Days of created/completed counts returned when ?days is not given
+const STATS_DEFAULT_DAYS = 30;
+
+const STATS_PRIORITIES = ['high', 'medium', 'low'];
 
-    await task.destroy();
+// Last day (Sunday) of the current ISO week
+const WEEK_END_SQL = `(date_trunc('week', CURRENT_DATE) + INTERVAL '6 days')::date`;
+
+/**
+ * The YYYY-MM-DD dates of a period ending on a given day
+ * @param {string} lastDay - Last day (YYYY-MM-DD)
+ * @param {number} days - Number of days
+ * @returns {string[]} Dates, oldest first
+ */
+const periodDates = (lastDay, days) => {
+  const end = new Date(`${lastDay}T00:00:00Z`);
+  return Array.from({ length: days }, (_, index) => {
+    const date = new Date(end);
+    date.setUTCDate(end.getUTCDate() - (days - 1 - index));
+    return date.toISOString().slice(0, 10);
+  });
+};
+
+/**
+ * @route   GET /api/tasks/stats
+ * @desc    Dashboard statistics of the user's own tasks, aggregated in SQL:
+ *          counts by status and priority, overdue and upcoming open tasks,
+ *          tasks created and completed per day and average completion time
+ * @access  Private
+ * @query   days - Days of daily counts, ending today (default 30)
+ */
+const getTaskStats = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const days = req.query.days || STATS_DEFAULT_DAYS;
+    const periodStart = sequelize.literal(`CURRENT_DATE - ${days - 1}`);
+
+    const [counts, [due], created, completed] = await Promise.all([
+      Task.findAll({
+        where: { userId },
+        attributes: ['status', 'priority', [sequelize.fn('COUNT', sequelize.col('id')), 'count']],
+        group: ['status', 'priority'],
+        raw: true
+      }),
+      // Open tasks due by the end of the week: a range scan of idx_tasks_user_end_date
+      Task.findAll({
+        where: {
+          userId,
+          endDate: { [Op.lte]: sequelize.literal(WEEK_END_SQL) },
+          status: { [Op.notIn]: ['done', 'cancelled'] }
+        },
+        attributes: [
+          [sequelize.literal(`to_char(CURRENT_DATE, 'YYYY-MM-DD')`), 'today'],
+          [sequelize.literal(`COUNT(*) FILTER (WHERE end_date < CURRENT_DATE)`), 'overdue'],
+          [sequelize.literal(`COUNT(*) FILTER (WHERE end_date = CURRENT_DATE)`), 'dueToday'],
+          [sequelize.literal(`COUNT(*) FILTER (WHERE end_date >= CURRENT_DATE)`), 'dueThisWeek']
+        ],
+        raw: true
+      }),
+      // Uses idx_tasks_user_created_at
+      Task.findAll({
+        where: { userId, createdAt: { [Op.gte]: periodStart } },
+        attributes: [
+          [sequelize.literal(`to_char(created_at, 'YYYY-MM-DD')`), 'date'],
+          [sequelize.fn('COUNT', sequelize.col('id')), 'count']
+        ],
+        group: [sequelize.literal(`to_char(created_at, 'YYYY-MM-DD')`)],
+        raw: true
+      }),
+      Task.findAll({
+        where: { userId, status: 'done', completedAt: { [Op.gte]: periodStart } },
+        attributes: [
+          [sequelize.literal(`to_char(completed_at, 'YYYY-MM-DD')`), 'date'],
+          [sequelize.fn('COUNT', sequelize.col('id')), 'count'],
+          [sequelize.literal('SUM(EXTRACT(EPOCH FROM completed_at - created_at))'), 'seconds']
+        ],
+        group: [sequelize.literal(`to_char(completed_at, 'YYYY-MM-DD')`)],
+        raw: true
+      })
+    ]);
+
+    const byStatus = Object.fromEntries(Task.STATUSES.map((status) => [status, 0]));
+    const byPriority = Object.fromEntries(STATS_PRIORITIES.map((priority) => [priority, 0]));
+    counts.forEach((row) => {
+      byStatus[row.status] += parseInt(row.count);
+      byPriority[row.priority] += parseInt(row.count);
+    });
+
+    const createdOn = Object.fromEntries(created.map((row) => [row.date, parseInt(row.count)]));
+    const completedOn = Object.fromEntries(completed.map((row) => [row.date, parseInt(row.count)]));
+    const daily = periodDates(due.today, days).map((date) => ({
+      date,
+      created: createdOn[date] || 0,
+      completed: completedOn[date] || 0
+    }));
+
+    const completedCount = completed.reduce((sum, row) => sum + parseInt(row.count), 0);
+    const completedSeconds = completed.reduce((sum, row) => sum + parseFloat(row.seconds), 0);
 
     res.status(200).json({
       success: true,
-      message: 'Task deleted successfully'
+      stats: {
+        total: counts.reduce((sum, row) => sum + parseInt(row.count), 0),
+        open: byStatus.todo + byStatus.in_progress,
+        byStatus,
+        byPriority,
+        overdue: parseInt(due.overdue),
+        dueToday: parseInt(due.dueToday),
+        dueThisWeek: parseInt(due.dueThisWeek),
+        period: {
+          days,
+          from: daily[0].date,
+          to: due.today,
+          created: daily.reduce((sum, day) => sum + day.created, 0),
+          completed: completedCount,
+          // Hours from creation to completion of the tasks completed in the period
+          averageCompletionHours: completedCount
+            ? Math.round((completedSeconds / completedCount / 3600) * 10) / 10
+            : null
+        },
+        daily
+      }
     });
   } catch (error) {
-    console.error('Delete task error:', error);
+    console.error('Get task stats error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error. Could not delete task.'
+      message: 'Server error. Could not fetch task statistics.'
     });
   }
 };
 
 module.exports = {
   getTasks,
+  exportTasks,
+  importTasks,
+  getTaskStats,
   getTask,
+  getOccurrences,
+  getTaskHistory,
   createTask,
   updateTask,
-  deleteTask
+  deleteTask,
+  getTrash,
+  restoreTask,
+  purgeTask,
+  bulkTasks
 };
 
@@ -0,0 +1,337 @@
+const { Webhook, WebhookDelivery } = require('../models');
+const { generateWebhookSecret, attemptDelivery } = require('../utils/webhooks');
+
+// Webhooks one user may register
+const MAX_WEBHOOKS_PER_USER = 10;
+
+/**
+ * Shape a webhook for the API
+ * The secret is only returned in full when it is created or rotated
+ * @param {Webhook} webhook - Webhook instance
+ * @param {boolean} [withSecret] - Include the full secret
+ * @returns {Object} Webhook JSON
+ */
+const serializeWebhook = (webhook, withSecret = false) => ({
+  id: webhook.id,
+  url: webhook.url,
+  description: webhook.description,
+  events: webhook.events,
+  active: webhook.active,
+  ...(withSecret ? { secret: webhook.secret } : { secretHint: `…${webhook.secret.slice(-4)}` }),
+  createdAt: webhook.createdAt,
+  updatedAt: webhook.updatedAt
+});
+
+/**
+ * Shape a delivery for the API
+ * @param {WebhookDelivery} delivery - Delivery instance
+ * @returns {Object} Delivery JSON
+ */
+const serializeDelivery = (delivery) => ({
+  id: delivery.id,
+  event: delivery.event,
+  status: delivery.status,
+  attempts: delivery.attempts,
+  responseStatus: delivery.responseStatus,
+  lastError: delivery.lastError,
+  durationMs: delivery.durationMs,
+  nextAttemptAt: delivery.status === 'failed' ? delivery.nextAttemptAt : null,
+  deliveredAt: delivery.deliveredAt,
+  payload: delivery.payload,
+  createdAt: delivery.createdAt
+});
+
+/**
+ * Find one of the current user's webhooks
+ * Sends 404 if it does not exist or belongs to someone else
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<Webhook|null>} Webhook, or null if a response was sent
+ */
+const findOwnWebhook = async (req, res) => {
+  const webhook = await Webhook.findOne({
+    where: { id: req.params.id, userId: req.user.id }
+  });
+
+  if (!webhook) {
+    res.status(404).json({
+      success: false,
+      message: 'Webhook not found.'
+    });
+    return null;
+  }
+
+  return webhook;
+};
+
+/**
+ * @route   GET /api/webhooks
+ * @desc    Get the current user's webhooks
+ * @access  Private
+ */
+const getWebhooks = async (req, res) => {
+  try {
+    const webhooks = await Webhook.findAll({
+      where: { userId: req.user.id },
+      order: [['createdAt', 'ASC']]
+    });
+
+    res.status(200).json({
+      success: true,
+      count: webhooks.length,
+      webhooks: webhooks.map((webhook) => serializeWebhook(webhook))
+    });
+  } catch (error) {
+    console.error('Get webhooks error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Could not fetch webhooks.'
+    });
+  }
+};
+
+/**
+ * @route   GET /api/webhooks/:id
+ * @desc    Get a webhook
+ * @access  Private
+ */
+const getWebhook = async (req, res) => {
+  try {
+    const webhook = await findOwnWebhook(req, res);
+    if (!webhook) return;
+
+    res.status(200).json({
+      success: true,
+      webhook: serializeWebhook(webhook)
+    });
+  } catch (error) {
+    console.error('Get webhook error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Could not fetch webhook.'
+    });
+  }
+};
+
+/**
+ * @route   POST /api/webhooks
+ * @desc    Register a webhook; the response holds its signing secret
+ * @access  Private
+ */
+const createWebhook = async (req, res) => {
+  try {
+    const { url, description, events, active } = req.body;
+
+    const count = await Webhook.count({ where: { userId: req.user.id } });
+    if (count >= MAX_WEBHOOKS_PER_USER) {
+      return res.status(400).json({
+        success: false,
+        message: `You can register at most ${MAX_WEBHOOKS_PER_USER} webhooks.`
+      });
+    }
+
+    const webhook = await Webhook.create({
+      userId: req.user.id,
+      url,
+      description: description || null,
+      events: events ? [...new Set(events)] : undefined,
+      active,
+      secret: generateWebhookSecret()
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Webhook created successfully. Store the secret now; it is not shown again.',
+      webhook: serializeWebhook(webhook, true)
+    });
+  } catch (error) {
+    console.error('Create webhook error:', error);
+
+    // Handle Sequelize validation errors
+    if (error.name === 'SequelizeValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.errors.map(err => ({
+          field: err.path,
+          message: err.message
+        }))
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Could not create webhook.'
+    });
+  }
+};
+
+/**
+ * @route   PUT /api/webhooks/:id
+ * @desc    Update a webhook (rotateSecret: true issues a new secret)
+ * @access  Private
+ */
+const updateWebhook = async (req, res) => {
+  try {
+    const webhook = await findOwnWebhook(req, res);
+    if (!webhook) return;
+
+    const { url, description, events, active, rotateSecret } = req.body;
+
+    if (url !== undefined) webhook.url = url;
+    if (description !== undefined) webhook.description = description || null;
+    if (events !== undefined) webhook.events = [...new Set(events)];
+    if (active !== undefined) webhook.active = active;
+    if (rotateSecret) webhook.secret = generateWebhookSecret();
+
+    await webhook.save();
+
+    res.status(200).json({
+      success: true,
+      message: rotateSecret
+        ? 'Webhook updated successfully. Store the new secret now; it is not shown again.'
+        : 'Webhook updated successfully',
+      webhook: serializeWebhook(webhook, Boolean(rotateSecret))
+    });
+  } catch (error) {
+    console.error('Update webhook error:', error);
+
+    // Handle Sequelize validation errors
+    if (error.name === 'SequelizeValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.errors.map(err => ({
+          field: err.path,
+          message: err.message
+        }))
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Could not update webhook.'
+    });
+  }
+};
+
+/**
+ * @route   DELETE /api/webhooks/:id
+ * @desc    Delete a webhook and its delivery log
+ * @access  Private
+ */
+const deleteWebhook = async (req, res) => {
+  try {
+    const webhook = await findOwnWebhook(req, res);
+    if (!webhook) return;
+
+    await webhook.destroy();
+
+    res.status(200).json({
+      success: true,
+      message: 'Webhook deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete webhook error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Could not delete webhook.'
+    });
+  }
+};
+
+/**
+ * @route   GET /api/webhooks/:id/deliveries
+ * @desc    Get a webhook's delivery log, newest first, with pagination
+ * @access  Private
+ */
+const getWebhookDeliveries = async (req, res) => {
+  try {
+    const webhook = await findOwnWebhook(req, res);
+    if (!webhook) return;
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const offset = (page - 1) * limit;
+
+    const { count, rows: deliveries } = await WebhookDelivery.findAndCountAll({
+      where: { webhookId: webhook.id },
+      limit,
+      offset,
+      order: [
+        ['createdAt', 'DESC'],
+        ['id', 'DESC']
+      ]
+    });
+
+    const totalPages = Math.ceil(count / limit);
+
+    res.status(200).json({
+      success: true,
+      count: deliveries.length,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalDeliveries: count,
+        limit,
+        hasNext: page < totalPages,
+        hasPrev: page > 1
+      },
+      deliveries: deliveries.map(serializeDelivery)
+    });
+  } catch (error) {
+    console.error('Get webhook deliveries error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Could not fetch deliveries.'
+    });
+  }
+};
+
+/**
+ * @route   POST /api/webhooks/:id/test
+ * @desc    Send a webhook.test event now and report the result
+ *          (sent even if the webhook is inactive; retried like any other event)
+ * @access  Private
+ */
+const testWebhook = async (req, res) => {
+  try {
+    const webhook = await findOwnWebhook(req, res);
+    if (!webhook) return;
+
+    const delivery = await WebhookDelivery.create({
+      webhookId: webhook.id,
+      event: 'webhook.test',
+      payload: {
+        message: 'This is a test event.',
+        webhook: { id: webhook.id, url: webhook.url }
+      }
+    });
+    await attemptDelivery(delivery, webhook);
+
+    res.status(200).json({
+      success: true,
+      message:
+        delivery.status === 'delivered'
+          ? 'Test event delivered'
+          : `Test event failed: ${delivery.lastError}`,
+      delivery: serializeDelivery(delivery)
+    });
+  } catch (error) {
+    console.error('Test webhook error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Could not send test event.'
+    });
+  }
+};
+
+module.exports = {
+  getWebhooks,
+  getWebhook,
+  createWebhook,
+  updateWebhook,
+  deleteWebhook,
+  getWebhookDeliveries,
+  testWebhook
+};
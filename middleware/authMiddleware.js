@@ -1,10 +1,12 @@
 const jwt = require('jsonwebtoken');
-const { User } = require('../models');
+const { User, Session } = require('../models');
 
 /**
  * Authentication Middleware
  * Verifies JWT token from cookies or Authorization header
- * Attaches authenticated user to req.user
+ * and checks that the session it belongs to has not been revoked
+ * Attaches authenticated user to req.user, session ID to req.sessionId and
+ * the access token's expiry to req.tokenExpiresAt
  * 
  * Security benefits of httpOnly cookies:
  * - Not accessible via JavaScript (prevents XSS attacks)
@@ -38,6 +40,18 @@ const protect = async (req, res, next) => {
     // Verify token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+    // Reject tokens whose session was revoked (logout, device removed, reuse detected)
+    const session = decoded.sid
+      ? await Session.findOne({ where: { id: decoded.sid, userId: decoded.id } })
+      : null;
+
+    if (!session || !session.isActive()) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session has expired or been revoked. Please login again.'
+      });
+    }
+
     // Fetch user from database (excluding password)
     const user = await User.findByPk(decoded.id, {
       attributes: { exclude: ['password'] }
@@ -50,8 +64,10 @@ const protect = async (req, res, next) => {
       });
     }
 
-    // Attach user to request object
+    // Attach user and session to request object
     req.user = user;
+    req.sessionId = session.id;
+    req.tokenExpiresAt = new Date(decoded.exp * 1000);
     next();
   } catch (error) {
     // Handle specific JWT errors
@@ -0,0 +1,90 @@
+const { Task, Project } = require('../models');
+const { hasRole, getTaskRole, getProjectRole } = require('../utils/permissions');
+
+/**
+ * Authorization Middleware
+ * Must run after protect. Loads the resource named by req.params.id,
+ * resolves the user's role on it and rejects the request when the role
+ * is insufficient.
+ *
+ * - No access at all -> 404 (existence is not revealed)
+ * - Access but role too low -> 403
+ */
+
+/**
+ * Require a minimum role on the task in req.params.id
+ * Attaches req.task and req.taskRole
+ * @param {string} required - viewer, editor or owner
+ * @param {Object} [options]
+ * @param {boolean} [options.trashed] - Also find tasks in the trash (restore/purge)
+ * @returns {Function} Express middleware
+ */
+const authorizeTask = (required, { trashed = false } = {}) => async (req, res, next) => {
+  try {
+    const task = await Task.findByPk(req.params.id, { paranoid: !trashed });
+    const role = task ? await getTaskRole(task, req.user.id) : null;
+
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found or you do not have permission to view it.'
+      });
+    }
+
+    if (!hasRole(role, required)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to modify this task.'
+      });
+    }
+
+    req.task = task;
+    req.taskRole = role;
+    next();
+  } catch (error) {
+    console.error('Authorize task error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Could not verify task permissions.'
+    });
+  }
+};
+
+/**
+ * Require a minimum role on the project in req.params.id
+ * Attaches req.project and req.projectRole
+ * @param {string} required - viewer, editor or owner
+ * @returns {Function} Express middleware
+ */
+const authorizeProject = (required) => async (req, res, next) => {
+  try {
+    const project = await Project.findByPk(req.params.id);
+    const role = project ? await getProjectRole(project, req.user.id) : null;
+
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found or you do not have permission to view it.'
+      });
+    }
+
+    if (!hasRole(role, required)) {
+      return res.status(403).json({
+        success: false,
+        message: `You need ${required} access to this project to perform this action.`
+      });
+    }
+
+    req.project = project;
+    req.projectRole = role;
+    next();
+  } catch (error) {
+    console.error('Authorize project error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Could not verify project permissions.'
+    });
+  }
+};
+
+module.exports = { authorizeTask, authorizeProject };
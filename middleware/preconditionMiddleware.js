@@ -0,0 +1,25 @@
+/**
+ * Precondition Middleware
+ * Optimistic concurrency for task writes. Clients send the ETag they last
+ * saw in If-Match; if the task has changed since, the write is rejected with
+ * 412 so two tabs cannot silently overwrite each other.
+ * Requests without If-Match are not checked.
+ * Must run after authorizeTask (uses req.task).
+ */
+const checkTaskIfMatch = (req, res, next) => {
+  const header = req.get('If-Match');
+  if (!header) return next();
+
+  const etag = req.task.etag();
+  const tags = header.split(',').map((tag) => tag.trim());
+
+  if (tags.includes('*') || tags.includes(etag)) return next();
+
+  res.set('ETag', etag);
+  return res.status(412).json({
+    success: false,
+    message: 'Task has been modified since you last loaded it. Reload it and try again.'
+  });
+};
+
+module.exports = { checkTaskIfMatch };
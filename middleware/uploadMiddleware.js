@@ -0,0 +1,158 @@
+const path = require('path');
+const multer = require('multer');
+
+/**
+ * Upload Middleware
+ * Parses a single multipart file (field "file") into memory and enforces:
+ * - size: ATTACHMENT_MAX_MB (default 10) -> 413
+ * - type: ATTACHMENT_ALLOWED_TYPES (comma-separated MIME types) -> 415
+ * - content: images and PDFs must start with the matching file signature,
+ *   so a renamed file cannot pose as an allowed type -> 415
+ * On success the file is on req.file with a cleaned req.file.originalname.
+ * Runs after authorizeTask so nothing is buffered for unauthorized requests.
+ *
+ * Task imports take a CSV or JSON file of at most IMPORT_MAX_MB instead;
+ * req.file.format says which.
+ */
+
+const MAX_MB = parseInt(process.env.ATTACHMENT_MAX_MB) || 10;
+
+const ALLOWED_TYPES = (
+  process.env.ATTACHMENT_ALLOWED_TYPES ||
+  'image/png,image/jpeg,image/gif,image/webp,application/pdf,text/plain'
+)
+  .split(',')
+  .map((type) => type.trim())
+  .filter(Boolean);
+
+const IMPORT_MAX_MB = 5;
+
+// Import formats by file extension, then by MIME type
+const IMPORT_FORMATS = {
+  '.csv': 'csv',
+  '.json': 'json',
+  'text/csv': 'csv',
+  'application/json': 'json'
+};
+
+const importFormat = (file) =>
+  IMPORT_FORMATS[path.extname(String(file.originalname)).toLowerCase()] || IMPORT_FORMATS[file.mimetype];
+
+const startsWith = (buffer, bytes, offset = 0) =>
+  buffer.subarray(offset, offset + bytes.length).equals(Buffer.from(bytes));
+
+// File signatures ("magic numbers") of the binary types we accept
+const SIGNATURES = {
+  'image/png': (buffer) => startsWith(buffer, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+  'image/jpeg': (buffer) => startsWith(buffer, [0xff, 0xd8, 0xff]),
+  'image/gif': (buffer) => startsWith(buffer, Buffer.from('GIF87a')) || startsWith(buffer, Buffer.from('GIF89a')),
+  'image/webp': (buffer) => startsWith(buffer, Buffer.from('RIFF')) && startsWith(buffer, Buffer.from('WEBP'), 8),
+  'application/pdf': (buffer) => startsWith(buffer, Buffer.from('%PDF-'))
+};
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_MB * 1024 * 1024, files: 1 },
+  defParamCharset: 'utf8',
+  fileFilter: (req, file, callback) => {
+    if (!ALLOWED_TYPES.includes(file.mimetype)) {
+      const error = new Error(`File type ${file.mimetype} is not allowed. Allowed: ${ALLOWED_TYPES.join(', ')}`);
+      error.code = 'UNSUPPORTED_TYPE';
+      return callback(error);
+    }
+    callback(null, true);
+  }
+});
+
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: IMPORT_MAX_MB * 1024 * 1024, files: 1 },
+  defParamCharset: 'utf8',
+  fileFilter: (req, file, callback) => {
+    if (!importFormat(file)) {
+      const error = new Error('Import files must be CSV (.csv) or JSON (.json).');
+      error.code = 'UNSUPPORTED_TYPE';
+      return callback(error);
+    }
+    callback(null, true);
+  }
+});
+
+/**
+ * Keep only the base name of an uploaded file, without control characters
+ * @param {string} name - File name sent by the client
+ * @returns {string} Safe file name (at most 255 characters)
+ */
+const cleanFileName = (name) =>
+  path
+    .basename(String(name).replace(/\\/g, '/'))
+    .replace(/[\u0000-\u001f\u007f]/g, '')
+    .slice(-255) || 'file';
+
+/**
+ * Build middleware accepting one upload in the "file" field
+ * @param {Object} uploader - multer instance
+ * @param {number} maxMb - Size limit, for the error message
+ * @param {Function} checkFile - (file) => error message for 415, or null
+ * @returns {Function} Express middleware
+ */
+const singleFileUpload = (uploader, maxMb, checkFile) => (req, res, next) => {
+  uploader.single('file')(req, res, (error) => {
+    if (error) {
+      if (error.code === 'LIMIT_FILE_SIZE') {
+        return res.status(413).json({
+          success: false,
+          message: `File is too large. Maximum size is ${maxMb} MB.`
+        });
+      }
+      if (error.code === 'UNSUPPORTED_TYPE') {
+        return res.status(415).json({
+          success: false,
+          message: error.message
+        });
+      }
+      return res.status(400).json({
+        success: false,
+        message: error instanceof multer.MulterError ? error.message : 'Invalid upload.'
+      });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'No file uploaded. Send it as multipart/form-data in the "file" field.'
+      });
+    }
+
+    const problem = checkFile(req.file);
+    if (problem) {
+      return res.status(415).json({
+        success: false,
+        message: problem
+      });
+    }
+
+    req.file.originalname = cleanFileName(req.file.originalname);
+    next();
+  });
+};
+
+/**
+ * Accept one attachment upload in the "file" field
+ */
+const uploadAttachment = singleFileUpload(upload, MAX_MB, (file) => {
+  const matchesSignature = SIGNATURES[file.mimetype];
+  return matchesSignature && !matchesSignature(file.buffer)
+    ? `File content does not match its type (${file.mimetype}).`
+    : null;
+});
+
+/**
+ * Accept one CSV or JSON task import in the "file" field
+ */
+const uploadImport = singleFileUpload(importUpload, IMPORT_MAX_MB, (file) => {
+  file.format = importFormat(file);
+  return null;
+});
+
+module.exports = { uploadAttachment, uploadImport, ALLOWED_TYPES, MAX_MB };
@@ -0,0 +1,4 @@
+-- Rollback: Drop users table
+-- Reverts 001_create_users_table.sql
+
+DROP TABLE IF EXISTS users;
@@ -0,0 +1,5 @@
+-- Rollback: Drop tasks table
+-- Reverts 002_create_tasks_table.sql
+
+DROP TABLE IF EXISTS tasks;
+DROP FUNCTION IF EXISTS update_updated_at_column();
@@ -27,6 +27,7 @@ BEGIN
 END;
 $$ language 'plpgsql';
 
+DROP TRIGGER IF EXISTS update_tasks_updated_at ON tasks;
 CREATE TRIGGER update_tasks_updated_at 
   BEFORE UPDATE ON tasks 
   FOR EACH ROW 
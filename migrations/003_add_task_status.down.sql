@@ -0,0 +1,6 @@
+-- Rollback: Remove status lifecycle from tasks
+-- Reverts 003_add_task_status.sql (idx_tasks_user_status is dropped with the column)
+
+ALTER TABLE tasks
+  DROP COLUMN IF EXISTS completed_at,
+  DROP COLUMN IF EXISTS status;
@@ -0,0 +1,16 @@
+-- Migration: Add status lifecycle to tasks
+-- Run this migration after tasks table is created
+
+ALTER TABLE tasks
+  ADD COLUMN IF NOT EXISTS status VARCHAR(20) NOT NULL DEFAULT 'todo'
+    CHECK (status IN ('todo', 'in_progress', 'done', 'cancelled'));
+
+ALTER TABLE tasks
+  ADD COLUMN IF NOT EXISTS completed_at TIMESTAMP;
+
+-- Create index for filtering a user's tasks by status
+CREATE INDEX IF NOT EXISTS idx_tasks_user_status ON tasks(user_id, status);
+
+-- Add comments
+COMMENT ON COLUMN tasks.status IS 'Task status: todo, in_progress, done, or cancelled';
+COMMENT ON COLUMN tasks.completed_at IS 'When the task was last moved to done (NULL otherwise)';
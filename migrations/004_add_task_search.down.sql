@@ -0,0 +1,7 @@
+-- Rollback: Remove full-text search from tasks
+-- Reverts 004_add_task_search.sql (idx_tasks_search is dropped with the column)
+
+DROP INDEX IF EXISTS idx_tasks_user_created_at;
+
+ALTER TABLE tasks
+  DROP COLUMN IF EXISTS search_vector;
@@ -0,0 +1,20 @@
+-- Migration: Add full-text search to tasks
+-- Run this migration after tasks table is created (requires PostgreSQL 12+)
+
+-- Generated tsvector over title and description, kept up to date by PostgreSQL
+-- Title is weighted higher than description when ranking results
+ALTER TABLE tasks
+  ADD COLUMN IF NOT EXISTS search_vector tsvector
+    GENERATED ALWAYS AS (
+      setweight(to_tsvector('english', coalesce(title, '')), 'A') ||
+      setweight(to_tsvector('english', coalesce(description, '')), 'B')
+    ) STORED;
+
+-- Create GIN index for fast full-text search
+CREATE INDEX IF NOT EXISTS idx_tasks_search ON tasks USING GIN(search_vector);
+
+-- Create index for created date range filters
+CREATE INDEX IF NOT EXISTS idx_tasks_user_created_at ON tasks(user_id, created_at);
+
+-- Add comments
+COMMENT ON COLUMN tasks.search_vector IS 'Full-text search vector over title (A) and description (B)';
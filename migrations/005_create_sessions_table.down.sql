@@ -0,0 +1,4 @@
+-- Rollback: Drop sessions table
+-- Reverts 005_create_sessions_table.sql
+
+DROP TABLE IF EXISTS sessions;
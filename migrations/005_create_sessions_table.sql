@@ -0,0 +1,25 @@
+-- Migration: Create sessions table
+-- Run this migration after users table is created
+
+CREATE TABLE IF NOT EXISTS sessions (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  refresh_token_hash VARCHAR(64) NOT NULL,
+  rotated_token_hashes VARCHAR(64)[] NOT NULL DEFAULT '{}',
+  user_agent VARCHAR(255),
+  ip_address VARCHAR(45),
+  expires_at TIMESTAMP NOT NULL,
+  last_used_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  revoked_at TIMESTAMP,
+  revoked_reason VARCHAR(50),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create index for listing a user's sessions
+CREATE INDEX IF NOT EXISTS idx_sessions_user_id ON sessions(user_id);
+
+-- Add comments
+COMMENT ON TABLE sessions IS 'Logged-in devices; each row is one refresh token family';
+COMMENT ON COLUMN sessions.refresh_token_hash IS 'SHA-256 hash of the current refresh token secret (rotated on every refresh)';
+COMMENT ON COLUMN sessions.rotated_token_hashes IS 'Hashes of the most recent rotated-out refresh token secrets, to detect reuse';
+COMMENT ON COLUMN sessions.revoked_reason IS 'Why the session ended: logout, revoked, reuse_detected';
@@ -0,0 +1,8 @@
+-- Rollback: Remove email verification and user tokens
+-- Reverts 006_add_email_verification_and_user_tokens.sql
+
+DROP TABLE IF EXISTS user_tokens;
+
+ALTER TABLE users
+  DROP COLUMN IF EXISTS email_verified_at,
+  DROP COLUMN IF EXISTS email_verified;
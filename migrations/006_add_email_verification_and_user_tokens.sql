@@ -0,0 +1,26 @@
+-- Migration: Add email verification and single-use user tokens
+-- Run this migration after users table is created
+
+ALTER TABLE users
+  ADD COLUMN IF NOT EXISTS email_verified BOOLEAN NOT NULL DEFAULT FALSE;
+
+ALTER TABLE users
+  ADD COLUMN IF NOT EXISTS email_verified_at TIMESTAMP;
+
+CREATE TABLE IF NOT EXISTS user_tokens (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  type VARCHAR(30) NOT NULL CHECK (type IN ('password_reset', 'email_verification')),
+  token_hash VARCHAR(64) UNIQUE NOT NULL,
+  expires_at TIMESTAMP NOT NULL,
+  used_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create index for invalidating a user's outstanding tokens
+CREATE INDEX IF NOT EXISTS idx_user_tokens_user_type ON user_tokens(user_id, type);
+
+-- Add comments
+COMMENT ON COLUMN users.email_verified IS 'Whether the user has confirmed ownership of their email address';
+COMMENT ON TABLE user_tokens IS 'Single-use expiring tokens for password reset and email verification';
+COMMENT ON COLUMN user_tokens.token_hash IS 'SHA-256 hash of the token (plain token is only sent by email)';
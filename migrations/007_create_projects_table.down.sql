@@ -0,0 +1,7 @@
+-- Rollback: Drop projects table
+-- Reverts 007_create_projects_table.sql (idx_tasks_project_id is dropped with the column)
+
+ALTER TABLE tasks
+  DROP COLUMN IF EXISTS project_id;
+
+DROP TABLE IF EXISTS projects;
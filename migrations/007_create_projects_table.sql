@@ -0,0 +1,33 @@
+-- Migration: Create projects table and group tasks by project
+-- Run this migration after users and tasks tables are created
+
+CREATE TABLE IF NOT EXISTS projects (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  name VARCHAR(100) NOT NULL,
+  description TEXT,
+  color VARCHAR(7),
+  archived_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Tasks may optionally belong to a project; deleting a project keeps its tasks
+ALTER TABLE tasks
+  ADD COLUMN IF NOT EXISTS project_id INTEGER REFERENCES projects(id) ON DELETE SET NULL;
+
+-- Create indexes for better query performance
+CREATE INDEX IF NOT EXISTS idx_projects_user_id ON projects(user_id);
+CREATE INDEX IF NOT EXISTS idx_tasks_project_id ON tasks(project_id);
+
+-- Reuse the updated_at trigger function from 002_create_tasks_table.sql
+DROP TRIGGER IF EXISTS update_projects_updated_at ON projects;
+CREATE TRIGGER update_projects_updated_at
+  BEFORE UPDATE ON projects
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+-- Add comments
+COMMENT ON TABLE projects IS 'User-defined lists that group tasks';
+COMMENT ON COLUMN projects.archived_at IS 'When the project was archived (NULL if active); tasks are kept';
+COMMENT ON COLUMN tasks.project_id IS 'Optional project the task belongs to';
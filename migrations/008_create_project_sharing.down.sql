@@ -0,0 +1,8 @@
+-- Rollback: Remove project sharing
+-- Reverts 008_create_project_sharing.sql (idx_tasks_assignee_id is dropped with the column)
+
+ALTER TABLE tasks
+  DROP COLUMN IF EXISTS assignee_id;
+
+DROP TABLE IF EXISTS project_invitations;
+DROP TABLE IF EXISTS project_members;
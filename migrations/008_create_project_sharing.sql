@@ -0,0 +1,41 @@
+-- Migration: Share projects with other users
+-- Run this migration after projects table is created
+
+CREATE TABLE IF NOT EXISTS project_members (
+  id SERIAL PRIMARY KEY,
+  project_id INTEGER NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  role VARCHAR(20) NOT NULL DEFAULT 'viewer' CHECK (role IN ('owner', 'editor', 'viewer')),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (project_id, user_id)
+);
+
+CREATE TABLE IF NOT EXISTS project_invitations (
+  id SERIAL PRIMARY KEY,
+  project_id INTEGER NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+  email VARCHAR(255) NOT NULL,
+  role VARCHAR(20) NOT NULL DEFAULT 'viewer' CHECK (role IN ('owner', 'editor', 'viewer')),
+  invited_by_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'accepted', 'declined', 'cancelled')),
+  responded_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Tasks can be assigned to a project member
+ALTER TABLE tasks
+  ADD COLUMN IF NOT EXISTS assignee_id INTEGER REFERENCES users(id) ON DELETE SET NULL;
+
+-- Create indexes for better query performance
+CREATE INDEX IF NOT EXISTS idx_project_members_user_id ON project_members(user_id);
+CREATE INDEX IF NOT EXISTS idx_project_invitations_email ON project_invitations(email);
+CREATE INDEX IF NOT EXISTS idx_tasks_assignee_id ON tasks(assignee_id);
+
+-- Only one pending invitation per email and project
+CREATE UNIQUE INDEX IF NOT EXISTS idx_project_invitations_pending
+  ON project_invitations(project_id, email) WHERE status = 'pending';
+
+-- Add comments
+COMMENT ON TABLE project_members IS 'Users a project is shared with; the project creator is implicitly an owner';
+COMMENT ON COLUMN project_members.role IS 'owner: manage project and members, editor: change tasks, viewer: read only';
+COMMENT ON TABLE project_invitations IS 'Pending and answered invitations to join a project';
+COMMENT ON COLUMN tasks.assignee_id IS 'User the task is assigned to (must be a member of the task project)';
@@ -0,0 +1,5 @@
+-- Rollback: Drop tags
+-- Reverts 009_create_tags.sql
+
+DROP TABLE IF EXISTS task_tags;
+DROP TABLE IF EXISTS tags;
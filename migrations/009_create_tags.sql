@@ -0,0 +1,24 @@
+-- Migration: Create tags and task_tags tables
+-- Run this migration after users and tasks tables are created
+
+CREATE TABLE IF NOT EXISTS tags (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  name VARCHAR(50) NOT NULL,
+  color VARCHAR(7) NOT NULL DEFAULT '#6b7280',
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (user_id, name)
+);
+
+CREATE TABLE IF NOT EXISTS task_tags (
+  task_id INTEGER NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+  tag_id INTEGER NOT NULL REFERENCES tags(id) ON DELETE CASCADE,
+  PRIMARY KEY (task_id, tag_id)
+);
+
+-- Create index for filtering tasks by tag and counting tag usage
+CREATE INDEX IF NOT EXISTS idx_task_tags_tag_id ON task_tags(tag_id);
+
+-- Add comments
+COMMENT ON TABLE tags IS 'Coloured labels defined per user';
+COMMENT ON TABLE task_tags IS 'Many-to-many join between tasks and tags';
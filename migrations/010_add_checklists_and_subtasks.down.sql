@@ -0,0 +1,7 @@
+-- Rollback: Remove checklists and subtasks
+-- Reverts 010_add_checklists_and_subtasks.sql (idx_tasks_parent_id is dropped with the column)
+
+DROP TABLE IF EXISTS checklist_items;
+
+ALTER TABLE tasks
+  DROP COLUMN IF EXISTS parent_id;
@@ -0,0 +1,32 @@
+-- Migration: Add checklist items and parent/child tasks
+-- Run this migration after tasks table is created
+
+CREATE TABLE IF NOT EXISTS checklist_items (
+  id SERIAL PRIMARY KEY,
+  task_id INTEGER NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+  content VARCHAR(500) NOT NULL,
+  is_checked BOOLEAN NOT NULL DEFAULT FALSE,
+  position INTEGER NOT NULL DEFAULT 0,
+  checked_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Subtasks point at their parent; deleting a parent deletes its subtasks
+ALTER TABLE tasks
+  ADD COLUMN IF NOT EXISTS parent_id INTEGER REFERENCES tasks(id) ON DELETE CASCADE;
+
+-- Create indexes for better query performance
+CREATE INDEX IF NOT EXISTS idx_checklist_items_task_position ON checklist_items(task_id, position);
+CREATE INDEX IF NOT EXISTS idx_tasks_parent_id ON tasks(parent_id);
+
+-- Reuse the updated_at trigger function from 002_create_tasks_table.sql
+DROP TRIGGER IF EXISTS update_checklist_items_updated_at ON checklist_items;
+CREATE TRIGGER update_checklist_items_updated_at
+  BEFORE UPDATE ON checklist_items
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+-- Add comments
+COMMENT ON TABLE checklist_items IS 'Ordered, checkable items under a task';
+COMMENT ON COLUMN tasks.parent_id IS 'Parent task for subtasks (one level deep)';
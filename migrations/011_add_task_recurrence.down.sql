@@ -0,0 +1,7 @@
+-- Rollback: Remove task recurrence
+-- Reverts 011_add_task_recurrence.sql (idx_tasks_next_occurrence_id is dropped with the column)
+
+ALTER TABLE tasks
+  DROP COLUMN IF EXISTS next_occurrence_id,
+  DROP COLUMN IF EXISTS occurrence,
+  DROP COLUMN IF EXISTS recurrence;
@@ -0,0 +1,23 @@
+-- Migration: Add recurrence rules to tasks
+-- Run this migration after tasks table is created
+
+-- Simplified RRULE (freq, interval, byWeekday, byMonthDay, byMonth, count, until)
+ALTER TABLE tasks
+  ADD COLUMN IF NOT EXISTS recurrence JSONB;
+
+-- 1-based position of this task in its series (used to honour count)
+ALTER TABLE tasks
+  ADD COLUMN IF NOT EXISTS occurrence INTEGER NOT NULL DEFAULT 1;
+
+-- Set once the next occurrence has been generated, so reopening and
+-- completing a task again does not create a duplicate
+ALTER TABLE tasks
+  ADD COLUMN IF NOT EXISTS next_occurrence_id INTEGER REFERENCES tasks(id) ON DELETE SET NULL;
+
+-- Create index for better query performance
+CREATE INDEX IF NOT EXISTS idx_tasks_next_occurrence_id ON tasks(next_occurrence_id);
+
+-- Add comments
+COMMENT ON COLUMN tasks.recurrence IS 'Recurrence rule; completing the task generates the next occurrence';
+COMMENT ON COLUMN tasks.occurrence IS 'Position of the task in its recurring series, starting at 1';
+COMMENT ON COLUMN tasks.next_occurrence_id IS 'Task generated when this occurrence was completed';
@@ -0,0 +1,5 @@
+-- Rollback: Remove task version
+-- Reverts 012_add_task_version.sql
+
+ALTER TABLE tasks
+  DROP COLUMN IF EXISTS version;
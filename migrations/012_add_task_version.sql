@@ -0,0 +1,9 @@
+-- Migration: Add a version column to tasks for optimistic concurrency
+-- Run this migration after tasks table is created
+
+-- Incremented on every save; exposed to clients as the task ETag
+ALTER TABLE tasks
+  ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 0;
+
+-- Add comments
+COMMENT ON COLUMN tasks.version IS 'Optimistic locking version, incremented on every update';
@@ -0,0 +1,6 @@
+-- Rollback: Remove soft delete for tasks
+-- Reverts 013_add_task_soft_delete.sql (idx_tasks_deleted_at is dropped with the column)
+-- Tasks in the trash become visible again
+
+ALTER TABLE tasks
+  DROP COLUMN IF EXISTS deleted_at;
@@ -0,0 +1,12 @@
+-- Migration: Soft delete for tasks
+-- Run this migration after tasks table is created
+
+-- Deleted tasks stay in the trash until restored or purged
+ALTER TABLE tasks
+  ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP;
+
+-- Create index for the trash listing and the retention purge
+CREATE INDEX IF NOT EXISTS idx_tasks_deleted_at ON tasks(deleted_at) WHERE deleted_at IS NOT NULL;
+
+-- Add comments
+COMMENT ON COLUMN tasks.deleted_at IS 'When the task was moved to the trash (NULL = not deleted)';
@@ -0,0 +1,5 @@
+-- Rollback: Drop task events
+-- Reverts 014_create_task_events.sql
+
+DROP TABLE IF EXISTS task_events;
+DROP FUNCTION IF EXISTS prevent_task_event_update();
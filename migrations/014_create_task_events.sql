@@ -0,0 +1,37 @@
+-- Migration: Create task_events table (task activity history)
+-- Run this migration after users and tasks tables are created
+
+CREATE TABLE IF NOT EXISTS task_events (
+  id SERIAL PRIMARY KEY,
+  task_id INTEGER NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+  user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  action VARCHAR(20) NOT NULL CHECK (action IN ('created', 'updated', 'deleted', 'restored')),
+  changes JSONB NOT NULL DEFAULT '{}',
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create index for a task's history, newest first
+CREATE INDEX IF NOT EXISTS idx_task_events_task_created ON task_events(task_id, created_at DESC);
+
+-- Events are append-only: reject updates (deletes only happen when the task is purged)
+-- The one exception is ON DELETE SET NULL clearing user_id when the user is deleted
+CREATE OR REPLACE FUNCTION prevent_task_event_update()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.user_id IS NULL AND (to_jsonb(NEW) - 'user_id') = (to_jsonb(OLD) - 'user_id') THEN
+    RETURN NEW;
+  END IF;
+  RAISE EXCEPTION 'task_events is append-only';
+END;
+$$ language 'plpgsql';
+
+DROP TRIGGER IF EXISTS task_events_append_only ON task_events;
+CREATE TRIGGER task_events_append_only
+  BEFORE UPDATE ON task_events
+  FOR EACH ROW
+  EXECUTE FUNCTION prevent_task_event_update();
+
+-- Add comments
+COMMENT ON TABLE task_events IS 'Append-only log of task changes';
+COMMENT ON COLUMN task_events.user_id IS 'User who made the change (NULL for system changes or deleted users)';
+COMMENT ON COLUMN task_events.changes IS 'Changed fields as { field: { from, to } }';
@@ -0,0 +1,4 @@
+-- Rollback: Drop comments table
+-- Reverts 015_create_comments.sql
+
+DROP TABLE IF EXISTS comments;
@@ -0,0 +1,28 @@
+-- Migration: Create comments table
+-- Run this migration after users and tasks tables are created
+
+CREATE TABLE IF NOT EXISTS comments (
+  id SERIAL PRIMARY KEY,
+  task_id INTEGER NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  body TEXT NOT NULL,
+  body_html TEXT NOT NULL,
+  edited_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create index for a task's comment thread and comment counts
+CREATE INDEX IF NOT EXISTS idx_comments_task_created ON comments(task_id, created_at);
+
+-- Reuse the updated_at trigger function from 002_create_tasks_table.sql
+DROP TRIGGER IF EXISTS update_comments_updated_at ON comments;
+CREATE TRIGGER update_comments_updated_at
+  BEFORE UPDATE ON comments
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+-- Add comments
+COMMENT ON TABLE comments IS 'Discussion thread on a task';
+COMMENT ON COLUMN comments.body IS 'Markdown source as written by the author';
+COMMENT ON COLUMN comments.body_html IS 'Rendered and sanitized HTML of body';
@@ -0,0 +1,5 @@
+-- Rollback: Drop attachments table
+-- Reverts 016_create_attachments.sql
+-- Stored files are not removed
+
+DROP TABLE IF EXISTS attachments;
@@ -0,0 +1,21 @@
+-- Migration: Create attachments table
+-- Run this migration after users and tasks tables are created
+
+CREATE TABLE IF NOT EXISTS attachments (
+  id SERIAL PRIMARY KEY,
+  task_id INTEGER NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+  user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  file_name VARCHAR(255) NOT NULL,
+  content_type VARCHAR(100) NOT NULL,
+  size INTEGER NOT NULL,
+  storage_key VARCHAR(255) NOT NULL UNIQUE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create index for listing a task's attachments
+CREATE INDEX IF NOT EXISTS idx_attachments_task_id ON attachments(task_id);
+
+-- Add comments
+COMMENT ON TABLE attachments IS 'Files attached to tasks; contents live in the storage driver';
+COMMENT ON COLUMN attachments.file_name IS 'Original file name as uploaded';
+COMMENT ON COLUMN attachments.storage_key IS 'Key of the file in the storage driver (local disk or S3)';
@@ -0,0 +1,6 @@
+-- Rollback: Drop reminders and notifications
+-- Reverts 017_create_reminders_and_notifications.sql
+
+DROP TABLE IF EXISTS notifications;
+DROP TABLE IF EXISTS notification_deliveries;
+DROP TABLE IF EXISTS reminders;
@@ -0,0 +1,73 @@
+-- Migration: Create reminders, notification deliveries and in-app notifications
+-- Run this migration after users and tasks tables are created
+
+-- Per-user reminders on a task, e.g. "1 day before the due date by email"
+CREATE TABLE IF NOT EXISTS reminders (
+  id SERIAL PRIMARY KEY,
+  task_id INTEGER NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  days_before INTEGER NOT NULL DEFAULT 0 CHECK (days_before BETWEEN 0 AND 365),
+  channel VARCHAR(20) NOT NULL DEFAULT 'email' CHECK (channel IN ('email', 'webhook', 'in_app')),
+  target VARCHAR(2048),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  CHECK ((channel = 'webhook') = (target IS NOT NULL))
+);
+
+CREATE INDEX IF NOT EXISTS idx_reminders_task_id ON reminders(task_id);
+
+-- One row per notification to send; the status survives restarts so nothing is sent twice
+CREATE TABLE IF NOT EXISTS notification_deliveries (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  task_id INTEGER NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+  reminder_id INTEGER REFERENCES reminders(id) ON DELETE CASCADE,
+  kind VARCHAR(20) NOT NULL CHECK (kind IN ('reminder', 'overdue')),
+  channel VARCHAR(20) NOT NULL CHECK (channel IN ('email', 'webhook', 'in_app')),
+  target VARCHAR(2048),
+  due_date DATE NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'sending', 'sent', 'failed', 'skipped')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  last_error TEXT,
+  next_attempt_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  sent_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- A reminder fires once per due date; a task is reported overdue once per due date, user and channel
+CREATE UNIQUE INDEX IF NOT EXISTS idx_deliveries_reminder_due
+  ON notification_deliveries(reminder_id, due_date) WHERE kind = 'reminder';
+CREATE UNIQUE INDEX IF NOT EXISTS idx_deliveries_overdue_due
+  ON notification_deliveries(task_id, user_id, channel, due_date) WHERE kind = 'overdue';
+
+-- Create index for the scheduler's queue scan
+CREATE INDEX IF NOT EXISTS idx_deliveries_status ON notification_deliveries(status, next_attempt_at);
+
+-- Reuse the updated_at trigger function from 002_create_tasks_table.sql
+DROP TRIGGER IF EXISTS update_notification_deliveries_updated_at ON notification_deliveries;
+CREATE TRIGGER update_notification_deliveries_updated_at
+  BEFORE UPDATE ON notification_deliveries
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+-- In-app notifications shown in the user's inbox
+CREATE TABLE IF NOT EXISTS notifications (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  task_id INTEGER REFERENCES tasks(id) ON DELETE CASCADE,
+  type VARCHAR(30) NOT NULL,
+  title VARCHAR(255) NOT NULL,
+  body TEXT,
+  read_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_notifications_user_created ON notifications(user_id, created_at);
+
+-- Add comments
+COMMENT ON TABLE reminders IS 'Reminders a user set on a task, relative to its due date';
+COMMENT ON COLUMN reminders.days_before IS 'Days before end_date to send the reminder (0 = on the due date)';
+COMMENT ON COLUMN reminders.target IS 'Webhook URL (webhook channel only)';
+COMMENT ON TABLE notification_deliveries IS 'Reminder and overdue notifications queued by the scheduler, with delivery status';
+COMMENT ON COLUMN notification_deliveries.due_date IS 'Task due date the notification is for (a new due date notifies again)';
+COMMENT ON TABLE notifications IS 'In-app notifications';
@@ -0,0 +1,5 @@
+-- Rollback: Drop webhooks
+-- Reverts 018_create_webhooks.sql
+
+DROP TABLE IF EXISTS webhook_deliveries;
+DROP TABLE IF EXISTS webhooks;
@@ -0,0 +1,4 @@
+-- Rollback: Drop calendar feed tokens
+-- Reverts 019_create_calendar_tokens.sql
+
+DROP TABLE IF EXISTS calendar_tokens;
@@ -0,0 +1,14 @@
+-- Migration: Create calendar feed tokens
+-- Run this migration after the users table is created
+
+CREATE TABLE IF NOT EXISTS calendar_tokens (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL UNIQUE REFERENCES users(id) ON DELETE CASCADE,
+  token_hash VARCHAR(64) NOT NULL UNIQUE,
+  last_used_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Add comments
+COMMENT ON TABLE calendar_tokens IS 'Secret tokens in the iCalendar feed URL of each user (one per user)';
+COMMENT ON COLUMN calendar_tokens.token_hash IS 'SHA-256 hash of the token; the token itself is only shown when created';
@@ -0,0 +1,256 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Migrator
+ * Versioned SQL migrations tracked in the schema_migrations table.
+ *
+ * - Migrations are the files NNN_name.sql in this directory, applied in
+ *   version order; NNN_name.down.sql reverts one
+ * - Each migration runs in its own transaction together with its
+ *   schema_migrations row, so it is applied completely or not at all
+ * - The SHA-256 checksum of every applied file is recorded; changing an
+ *   applied migration is an error (add a new migration instead)
+ * - Databases set up by the old runner have no schema_migrations rows, so
+ *   their first up runs 001-018 again: those files must stay idempotent
+ *
+ * Functions take a query(sql, params) function returning the result rows,
+ * so they work with a pg Client as well as Sequelize.
+ */
+
+const MIGRATIONS_DIR = __dirname;
+const MIGRATION_FILE = /^(\d+)_([a-z0-9_]+)\.sql$/;
+const TRACKING_TABLE = 'schema_migrations';
+
+/**
+ * Checksum of a migration file (line endings normalized)
+ * @param {string} sql - File contents
+ * @returns {string} Hex encoded SHA-256
+ */
+const checksum = (sql) => crypto.createHash('sha256').update(sql.replace(/\r\n/g, '\n')).digest('hex');
+
+/**
+ * Discover migration files
+ * @returns {Object[]} { version, name, file, downFile, checksum } in version order
+ */
+const listMigrations = () => {
+  const files = fs.readdirSync(MIGRATIONS_DIR);
+
+  const migrations = files
+    .map((file) => file.match(MIGRATION_FILE))
+    .filter(Boolean)
+    .map(([file, version, name]) => {
+      const downFile = `${version}_${name}.down.sql`;
+      return {
+        version,
+        name,
+        file,
+        downFile: files.includes(downFile) ? downFile : null,
+        checksum: checksum(fs.readFileSync(path.join(MIGRATIONS_DIR, file), 'utf8'))
+      };
+    })
+    .sort((a, b) => Number(a.version) - Number(b.version));
+
+  migrations.forEach((migration, index) => {
+    if (index && Number(migrations[index - 1].version) === Number(migration.version)) {
+      throw new Error(`Duplicate migration version ${migration.version}: ${migrations[index - 1].file}, ${migration.file}`);
+    }
+  });
+
+  return migrations;
+};
+
+/**
+ * Create the tracking table if needed
+ * @param {Function} query - query(sql, params) -> rows
+ */
+const ensureTrackingTable = (query) =>
+  query(`
+    CREATE TABLE IF NOT EXISTS ${TRACKING_TABLE} (
+      version VARCHAR(20) PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      checksum VARCHAR(64) NOT NULL,
+      execution_ms INTEGER,
+      applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+/**
+ * Applied migrations recorded in the tracking table
+ * @param {Function} query - query(sql, params) -> rows
+ * @returns {Promise<Object[]>} Rows in version order ([] if the table does not exist)
+ */
+const appliedMigrations = async (query) => {
+  const [{ exists }] = await query(`SELECT to_regclass('${TRACKING_TABLE}') IS NOT NULL AS exists`);
+  if (!exists) return [];
+
+  const rows = await query(`SELECT version, name, checksum, applied_at FROM ${TRACKING_TABLE}`);
+  return rows.sort((a, b) => Number(a.version) - Number(b.version));
+};
+
+/**
+ * Compare migration files with the tracking table
+ * @param {Function} query - query(sql, params) -> rows
+ * @returns {Promise<Object>} { migrations, pending, modified, missing }
+ *          migrations: every file with applied/appliedAt/modified flags
+ *          pending:    files not applied yet
+ *          modified:   applied files whose checksum changed
+ *          missing:    applied versions without a file
+ */
+const getStatus = async (query) => {
+  const files = listMigrations();
+  const applied = new Map((await appliedMigrations(query)).map((row) => [Number(row.version), row]));
+
+  const migrations = files.map((migration) => {
+    const row = applied.get(Number(migration.version));
+    return {
+      ...migration,
+      applied: Boolean(row),
+      appliedAt: row ? row.applied_at : null,
+      modified: Boolean(row) && row.checksum !== migration.checksum
+    };
+  });
+
+  const versions = new Set(files.map((migration) => Number(migration.version)));
+
+  return {
+    migrations,
+    pending: migrations.filter((migration) => !migration.applied),
+    modified: migrations.filter((migration) => migration.modified),
+    missing: [...applied.values()].filter((row) => !versions.has(Number(row.version)))
+  };
+};
+
+/**
+ * Run SQL and a tracking table change in one transaction
+ * @param {Function} query - query(sql, params) -> rows (must use a single connection)
+ * @param {string} sql - Migration SQL
+ * @param {string} trackingSql - INSERT/DELETE on the tracking table
+ * @param {Array} trackingParams - Parameters for trackingSql
+ */
+const runInTransaction = async (query, sql, trackingSql, trackingParams) => {
+  await query('BEGIN');
+  try {
+    await query(sql);
+    await query(trackingSql, trackingParams);
+    await query('COMMIT');
+  } catch (error) {
+    await query('ROLLBACK');
+    throw error;
+  }
+};
+
+/**
+ * Apply every pending migration in order
+ * Stops at the first failure; migrations applied before it stay applied
+ * @param {Function} query - query(sql, params) -> rows (must use a single connection)
+ * @param {Function} [log] - Progress logger
+ * @returns {Promise<Object[]>} Applied migrations
+ */
+const migrateUp = async (query, log = () => {}) => {
+  await ensureTrackingTable(query);
+  const { pending, modified, missing } = await getStatus(query);
+
+  if (modified.length) {
+    throw new Error(
+      `Applied migration(s) changed since they ran: ${modified.map((m) => m.file).join(', ')}. ` +
+        'Restore the original files and add a new migration instead.'
+    );
+  }
+  if (missing.length) {
+    log(`⚠️  Applied migration(s) without a file: ${missing.map((row) => `${row.version}_${row.name}`).join(', ')}`);
+  }
+
+  for (const migration of pending) {
+    log(`📄 Applying ${migration.file}`);
+    const sql = fs.readFileSync(path.join(MIGRATIONS_DIR, migration.file), 'utf8');
+    const startedAt = Date.now();
+
+    // now() is the transaction start, clock_timestamp() the current time
+    await runInTransaction(
+      query,
+      sql,
+      `INSERT INTO ${TRACKING_TABLE} (version, name, checksum, execution_ms)
+       VALUES ($1, $2, $3, ROUND(EXTRACT(EPOCH FROM clock_timestamp() - now()) * 1000))`,
+      [migration.version, migration.name, migration.checksum]
+    );
+    log(`✅ Applied ${migration.file} (${Date.now() - startedAt} ms)`);
+  }
+
+  return pending;
+};
+
+/**
+ * Revert the most recently applied migrations
+ * @param {Function} query - query(sql, params) -> rows (must use a single connection)
+ * @param {number} [steps=1] - How many migrations to revert
+ * @param {Function} [log] - Progress logger
+ * @returns {Promise<Object[]>} Reverted migrations
+ */
+const migrateDown = async (query, steps = 1, log = () => {}) => {
+  const { migrations, missing } = await getStatus(query);
+  const applied = migrations.filter((migration) => migration.applied);
+  const latestMissing = missing.length ? missing[missing.length - 1] : null;
+
+  if (latestMissing && (!applied.length || Number(latestMissing.version) > Number(applied[applied.length - 1].version))) {
+    throw new Error(`The latest applied migration ${latestMissing.version}_${latestMissing.name} has no file; cannot revert it.`);
+  }
+
+  const targets = applied.slice(-steps).reverse();
+  const withoutDown = targets.filter((migration) => !migration.downFile);
+  if (withoutDown.length) {
+    throw new Error(`No down script for: ${withoutDown.map((m) => m.file).join(', ')}`);
+  }
+
+  for (const migration of targets) {
+    log(`↩️  Reverting ${migration.file}`);
+    const sql = fs.readFileSync(path.join(MIGRATIONS_DIR, migration.downFile), 'utf8');
+
+    await runInTransaction(query, sql, `DELETE FROM ${TRACKING_TABLE} WHERE version = $1`, [migration.version]);
+    log(`✅ Reverted ${migration.file}`);
+  }
+
+  return targets;
+};
+
+/**
+ * Create an empty migration and its down script with the next version
+ * @param {string} description - Short description, e.g. "add task estimate"
+ * @returns {string[]} Created file names
+ */
+const createMigration = (description) => {
+  const name = String(description || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '');
+
+  if (!name) {
+    throw new Error('Give the migration a name, e.g. "add task estimate".');
+  }
+
+  const migrations = listMigrations();
+  const last = migrations.length ? Number(migrations[migrations.length - 1].version) : 0;
+  const version = String(last + 1).padStart(3, '0');
+  const title = description.trim();
+
+  const files = [
+    [`${version}_${name}.sql`, `-- Migration: ${title}\n\n`],
+    [`${version}_${name}.down.sql`, `-- Rollback: ${title}\n-- Reverts ${version}_${name}.sql\n\n`]
+  ];
+
+  files.forEach(([file, contents]) => {
+    fs.writeFileSync(path.join(MIGRATIONS_DIR, file), contents, { flag: 'wx' });
+  });
+
+  return files.map(([file]) => file);
+};
+
+module.exports = {
+  TRACKING_TABLE,
+  listMigrations,
+  getStatus,
+  migrateUp,
+  migrateDown,
+  createMigration
+};
@@ -1,58 +1,98 @@
 const { Client } = require('pg');
-const fs = require('fs');
-const path = require('path');
 require('dotenv').config();
+const { getStatus, migrateUp, migrateDown, createMigration } = require('./migrator');
 
 /**
  * Database Migration Runner
- * Executes SQL migration files in order
+ *
+ * Usage: npm run migrate -- <command>
+ *   up (default)   Apply all pending migrations
+ *   status         List applied and pending migrations
+ *   down [n]       Revert the last n applied migrations (default 1)
+ *   create <name>  Add an empty migration and its down script
  */
 
+// Arbitrary key for the advisory lock that keeps two runners apart
+const MIGRATION_LOCK_ID = 724001;
+
+const USAGE = 'Usage: npm run migrate -- [up | status | down [n] | create <name>]';
+
+/**
+ * Print every migration with its state
+ * @param {Function} query - query(sql, params) -> rows
+ */
+const printStatus = async (query) => {
+  const { migrations, pending, missing } = await getStatus(query);
+
+  console.log('📋 Migration status\n');
+  migrations.forEach((migration) => {
+    const state = !migration.applied
+      ? '⏳ pending'
+      : `✅ applied ${new Date(migration.appliedAt).toISOString()}${migration.modified ? ' ⚠️  file changed since' : ''}`;
+    console.log(`  ${migration.file.padEnd(50)} ${state}`);
+  });
+  missing.forEach((row) => {
+    console.log(`  ${`${row.version}_${row.name}.sql`.padEnd(50)} ❌ applied, file missing`);
+  });
+
+  console.log(`\n${migrations.length - pending.length} applied, ${pending.length} pending`);
+};
+
 const runMigrations = async () => {
+  const [command = 'up', argument] = process.argv.slice(2);
+
+  if (command === 'create') {
+    const files = createMigration(process.argv.slice(3).join(' '));
+    files.forEach((file) => console.log(`📝 Created migrations/${file}`));
+    return;
+  }
+
+  if (!['up', 'status', 'down'].includes(command)) {
+    throw new Error(`Unknown command "${command}". ${USAGE}`);
+  }
+
+  const steps = argument === undefined ? 1 : Number(argument);
+  if (command === 'down' && !(Number.isInteger(steps) && steps > 0)) {
+    throw new Error(`"down" takes a positive number of migrations. ${USAGE}`);
+  }
+
   // Create PostgreSQL client
   const client = new Client({
-    connectionString: process.env.DATABASE_URL || 
+    connectionString: process.env.DATABASE_URL ||
       `postgresql://${process.env.DB_USER}:${process.env.DB_PASSWORD}@${process.env.DB_HOST}:${process.env.DB_PORT}/${process.env.DB_NAME}`
   });
+  const query = (sql, params) => client.query(sql, params).then((result) => result.rows);
+  const log = (message) => console.log(message);
 
   try {
     console.log('🔄 Connecting to database...');
     await client.connect();
     console.log('✅ Connected successfully\n');
 
-    // Get all migration files in order
-    const migrationFiles = [
-      '001_create_users_table.sql',
-      '002_create_tasks_table.sql'
-    ];
-
-    // Run each migration
-    for (const file of migrationFiles) {
-      const filePath = path.join(__dirname, file);
-      
-      if (!fs.existsSync(filePath)) {
-        console.log(`⚠️  Migration file not found: ${file}`);
-        continue;
-      }
-
-      console.log(`📄 Running migration: ${file}`);
-      const sql = fs.readFileSync(filePath, 'utf8');
-      
-      await client.query(sql);
-      console.log(`✅ Migration completed: ${file}\n`);
+    if (command === 'status') {
+      await printStatus(query);
+      return;
     }
 
-    console.log('🎉 All migrations completed successfully!');
-  } catch (error) {
-    console.error('❌ Migration failed:', error.message);
-    console.error(error);
-    process.exit(1);
+    // Wait for any other runner to finish first
+    await query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_ID]);
+
+    if (command === 'up') {
+      const applied = await migrateUp(query, log);
+      console.log(applied.length ? `\n🎉 Applied ${applied.length} migration(s)` : '✅ Database is up to date');
+    } else {
+      const reverted = await migrateDown(query, steps, log);
+      console.log(reverted.length ? `\n🎉 Reverted ${reverted.length} migration(s)` : '✅ Nothing to revert');
+    }
   } finally {
+    // Closing the connection also releases the advisory lock
     await client.end();
     console.log('\n👋 Database connection closed');
   }
 };
 
 // Run migrations
-runMigrations();
-
+runMigrations().catch((error) => {
+  console.error('❌ Migration failed:', error.message);
+  process.exit(1);
+});
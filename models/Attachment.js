@@ -0,0 +1,69 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/db');
+
+/**
+ * Attachment Model
+ * Metadata of a file attached to a task; the contents are kept by the
+ * storage driver under storageKey (see utils/storage)
+ */
+const Attachment = sequelize.define(
+  'Attachment',
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    taskId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      field: 'task_id',
+      references: {
+        model: 'tasks',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      field: 'user_id',
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onDelete: 'SET NULL'
+    },
+    fileName: {
+      type: DataTypes.STRING(255),
+      allowNull: false,
+      field: 'file_name'
+    },
+    contentType: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+      field: 'content_type'
+    },
+    size: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    storageKey: {
+      type: DataTypes.STRING(255),
+      allowNull: false,
+      unique: true,
+      field: 'storage_key'
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW,
+      field: 'created_at'
+    }
+  },
+  {
+    tableName: 'attachments',
+    timestamps: false // We manage createdAt manually
+  }
+);
+
+module.exports = Attachment;
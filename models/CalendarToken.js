@@ -0,0 +1,79 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/db');
+const { hashToken, generateSecret } = require('../utils/tokens');
+
+/**
+ * CalendarToken Model
+ * The secret in a user's iCalendar feed URL. Calendar apps cannot send the
+ * auth cookies, so the token alone grants read access to the feed.
+ * One token per user; only a hash is stored.
+ */
+const CalendarToken = sequelize.define(
+  'CalendarToken',
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      unique: true,
+      field: 'user_id',
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    tokenHash: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      unique: true,
+      field: 'token_hash'
+    },
+    lastUsedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'last_used_at'
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW,
+      field: 'created_at'
+    }
+  },
+  {
+    tableName: 'calendar_tokens',
+    timestamps: false // We manage createdAt manually
+  }
+);
+
+/**
+ * Issue a new feed token for a user, replacing any previous one
+ * (the old feed URL stops working)
+ * @param {number} userId - User ID
+ * @returns {Promise<{token: string, calendarToken: CalendarToken}>} Plain token and its row
+ */
+CalendarToken.rotate = async function (userId) {
+  const token = generateSecret();
+
+  const calendarToken = await sequelize.transaction(async (transaction) => {
+    await CalendarToken.destroy({ where: { userId }, transaction });
+    return CalendarToken.create({ userId, tokenHash: hashToken(token) }, { transaction });
+  });
+
+  return { token, calendarToken };
+};
+
+/**
+ * Find the row of a plain feed token
+ * @param {string} token - Token from the feed URL
+ * @returns {Promise<CalendarToken|null>} Token row or null if unknown/revoked
+ */
+CalendarToken.findByToken = function (token) {
+  return CalendarToken.findOne({ where: { tokenHash: hashToken(String(token)) } });
+};
+
+module.exports = CalendarToken;
@@ -0,0 +1,84 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/db');
+
+/**
+ * ChecklistItem Model
+ * Ordered, checkable items embedded under a task
+ */
+const ChecklistItem = sequelize.define(
+  'ChecklistItem',
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    taskId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      field: 'task_id',
+      references: {
+        model: 'tasks',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    content: {
+      type: DataTypes.STRING(500),
+      allowNull: false,
+      validate: {
+        notEmpty: {
+          msg: 'Content cannot be empty'
+        },
+        len: {
+          args: [1, 500],
+          msg: 'Content must be between 1 and 500 characters'
+        }
+      }
+    },
+    isChecked: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+      field: 'is_checked'
+    },
+    position: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    checkedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'checked_at'
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW,
+      field: 'created_at'
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW,
+      field: 'updated_at'
+    }
+  },
+  {
+    tableName: 'checklist_items',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    hooks: {
+      /**
+       * Keep checkedAt in sync with isChecked
+       */
+      beforeSave: (item) => {
+        if (item.changed('isChecked')) {
+          item.checkedAt = item.isChecked ? new Date() : null;
+        }
+      }
+    }
+  }
+);
+
+module.exports = ChecklistItem;
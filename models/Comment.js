@@ -0,0 +1,99 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/db');
+const { renderMarkdown } = require('../utils/markdown');
+
+/**
+ * Comment Model
+ * Markdown comments in a task's discussion thread
+ */
+const Comment = sequelize.define(
+  'Comment',
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    taskId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      field: 'task_id',
+      references: {
+        model: 'tasks',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      field: 'user_id',
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    body: {
+      type: DataTypes.TEXT,
+      allowNull: false,
+      validate: {
+        notEmpty: {
+          msg: 'Comment cannot be empty'
+        },
+        len: {
+          args: [1, 10000],
+          msg: 'Comment must be between 1 and 10000 characters'
+        }
+      }
+    },
+    bodyHtml: {
+      type: DataTypes.TEXT,
+      allowNull: false,
+      field: 'body_html'
+    },
+    editedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'edited_at'
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW,
+      field: 'created_at'
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW,
+      field: 'updated_at'
+    }
+  },
+  {
+    tableName: 'comments',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    hooks: {
+      /**
+       * Render the markdown body to sanitized HTML
+       * (beforeValidate so bodyHtml is set before its NOT NULL check)
+       */
+      beforeValidate: (comment) => {
+        if (comment.changed('body') && typeof comment.body === 'string') {
+          comment.bodyHtml = renderMarkdown(comment.body);
+        }
+      },
+
+      /**
+       * Mark edits to an existing comment
+       */
+      beforeUpdate: (comment) => {
+        if (comment.changed('body')) {
+          comment.editedAt = new Date();
+        }
+      }
+    }
+  }
+);
+
+module.exports = Comment;
@@ -0,0 +1,158 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/db');
+const User = require('./User');
+
+/**
+ * Notification Model
+ * An entry in a user's in-app notification inbox
+ *
+ * type: reminder, overdue (reminder scheduler),
+ *       task_assigned, task_updated, task_deleted, task_restored (task changes)
+ */
+const Notification = sequelize.define(
+  'Notification',
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      field: 'user_id',
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    taskId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      field: 'task_id',
+      references: {
+        model: 'tasks',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    type: {
+      type: DataTypes.STRING(30),
+      allowNull: false
+    },
+    title: {
+      type: DataTypes.STRING(255),
+      allowNull: false
+    },
+    body: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    readAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'read_at'
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW,
+      field: 'created_at'
+    }
+  },
+  {
+    tableName: 'notifications',
+    timestamps: false // We manage createdAt manually
+  }
+);
+
+// How changed fields are named in notification text; values are shown for the short ones
+const FIELD_LABELS = {
+  title: 'title',
+  description: 'description',
+  priority: 'priority',
+  endDate: 'due date',
+  status: 'status',
+  projectId: 'project',
+  parentId: 'parent task',
+  assigneeId: 'assignee',
+  recurrence: 'recurrence'
+};
+const SHOWN_VALUES = ['priority', 'endDate', 'status'];
+
+const truncate = (text, length) => (text.length > length ? `${text.slice(0, length - 1)}…` : text);
+
+/**
+ * Summarize a task event's changes, e.g. "status (todo → done), description"
+ * @param {Object} changes - { field: { from, to } }
+ * @returns {string} Summary
+ */
+const describeChanges = (changes) =>
+  Object.entries(changes)
+    .map(([field, { from, to }]) =>
+      SHOWN_VALUES.includes(field)
+        ? `${FIELD_LABELS[field]} (${from || 'none'} → ${to || 'none'})`
+        : FIELD_LABELS[field]
+    )
+    .join(', ');
+
+/**
+ * Notify the owner and assignee(s) of a task about a change made by someone else
+ * Called from the Task model hooks with the recorded TaskEvent; changes
+ * without an acting user (options.actorId) are not notified
+ * @param {Task} task - Task that changed
+ * @param {TaskEvent|null} event - Recorded event (null if nothing tracked changed)
+ * @param {Object} options - Hook options (transaction, actorId)
+ * @returns {Promise<Notification[]>} Created notifications
+ */
+Notification.notifyTaskEvent = async (task, event, options = {}) => {
+  const { actorId, transaction } = options;
+  if (!event || !actorId) return [];
+
+  const { action, changes } = event;
+  const assignment = changes.assigneeId;
+  const assignedTo = assignment ? assignment.to : null;
+
+  // A new task only concerns its assignee; other events the owner and old/new assignee
+  const recipients = new Set(
+    (action === 'created'
+      ? [assignedTo]
+      : [task.userId, task.assigneeId, assignment && assignment.from]
+    ).filter(Boolean)
+  );
+  recipients.delete(actorId);
+  if (!recipients.size) return [];
+
+  const actor = await User.findByPk(actorId, { attributes: ['name'], transaction });
+  const name = actor ? actor.name : 'Someone';
+
+  const messages = {
+    updated: {
+      type: 'task_updated',
+      title: `${name} updated "${task.title}"`,
+      body: `Changed ${describeChanges(changes)}.`
+    },
+    deleted: { type: 'task_deleted', title: `${name} moved "${task.title}" to the trash` },
+    restored: { type: 'task_restored', title: `${name} restored "${task.title}"` }
+  };
+
+  return Notification.bulkCreate(
+    [...recipients].map((userId) => {
+      const message =
+        userId === assignedTo
+          ? { type: 'task_assigned', title: `${name} assigned "${task.title}" to you` }
+          : messages[action];
+
+      return {
+        userId,
+        taskId: task.id,
+        type: message.type,
+        title: truncate(message.title, 255),
+        body: message.body || null
+      };
+    }),
+    { transaction }
+  );
+};
+
+module.exports = Notification;
@@ -0,0 +1,122 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/db');
+
+/**
+ * NotificationDelivery Model
+ * One reminder or overdue notice for a user on one channel, queued by the
+ * reminder scheduler. The unique indexes make queueing idempotent and the
+ * status keeps a sent notification from going out again after a restart.
+ *
+ * status: pending -> sending -> sent | failed (retried) | skipped
+ */
+const NotificationDelivery = sequelize.define(
+  'NotificationDelivery',
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      field: 'user_id',
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    taskId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      field: 'task_id',
+      references: {
+        model: 'tasks',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    reminderId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      field: 'reminder_id',
+      references: {
+        model: 'reminders',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    kind: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      validate: {
+        isIn: [['reminder', 'overdue']]
+      }
+    },
+    channel: {
+      type: DataTypes.STRING(20),
+      allowNull: false
+    },
+    target: {
+      type: DataTypes.STRING(2048),
+      allowNull: true
+    },
+    dueDate: {
+      type: DataTypes.DATEONLY,
+      allowNull: false,
+      field: 'due_date'
+    },
+    status: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      defaultValue: 'pending',
+      validate: {
+        isIn: [['pending', 'sending', 'sent', 'failed', 'skipped']]
+      }
+    },
+    attempts: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    lastError: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+      field: 'last_error'
+    },
+    nextAttemptAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW,
+      field: 'next_attempt_at'
+    },
+    sentAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'sent_at'
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW,
+      field: 'created_at'
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW,
+      field: 'updated_at'
+    }
+  },
+  {
+    tableName: 'notification_deliveries',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    // Mirrors 017_create_reminders_and_notifications.sql; queueing relies on them
+    indexes: [
+      { unique: true, fields: ['reminder_id', 'due_date'], where: { kind: 'reminder' } },
+      { unique: true, fields: ['task_id', 'user_id', 'channel', 'due_date'], where: { kind: 'overdue' } }
+    ]
+  }
+);
+
+module.exports = NotificationDelivery;
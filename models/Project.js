@@ -0,0 +1,77 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/db');
+
+/**
+ * Project Model
+ * Groups a user's tasks into lists. Archived projects keep their tasks.
+ */
+const Project = sequelize.define(
+  'Project',
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      field: 'user_id',
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    name: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+      validate: {
+        notEmpty: {
+          msg: 'Name cannot be empty'
+        },
+        len: {
+          args: [1, 100],
+          msg: 'Name must be between 1 and 100 characters'
+        }
+      }
+    },
+    description: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    color: {
+      type: DataTypes.STRING(7),
+      allowNull: true,
+      validate: {
+        is: {
+          args: /^#[0-9a-fA-F]{6}$/,
+          msg: 'Color must be a hex color like #1a2b3c'
+        }
+      }
+    },
+    archivedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'archived_at'
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW,
+      field: 'created_at'
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW,
+      field: 'updated_at'
+    }
+  },
+  {
+    tableName: 'projects',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  }
+);
+
+module.exports = Project;
@@ -0,0 +1,85 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/db');
+
+/**
+ * ProjectInvitation Model
+ * An invitation to join a project, addressed to an email.
+ * The user registered with that (verified) email can accept or decline it.
+ */
+const ProjectInvitation = sequelize.define(
+  'ProjectInvitation',
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    projectId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      field: 'project_id',
+      references: {
+        model: 'projects',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    email: {
+      type: DataTypes.STRING(255),
+      allowNull: false,
+      validate: {
+        isEmail: {
+          msg: 'Must be a valid email address'
+        }
+      }
+    },
+    role: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      defaultValue: 'viewer',
+      validate: {
+        isIn: {
+          args: [['owner', 'editor', 'viewer']],
+          msg: 'Role must be owner, editor, or viewer'
+        }
+      }
+    },
+    invitedById: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      field: 'invited_by_id',
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onDelete: 'SET NULL'
+    },
+    status: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      defaultValue: 'pending',
+      validate: {
+        isIn: {
+          args: [['pending', 'accepted', 'declined', 'cancelled']],
+          msg: 'Status must be pending, accepted, declined, or cancelled'
+        }
+      }
+    },
+    respondedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'responded_at'
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW,
+      field: 'created_at'
+    }
+  },
+  {
+    tableName: 'project_invitations',
+    timestamps: false // We manage createdAt manually
+  }
+);
+
+module.exports = ProjectInvitation;
@@ -0,0 +1,60 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/db');
+
+/**
+ * ProjectMember Model
+ * Grants a user a role on a project shared with them.
+ * The project creator (projects.user_id) is always an owner and has no row here.
+ */
+const ProjectMember = sequelize.define(
+  'ProjectMember',
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    projectId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      field: 'project_id',
+      references: {
+        model: 'projects',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      field: 'user_id',
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    role: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      defaultValue: 'viewer',
+      validate: {
+        isIn: {
+          args: [['owner', 'editor', 'viewer']],
+          msg: 'Role must be owner, editor, or viewer'
+        }
+      }
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW,
+      field: 'created_at'
+    }
+  },
+  {
+    tableName: 'project_members',
+    timestamps: false // We manage createdAt manually
+  }
+);
+
+module.exports = ProjectMember;
@@ -0,0 +1,81 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/db');
+
+/**
+ * Notification channels a reminder can be delivered through
+ */
+const CHANNELS = ['email', 'webhook', 'in_app'];
+
+/**
+ * Reminder Model
+ * A user's reminder on a task, sent daysBefore days before its due date
+ * through one channel (webhook reminders POST to target)
+ */
+const Reminder = sequelize.define(
+  'Reminder',
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    taskId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      field: 'task_id',
+      references: {
+        model: 'tasks',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      field: 'user_id',
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    daysBefore: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      field: 'days_before',
+      validate: {
+        min: 0,
+        max: 365
+      }
+    },
+    channel: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      defaultValue: 'email',
+      validate: {
+        isIn: {
+          args: [CHANNELS],
+          msg: `Channel must be one of: ${CHANNELS.join(', ')}`
+        }
+      }
+    },
+    target: {
+      type: DataTypes.STRING(2048),
+      allowNull: true
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW,
+      field: 'created_at'
+    }
+  },
+  {
+    tableName: 'reminders',
+    timestamps: false // We manage createdAt manually
+  }
+);
+
+Reminder.CHANNELS = CHANNELS;
+
+module.exports = Reminder;
@@ -0,0 +1,120 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/db');
+const { publishSessionRevoked } = require('../utils/realtime');
+
+/**
+ * Session Model
+ * One row per logged-in device. The row is the refresh token family:
+ * every refresh rotates refreshTokenHash and keeps the old hash in
+ * rotatedTokenHashes, so presenting an older token from the same family
+ * revokes the whole session. A secret that was never issued does not.
+ */
+const Session = sequelize.define(
+  'Session',
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      field: 'user_id',
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    refreshTokenHash: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      field: 'refresh_token_hash'
+    },
+    rotatedTokenHashes: {
+      type: DataTypes.ARRAY(DataTypes.STRING(64)),
+      allowNull: false,
+      defaultValue: [],
+      field: 'rotated_token_hashes'
+    },
+    userAgent: {
+      type: DataTypes.STRING(255),
+      allowNull: true,
+      field: 'user_agent'
+    },
+    ipAddress: {
+      type: DataTypes.STRING(45),
+      allowNull: true,
+      field: 'ip_address'
+    },
+    expiresAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      field: 'expires_at'
+    },
+    lastUsedAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW,
+      field: 'last_used_at'
+    },
+    revokedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'revoked_at'
+    },
+    revokedReason: {
+      type: DataTypes.STRING(50),
+      allowNull: true,
+      field: 'revoked_reason'
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW,
+      field: 'created_at'
+    }
+  },
+  {
+    tableName: 'sessions',
+    timestamps: false, // We manage createdAt manually
+    hooks: {
+      /**
+       * Close the event streams opened with a revoked session
+       * Bulk updates must use individualHooks: true to reach this hook
+       */
+      afterUpdate: (session, options) => {
+        if (!session.changed('revokedAt') || !session.revokedAt) return;
+
+        const send = () => publishSessionRevoked(session.id);
+        if (options.transaction) {
+          options.transaction.afterCommit(send);
+        } else {
+          send();
+        }
+      }
+    }
+  }
+);
+
+/**
+ * Check whether the session can still be used
+ * @returns {boolean} True if not revoked and not expired
+ */
+Session.prototype.isActive = function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+/**
+ * Revoke the session (and with it every refresh token in its family)
+ * @param {string} reason - Why the session was revoked (logout, reuse_detected, ...)
+ * @returns {Promise<Session>} Updated session
+ */
+Session.prototype.revoke = async function (reason) {
+  if (this.revokedAt) return this;
+
+  this.revokedAt = new Date();
+  this.revokedReason = reason;
+  return await this.save();
+};
+
+module.exports = Session;
@@ -0,0 +1,62 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/db');
+
+/**
+ * Tag Model
+ * Coloured labels defined by a user and attached to many tasks
+ */
+const Tag = sequelize.define(
+  'Tag',
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      field: 'user_id',
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    name: {
+      type: DataTypes.STRING(50),
+      allowNull: false,
+      validate: {
+        notEmpty: {
+          msg: 'Name cannot be empty'
+        },
+        len: {
+          args: [1, 50],
+          msg: 'Name must be between 1 and 50 characters'
+        }
+      }
+    },
+    color: {
+      type: DataTypes.STRING(7),
+      allowNull: false,
+      defaultValue: '#6b7280',
+      validate: {
+        is: {
+          args: /^#[0-9a-fA-F]{6}$/,
+          msg: 'Color must be a hex color like #1a2b3c'
+        }
+      }
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW,
+      field: 'created_at'
+    }
+  },
+  {
+    tableName: 'tags',
+    timestamps: false // We manage createdAt manually
+  }
+);
+
+module.exports = Tag;
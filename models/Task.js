@@ -1,5 +1,38 @@
-const { DataTypes } = require('sequelize');
+const { DataTypes, Op } = require('sequelize');
 const { sequelize } = require('../config/db');
+const { normalizeRecurrence, nextOccurrence } = require('../utils/recurrence');
+const ChecklistItem = require('./ChecklistItem');
+const TaskEvent = require('./TaskEvent');
+const Notification = require('./Notification');
+const Attachment = require('./Attachment');
+const { removeFiles } = require('../utils/storage');
+const { publishTaskEvent } = require('../utils/realtime');
+
+/**
+ * Allowed task statuses and the transitions permitted between them
+ * A finished task can be reopened, a cancelled one can only go back to todo
+ */
+const STATUSES = ['todo', 'in_progress', 'done', 'cancelled'];
+
+const STATUS_TRANSITIONS = {
+  todo: ['in_progress', 'done', 'cancelled'],
+  in_progress: ['todo', 'done', 'cancelled'],
+  done: ['todo', 'in_progress'],
+  cancelled: ['todo']
+};
+
+/**
+ * Record a task event in the history, notify the people it concerns and
+ * push it to their open event streams
+ * @param {Task} task - Task that changed
+ * @param {string} action - created, updated, deleted or restored
+ * @param {Object} options - Hook options (transaction, actorId)
+ */
+const recordEvent = async (task, action, options) => {
+  const event = await TaskEvent.record(task, action, options);
+  await Notification.notifyTaskEvent(task, event, options);
+  await publishTaskEvent(task, event, options);
+};
 
 /**
  * Task Model
@@ -23,6 +56,36 @@ const Task = sequelize.define(
       },
       onDelete: 'CASCADE'
     },
+    projectId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      field: 'project_id',
+      references: {
+        model: 'projects',
+        key: 'id'
+      },
+      onDelete: 'SET NULL'
+    },
+    parentId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      field: 'parent_id',
+      references: {
+        model: 'tasks',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    assigneeId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      field: 'assignee_id',
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onDelete: 'SET NULL'
+    },
     title: {
       type: DataTypes.STRING(255),
       allowNull: false,
@@ -61,6 +124,41 @@ const Task = sequelize.define(
         }
       }
     },
+    status: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      defaultValue: 'todo',
+      validate: {
+        isIn: {
+          args: [STATUSES],
+          msg: 'Status must be todo, in_progress, done, or cancelled'
+        }
+      }
+    },
+    completedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'completed_at'
+    },
+    recurrence: {
+      type: DataTypes.JSONB,
+      allowNull: true
+    },
+    occurrence: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 1
+    },
+    nextOccurrenceId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      field: 'next_occurrence_id',
+      references: {
+        model: 'tasks',
+        key: 'id'
+      },
+      onDelete: 'SET NULL'
+    },
     createdAt: {
       type: DataTypes.DATE,
       defaultValue: DataTypes.NOW,
@@ -70,15 +168,218 @@ const Task = sequelize.define(
       type: DataTypes.DATE,
       defaultValue: DataTypes.NOW,
       field: 'updated_at'
+    },
+    deletedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'deleted_at'
     }
   },
   {
     tableName: 'tasks',
     timestamps: true,
     createdAt: 'created_at',
-    updatedAt: 'updated_at'
+    updatedAt: 'updated_at',
+    // Soft delete: destroy() moves a task to the trash, destroy({ force: true }) purges it
+    // (uses the deletedAt attribute above, mapped to deleted_at)
+    paranoid: true,
+    // Optimistic locking: saves fail with OptimisticLockError if the row
+    // changed since it was loaded
+    version: true,
+    hooks: {
+      /**
+       * Keep completedAt in sync with status
+       * Stamped when a task moves to done, cleared when it leaves done
+       */
+      beforeSave: (task) => {
+        if (task.changed('status')) {
+          task.completedAt = task.status === 'done' ? new Date() : null;
+        }
+
+        // Anchor rule defaults (weekday, day of month) to the due date
+        if (task.recurrence && task.changed('recurrence')) {
+          task.recurrence = normalizeRecurrence(task.recurrence, task.endDate);
+        }
+      },
+
+      /**
+       * Activity history (task_events) and notifications to the other users on the task
+       * Callers pass the acting user as options.actorId; bulk updates must
+       * use individualHooks: true to be recorded
+       */
+      afterCreate: (task, options) => recordEvent(task, 'created', options),
+
+      afterUpdate: (task, options) => recordEvent(task, 'updated', options),
+
+      afterRestore: (task, options) => recordEvent(task, 'restored', options),
+
+      /**
+       * Completing an occurrence of a recurring task generates the next one
+       */
+      afterSave: async (task, options) => {
+        if (task.changed('status') && task.status === 'done') {
+          await task.createNextOccurrence({
+            transaction: options.transaction,
+            actorId: options.actorId
+          });
+        }
+      },
+
+      /**
+       * Subtasks go to the trash with their parent
+       * (purging relies on ON DELETE CASCADE instead, and drops the history)
+       */
+      afterDestroy: async (task, options) => {
+        if (options.force) return;
+
+        await recordEvent(task, 'deleted', options);
+        await Task.destroy({
+          where: { parentId: task.id },
+          individualHooks: true,
+          transaction: options.transaction,
+          actorId: options.actorId
+        });
+      },
+
+      /**
+       * Restoring a parent restores the subtasks trashed with it
+       * (runs before the restore, while deletedAt is still set)
+       */
+      beforeRestore: async (task, options) => {
+        await Task.restore({
+          where: { parentId: task.id, deletedAt: { [Op.gte]: task.deletedAt } },
+          individualHooks: true,
+          transaction: options.transaction,
+          actorId: options.actorId
+        });
+      }
+    }
   }
 );
 
+Task.STATUSES = STATUSES;
+
+/**
+ * Permanently delete tasks (trashed or not) and their subtasks
+ * Rows of subtasks, checklists, comments, history and attachments go through
+ * ON DELETE CASCADE; attachment files are removed from storage once the
+ * deletion is committed
+ * @param {Object} where - Which tasks to purge
+ * @param {Object} [options] - Sequelize options (e.g. transaction)
+ * @returns {Promise<number>} Number of purged tasks (subtasks not counted)
+ */
+Task.purge = async (where, options = {}) => {
+  const { transaction } = options;
+
+  const tasks = await Task.findAll({ where, attributes: ['id'], paranoid: false, transaction });
+  const taskIds = tasks.map((task) => task.id);
+  if (!taskIds.length) return 0;
+
+  const subtasks = await Task.findAll({
+    where: { parentId: { [Op.in]: taskIds } },
+    attributes: ['id'],
+    paranoid: false,
+    transaction
+  });
+
+  const attachments = await Attachment.findAll({
+    where: { taskId: { [Op.in]: [...taskIds, ...subtasks.map((task) => task.id)] } },
+    attributes: ['storageKey'],
+    transaction
+  });
+
+  const purged = await Task.destroy({ where: { id: { [Op.in]: taskIds } }, force: true, transaction });
+
+  const cleanUp = () => removeFiles(attachments.map((attachment) => attachment.storageKey));
+  if (transaction) {
+    transaction.afterCommit(cleanUp);
+  } else {
+    await cleanUp();
+  }
+
+  return purged;
+};
+
+/**
+ * Permanently delete tasks that have been in the trash longer than the retention period
+ * @param {number} retentionDays - Days a trashed task is kept
+ * @returns {Promise<number>} Number of purged tasks
+ */
+Task.purgeTrashed = (retentionDays) =>
+  Task.purge({
+    deletedAt: { [Op.lt]: new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000) }
+  });
+
+/**
+ * Check whether this task may move to the given status
+ * @param {string} nextStatus - Requested status
+ * @returns {boolean} True if the transition is allowed (or status is unchanged)
+ */
+Task.prototype.canTransitionTo = function (nextStatus) {
+  if (nextStatus === this.status) return true;
+  return (STATUS_TRANSITIONS[this.status] || []).includes(nextStatus);
+};
+
+/**
+ * Entity tag for conditional requests (ETag / If-Match)
+ * Changes whenever the task is saved
+ * @returns {string} Quoted strong ETag
+ */
+Task.prototype.etag = function () {
+  return `"${this.id}-${this.version}"`;
+};
+
+/**
+ * Create the next occurrence of a recurring task
+ * Copies the task's fields, tags and (unchecked) checklist; does nothing if the
+ * task does not recur, the series has ended or the next one already exists
+ * @param {Object} [options] - Sequelize options (transaction, actorId)
+ * @returns {Promise<Task|null>} The new occurrence, or null
+ */
+Task.prototype.createNextOccurrence = async function (options = {}) {
+  if (!this.recurrence || this.nextOccurrenceId) return null;
+
+  const endDate = nextOccurrence(this.recurrence, this.endDate, this.occurrence);
+  if (!endDate) return null;
+
+  const { transaction, actorId } = options;
+
+  const next = await Task.create(
+    {
+      userId: this.userId,
+      projectId: this.projectId,
+      parentId: this.parentId,
+      assigneeId: this.assigneeId,
+      title: this.title,
+      description: this.description,
+      priority: this.priority,
+      endDate,
+      recurrence: this.recurrence,
+      occurrence: this.occurrence + 1
+    },
+    { transaction, actorId }
+  );
+
+  const [tags, items] = await Promise.all([
+    this.getTags({ transaction }),
+    this.getChecklist({ transaction })
+  ]);
+  if (tags.length) {
+    await next.setTags(tags, { transaction });
+  }
+  if (items.length) {
+    await ChecklistItem.bulkCreate(
+      items.map((item) => ({ taskId: next.id, content: item.content, position: item.position })),
+      { transaction }
+    );
+  }
+
+  // Saved without hooks so this does not re-enter afterSave
+  this.nextOccurrenceId = next.id;
+  await this.save({ fields: ['nextOccurrenceId'], hooks: false, transaction });
+
+  return next;
+};
+
 module.exports = Task;
 
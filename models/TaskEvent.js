@@ -0,0 +1,131 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/db');
+
+/**
+ * TaskEvent Model
+ * Append-only activity log of a task. Rows are written by the Task model
+ * hooks; changes holds field-level diffs as { field: { from, to } }.
+ */
+const TaskEvent = sequelize.define(
+  'TaskEvent',
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    taskId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      field: 'task_id',
+      references: {
+        model: 'tasks',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      field: 'user_id',
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onDelete: 'SET NULL'
+    },
+    action: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      validate: {
+        isIn: {
+          args: [['created', 'updated', 'deleted', 'restored']],
+          msg: 'Action must be created, updated, deleted, or restored'
+        }
+      }
+    },
+    changes: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: {}
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW,
+      field: 'created_at'
+    }
+  },
+  {
+    tableName: 'task_events',
+    timestamps: false // We manage createdAt manually
+  }
+);
+
+/**
+ * Task fields recorded in the history
+ * (derived and bookkeeping fields such as completedAt and version are left out)
+ */
+const TRACKED_FIELDS = [
+  'title',
+  'description',
+  'priority',
+  'endDate',
+  'status',
+  'projectId',
+  'parentId',
+  'assigneeId',
+  'recurrence'
+];
+
+/**
+ * Normalize a field value so equal values compare equal
+ * (endDate may be a Date or a YYYY-MM-DD string)
+ */
+const normalize = (field, value) => {
+  if (value === undefined || value === null) return null;
+  if (field === 'endDate') return new Date(value).toISOString().slice(0, 10);
+  return value;
+};
+
+/**
+ * Field-level diff of a task
+ * @param {Task} task - Task instance inside a save hook
+ * @param {boolean} isNew - Diff against nothing (task was just created)
+ * @returns {Object} { field: { from, to } } for every changed tracked field
+ */
+const diffTask = (task, isNew) =>
+  TRACKED_FIELDS.reduce((changes, field) => {
+    const from = isNew ? null : normalize(field, task.previous(field));
+    const to = normalize(field, task.get(field));
+
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes[field] = { from, to };
+    }
+    return changes;
+  }, {});
+
+/**
+ * Append an event for a task
+ * Called from the Task model hooks; the acting user is passed by callers
+ * as options.actorId (omitted for system changes such as purges)
+ * @param {Task} task - Task that changed
+ * @param {string} action - created, updated, deleted or restored
+ * @param {Object} options - Hook options (transaction, actorId)
+ * @returns {Promise<TaskEvent|null>} The event, or null if nothing tracked changed
+ */
+TaskEvent.record = async (task, action, options = {}) => {
+  const changes = ['created', 'updated'].includes(action) ? diffTask(task, action === 'created') : {};
+  if (action === 'updated' && !Object.keys(changes).length) return null;
+
+  return TaskEvent.create(
+    {
+      taskId: task.id,
+      userId: options.actorId || null,
+      action,
+      changes
+    },
+    { transaction: options.transaction }
+  );
+};
+
+module.exports = TaskEvent;
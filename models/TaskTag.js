@@ -0,0 +1,38 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/db');
+
+/**
+ * TaskTag Model
+ * Join table for the many-to-many Task <-> Tag association
+ */
+const TaskTag = sequelize.define(
+  'TaskTag',
+  {
+    taskId: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      field: 'task_id',
+      references: {
+        model: 'tasks',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    tagId: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      field: 'tag_id',
+      references: {
+        model: 'tags',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    }
+  },
+  {
+    tableName: 'task_tags',
+    timestamps: false
+  }
+);
+
+module.exports = TaskTag;
@@ -0,0 +1,120 @@
+const { DataTypes, Op } = require('sequelize');
+const { sequelize } = require('../config/db');
+const { hashToken, generateSecret } = require('../utils/tokens');
+
+/**
+ * UserToken Model
+ * Single-use, expiring tokens sent to users by email
+ * (password reset, email verification). Only a hash is stored.
+ */
+const UserToken = sequelize.define(
+  'UserToken',
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      field: 'user_id',
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    type: {
+      type: DataTypes.STRING(30),
+      allowNull: false,
+      validate: {
+        isIn: {
+          args: [['password_reset', 'email_verification']],
+          msg: 'Token type must be password_reset or email_verification'
+        }
+      }
+    },
+    tokenHash: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      unique: true,
+      field: 'token_hash'
+    },
+    expiresAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      field: 'expires_at'
+    },
+    usedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'used_at'
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW,
+      field: 'created_at'
+    }
+  },
+  {
+    tableName: 'user_tokens',
+    timestamps: false // We manage createdAt manually
+  }
+);
+
+/**
+ * Issue a new token for a user, invalidating any unused token of the same type
+ * @param {number} userId - User ID
+ * @param {string} type - password_reset or email_verification
+ * @param {number} ttlMs - Token lifetime in milliseconds
+ * @returns {Promise<string>} Plain token to send to the user
+ */
+UserToken.issue = async function (userId, type, ttlMs) {
+  const token = generateSecret();
+
+  await sequelize.transaction(async (transaction) => {
+    await UserToken.update(
+      { usedAt: new Date() },
+      { where: { userId, type, usedAt: null }, transaction }
+    );
+
+    await UserToken.create(
+      {
+        userId,
+        type,
+        tokenHash: hashToken(token),
+        expiresAt: new Date(Date.now() + ttlMs)
+      },
+      { transaction }
+    );
+  });
+
+  return token;
+};
+
+/**
+ * Consume a token: marks it used if it is valid, unused and not expired
+ * The update is atomic so a token can only ever be consumed once
+ * @param {string} token - Plain token from the user
+ * @param {string} type - Expected token type
+ * @returns {Promise<UserToken|null>} Consumed token or null if invalid
+ */
+UserToken.consume = async function (token, type) {
+  const [count, rows] = await UserToken.update(
+    { usedAt: new Date() },
+    {
+      where: {
+        tokenHash: hashToken(token),
+        type,
+        usedAt: null,
+        expiresAt: { [Op.gt]: new Date() }
+      },
+      returning: true
+    }
+  );
+
+  return count ? rows[0] : null;
+};
+
+module.exports = UserToken;
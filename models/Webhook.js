@@ -0,0 +1,81 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/db');
+
+/**
+ * Task events a webhook can subscribe to
+ */
+const EVENTS = ['task.created', 'task.updated', 'task.deleted'];
+
+/**
+ * Webhook Model
+ * A URL registered by a user to receive task events, signed with secret
+ */
+const Webhook = sequelize.define(
+  'Webhook',
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      field: 'user_id',
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    url: {
+      type: DataTypes.STRING(2048),
+      allowNull: false
+    },
+    description: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    events: {
+      type: DataTypes.ARRAY(DataTypes.TEXT),
+      allowNull: false,
+      defaultValue: EVENTS,
+      validate: {
+        isKnown(value) {
+          if (!Array.isArray(value) || !value.length || value.some((event) => !EVENTS.includes(event))) {
+            throw new Error(`Events must be a non-empty list of: ${EVENTS.join(', ')}`);
+          }
+        }
+      }
+    },
+    secret: {
+      type: DataTypes.STRING(100),
+      allowNull: false
+    },
+    active: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW,
+      field: 'created_at'
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW,
+      field: 'updated_at'
+    }
+  },
+  {
+    tableName: 'webhooks',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  }
+);
+
+Webhook.EVENTS = EVENTS;
+
+module.exports = Webhook;
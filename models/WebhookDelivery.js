@@ -0,0 +1,93 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/db');
+
+/**
+ * WebhookDelivery Model
+ * One event sent (or to be sent) to a webhook, kept as the delivery log
+ *
+ * status: pending -> sending -> delivered | failed (retried with backoff)
+ */
+const WebhookDelivery = sequelize.define(
+  'WebhookDelivery',
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    webhookId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      field: 'webhook_id',
+      references: {
+        model: 'webhooks',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    event: {
+      type: DataTypes.STRING(50),
+      allowNull: false
+    },
+    payload: {
+      type: DataTypes.JSONB,
+      allowNull: false
+    },
+    status: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      defaultValue: 'pending',
+      validate: {
+        isIn: [['pending', 'sending', 'delivered', 'failed']]
+      }
+    },
+    attempts: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    responseStatus: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      field: 'response_status'
+    },
+    lastError: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+      field: 'last_error'
+    },
+    durationMs: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      field: 'duration_ms'
+    },
+    nextAttemptAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW,
+      field: 'next_attempt_at'
+    },
+    deliveredAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'delivered_at'
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW,
+      field: 'created_at'
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW,
+      field: 'updated_at'
+    }
+  },
+  {
+    tableName: 'webhook_deliveries',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  }
+);
+
+module.exports = WebhookDelivery;
@@ -1,5 +1,22 @@
 const User = require('./User');
 const Task = require('./Task');
+const Session = require('./Session');
+const UserToken = require('./UserToken');
+const Project = require('./Project');
+const ProjectMember = require('./ProjectMember');
+const ProjectInvitation = require('./ProjectInvitation');
+const Tag = require('./Tag');
+const TaskTag = require('./TaskTag');
+const ChecklistItem = require('./ChecklistItem');
+const TaskEvent = require('./TaskEvent');
+const Comment = require('./Comment');
+const Attachment = require('./Attachment');
+const Reminder = require('./Reminder');
+const NotificationDelivery = require('./NotificationDelivery');
+const Notification = require('./Notification');
+const Webhook = require('./Webhook');
+const WebhookDelivery = require('./WebhookDelivery');
+const CalendarToken = require('./CalendarToken');
 
 /**
  * Define Model Associations
@@ -8,16 +25,354 @@ const Task = require('./Task');
 User.hasMany(Task, {
   foreignKey: 'userId',
   as: 'tasks',
+  onDelete: 'CASCADE',
+  hooks: true // Destroy tasks through Sequelize so Task hooks run on account deletion
+});
+
+Task.belongsTo(User, {
+  foreignKey: 'userId',
+  as: 'user'
+});
+
+/**
+ * User has many Sessions (one per logged-in device)
+ */
+User.hasMany(Session, {
+  foreignKey: 'userId',
+  as: 'sessions',
+  onDelete: 'CASCADE'
+});
+
+Session.belongsTo(User, {
+  foreignKey: 'userId',
+  as: 'user'
+});
+
+/**
+ * User has many UserTokens (password reset, email verification)
+ */
+User.hasMany(UserToken, {
+  foreignKey: 'userId',
+  as: 'tokens',
+  onDelete: 'CASCADE'
+});
+
+UserToken.belongsTo(User, {
+  foreignKey: 'userId',
+  as: 'user'
+});
+
+/**
+ * User has many Projects, Project groups many Tasks
+ * Deleting a project leaves its tasks in place without a project
+ */
+User.hasMany(Project, {
+  foreignKey: 'userId',
+  as: 'projects',
   onDelete: 'CASCADE'
 });
 
+Project.belongsTo(User, {
+  foreignKey: 'userId',
+  as: 'user'
+});
+
+Project.hasMany(Task, {
+  foreignKey: 'projectId',
+  as: 'tasks',
+  onDelete: 'SET NULL'
+});
+
+Task.belongsTo(Project, {
+  foreignKey: 'projectId',
+  as: 'project'
+});
+
+/**
+ * Project has many Members (users it is shared with) and Invitations
+ */
+Project.hasMany(ProjectMember, {
+  foreignKey: 'projectId',
+  as: 'members',
+  onDelete: 'CASCADE'
+});
+
+ProjectMember.belongsTo(Project, {
+  foreignKey: 'projectId',
+  as: 'project'
+});
+
+User.hasMany(ProjectMember, {
+  foreignKey: 'userId',
+  as: 'memberships',
+  onDelete: 'CASCADE'
+});
+
+ProjectMember.belongsTo(User, {
+  foreignKey: 'userId',
+  as: 'user'
+});
+
+Project.hasMany(ProjectInvitation, {
+  foreignKey: 'projectId',
+  as: 'invitations',
+  onDelete: 'CASCADE'
+});
+
+ProjectInvitation.belongsTo(Project, {
+  foreignKey: 'projectId',
+  as: 'project'
+});
+
+ProjectInvitation.belongsTo(User, {
+  foreignKey: 'invitedById',
+  as: 'invitedBy'
+});
+
+/**
+ * Task may be assigned to a member of its project
+ */
 Task.belongsTo(User, {
+  foreignKey: 'assigneeId',
+  as: 'assignee'
+});
+
+/**
+ * User has many Tags, Tags and Tasks are many-to-many through TaskTag
+ */
+User.hasMany(Tag, {
+  foreignKey: 'userId',
+  as: 'tags',
+  onDelete: 'CASCADE'
+});
+
+Tag.belongsTo(User, {
+  foreignKey: 'userId',
+  as: 'user'
+});
+
+Task.belongsToMany(Tag, {
+  through: TaskTag,
+  foreignKey: 'taskId',
+  otherKey: 'tagId',
+  as: 'tags'
+});
+
+Tag.belongsToMany(Task, {
+  through: TaskTag,
+  foreignKey: 'tagId',
+  otherKey: 'taskId',
+  as: 'tasks'
+});
+
+/**
+ * Task has many ChecklistItems and many subtasks (one level deep)
+ */
+Task.hasMany(ChecklistItem, {
+  foreignKey: 'taskId',
+  as: 'checklist',
+  onDelete: 'CASCADE'
+});
+
+ChecklistItem.belongsTo(Task, {
+  foreignKey: 'taskId',
+  as: 'task'
+});
+
+Task.hasMany(Task, {
+  foreignKey: 'parentId',
+  as: 'subtasks',
+  onDelete: 'CASCADE'
+});
+
+Task.belongsTo(Task, {
+  foreignKey: 'parentId',
+  as: 'parent'
+});
+
+/**
+ * Task has many TaskEvents (activity history), each made by a User
+ */
+Task.hasMany(TaskEvent, {
+  foreignKey: 'taskId',
+  as: 'events',
+  onDelete: 'CASCADE'
+});
+
+TaskEvent.belongsTo(Task, {
+  foreignKey: 'taskId',
+  as: 'task'
+});
+
+TaskEvent.belongsTo(User, {
+  foreignKey: 'userId',
+  as: 'actor'
+});
+
+/**
+ * Task has many Comments, each written by a User
+ */
+Task.hasMany(Comment, {
+  foreignKey: 'taskId',
+  as: 'comments',
+  onDelete: 'CASCADE'
+});
+
+Comment.belongsTo(Task, {
+  foreignKey: 'taskId',
+  as: 'task'
+});
+
+User.hasMany(Comment, {
+  foreignKey: 'userId',
+  as: 'comments',
+  onDelete: 'CASCADE'
+});
+
+Comment.belongsTo(User, {
+  foreignKey: 'userId',
+  as: 'author'
+});
+
+/**
+ * Task has many Attachments, each uploaded by a User
+ */
+Task.hasMany(Attachment, {
+  foreignKey: 'taskId',
+  as: 'attachments',
+  onDelete: 'CASCADE'
+});
+
+Attachment.belongsTo(Task, {
+  foreignKey: 'taskId',
+  as: 'task'
+});
+
+Attachment.belongsTo(User, {
+  foreignKey: 'userId',
+  as: 'uploader'
+});
+
+/**
+ * Task has many Reminders, each set by a User for themselves
+ */
+Task.hasMany(Reminder, {
+  foreignKey: 'taskId',
+  as: 'reminders',
+  onDelete: 'CASCADE'
+});
+
+Reminder.hasMany(NotificationDelivery, {
+  foreignKey: 'reminderId',
+  as: 'deliveries',
+  onDelete: 'CASCADE'
+});
+
+Reminder.belongsTo(Task, {
+  foreignKey: 'taskId',
+  as: 'task'
+});
+
+Reminder.belongsTo(User, {
+  foreignKey: 'userId',
+  as: 'user'
+});
+
+/**
+ * NotificationDelivery is one queued reminder/overdue notice for a User about a Task
+ */
+NotificationDelivery.belongsTo(Task, {
+  foreignKey: 'taskId',
+  as: 'task'
+});
+
+NotificationDelivery.belongsTo(User, {
+  foreignKey: 'userId',
+  as: 'user'
+});
+
+NotificationDelivery.belongsTo(Reminder, {
+  foreignKey: 'reminderId',
+  as: 'reminder'
+});
+
+/**
+ * User has many in-app Notifications, optionally about a Task
+ */
+User.hasMany(Notification, {
+  foreignKey: 'userId',
+  as: 'notifications',
+  onDelete: 'CASCADE'
+});
+
+Notification.belongsTo(User, {
+  foreignKey: 'userId',
+  as: 'user'
+});
+
+Notification.belongsTo(Task, {
+  foreignKey: 'taskId',
+  as: 'task'
+});
+
+/**
+ * User has many Webhooks, each with a log of WebhookDeliveries
+ */
+User.hasMany(Webhook, {
+  foreignKey: 'userId',
+  as: 'webhooks',
+  onDelete: 'CASCADE'
+});
+
+Webhook.belongsTo(User, {
+  foreignKey: 'userId',
+  as: 'user'
+});
+
+Webhook.hasMany(WebhookDelivery, {
+  foreignKey: 'webhookId',
+  as: 'deliveries',
+  onDelete: 'CASCADE'
+});
+
+WebhookDelivery.belongsTo(Webhook, {
+  foreignKey: 'webhookId',
+  as: 'webhook'
+});
+
+/**
+ * User has one CalendarToken (the secret in their calendar feed URL)
+ */
+User.hasOne(CalendarToken, {
+  foreignKey: 'userId',
+  as: 'calendarToken',
+  onDelete: 'CASCADE'
+});
+
+CalendarToken.belongsTo(User, {
   foreignKey: 'userId',
   as: 'user'
 });
 
 module.exports = {
   User,
-  Task
+  Task,
+  Session,
+  UserToken,
+  Project,
+  ProjectMember,
+  ProjectInvitation,
+  Tag,
+  TaskTag,
+  ChecklistItem,
+  TaskEvent,
+  Comment,
+  Attachment,
+  Reminder,
+  NotificationDelivery,
+  Notification,
+  Webhook,
+  WebhookDelivery,
+  CalendarToken
 };
 
@@ -0,0 +1,66 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const {
+  getAttachments,
+  createAttachment,
+  downloadAttachment,
+  deleteAttachment
+} = require('../controllers/attachmentController');
+const {
+  idParamValidation,
+  attachmentParamValidation,
+  validate
+} = require('../utils/validation');
+const { protect } = require('../middleware/authMiddleware');
+const { authorizeTask } = require('../middleware/permissionMiddleware');
+const { uploadAttachment } = require('../middleware/uploadMiddleware');
+
+/**
+ * Attachment Routes
+ * Mounted at /api/tasks/:id/attachments
+ * All routes require authentication and access to the task
+ */
+
+// @route   GET /api/tasks/:id/attachments
+// @desc    Get attachments of a task
+// @access  Private (viewer)
+router.get('/', protect, idParamValidation, validate, authorizeTask('viewer'), getAttachments);
+
+// @route   POST /api/tasks/:id/attachments
+// @desc    Upload attachment (multipart/form-data, field "file")
+// @access  Private (editor)
+router.post(
+  '/',
+  protect,
+  idParamValidation,
+  validate,
+  authorizeTask('editor'),
+  uploadAttachment,
+  createAttachment
+);
+
+// @route   GET /api/tasks/:id/attachments/:attachmentId
+// @desc    Download attachment
+// @access  Private (viewer)
+router.get(
+  '/:attachmentId',
+  protect,
+  attachmentParamValidation,
+  validate,
+  authorizeTask('viewer'),
+  downloadAttachment
+);
+
+// @route   DELETE /api/tasks/:id/attachments/:attachmentId
+// @desc    Delete attachment
+// @access  Private (editor)
+router.delete(
+  '/:attachmentId',
+  protect,
+  attachmentParamValidation,
+  validate,
+  authorizeTask('editor'),
+  deleteAttachment
+);
+
+module.exports = router;
@@ -3,19 +3,41 @@ const router = express.Router();
 const {
   register,
   login,
+  refresh,
   logout,
-  getMe
+  getMe,
+  updateMe,
+  changePassword,
+  deleteMe,
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword,
+  getSessions,
+  revokeSession
 } = require('../controllers/authController');
+const {
+  getCalendarToken,
+  rotateCalendarToken,
+  revokeCalendarToken
+} = require('../controllers/calendarController');
 const {
   registerValidation,
   loginValidation,
+  emailValidation,
+  verifyEmailValidation,
+  resetPasswordValidation,
+  updateProfileValidation,
+  changePasswordValidation,
+  deleteAccountValidation,
+  idParamValidation,
   validate
 } = require('../utils/validation');
 const { protect } = require('../middleware/authMiddleware');
 
 /**
  * Auth Routes
- * All routes are public except /me and /logout
+ * All routes are public except /me, /sessions and /calendar-token
  */
 
 // @route   POST /api/auth/register
@@ -28,15 +50,80 @@ router.post('/register', registerValidation, validate, register);
 // @access  Public
 router.post('/login', loginValidation, validate, login);
 
+// @route   POST /api/auth/refresh
+// @desc    Rotate refresh token and issue new access token
+// @access  Public (requires refresh token)
+router.post('/refresh', refresh);
+
 // @route   POST /api/auth/logout
-// @desc    Logout user (clear cookie)
-// @access  Private
-router.post('/logout', protect, logout);
+// @desc    Logout user (revoke session and clear cookies)
+// @access  Public (works with an expired access token)
+router.post('/logout', logout);
 
 // @route   GET /api/auth/me
 // @desc    Get current logged in user
 // @access  Private
 router.get('/me', protect, getMe);
 
+// @route   PATCH /api/auth/me
+// @desc    Update name and/or email (email change requires re-verification)
+// @access  Private
+router.patch('/me', protect, updateProfileValidation, validate, updateMe);
+
+// @route   PUT /api/auth/me/password
+// @desc    Change password and log out other devices
+// @access  Private
+router.put('/me/password', protect, changePasswordValidation, validate, changePassword);
+
+// @route   DELETE /api/auth/me
+// @desc    Delete account and all tasks (requires password)
+// @access  Private
+router.delete('/me', protect, deleteAccountValidation, validate, deleteMe);
+
+// @route   POST /api/auth/verify-email
+// @desc    Verify email address with emailed token
+// @access  Public
+router.post('/verify-email', verifyEmailValidation, validate, verifyEmail);
+
+// @route   POST /api/auth/resend-verification
+// @desc    Send a new email verification link
+// @access  Public
+router.post('/resend-verification', emailValidation, validate, resendVerification);
+
+// @route   POST /api/auth/forgot-password
+// @desc    Email a password reset link
+// @access  Public
+router.post('/forgot-password', emailValidation, validate, forgotPassword);
+
+// @route   POST /api/auth/reset-password
+// @desc    Reset password with emailed token
+// @access  Public
+router.post('/reset-password', resetPasswordValidation, validate, resetPassword);
+
+// @route   GET /api/auth/sessions
+// @desc    List active sessions (logged-in devices)
+// @access  Private
+router.get('/sessions', protect, getSessions);
+
+// @route   DELETE /api/auth/sessions/:id
+// @desc    Revoke a session (log out a device)
+// @access  Private
+router.delete('/sessions/:id', protect, idParamValidation, validate, revokeSession);
+
+// @route   GET /api/auth/calendar-token
+// @desc    Whether a calendar feed URL is active (with created/last used dates)
+// @access  Private
+router.get('/calendar-token', protect, getCalendarToken);
+
+// @route   POST /api/auth/calendar-token/rotate
+// @desc    Create a new calendar feed URL, replacing the previous one
+// @access  Private
+router.post('/calendar-token/rotate', protect, rotateCalendarToken);
+
+// @route   DELETE /api/auth/calendar-token
+// @desc    Revoke the calendar feed URL
+// @access  Private
+router.delete('/calendar-token', protect, revokeCalendarToken);
+
 module.exports = router;
 
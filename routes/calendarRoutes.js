@@ -0,0 +1,16 @@
+const express = require('express');
+const router = express.Router();
+const { getCalendarFeed } = require('../controllers/calendarController');
+
+/**
+ * Calendar Routes
+ * Calendar apps cannot log in, so the feed is public and identified by
+ * the secret token in its URL (managed under /api/auth/calendar-token)
+ */
+
+// @route   GET /api/calendar/:token.ics
+// @desc    iCalendar feed of the user's tasks as all-day events on their due dates
+// @access  Public (secret token)
+router.get('/:token.ics', getCalendarFeed);
+
+module.exports = router;
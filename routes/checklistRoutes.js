@@ -0,0 +1,83 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const {
+  getChecklist,
+  createChecklistItem,
+  updateChecklistItem,
+  reorderChecklist,
+  deleteChecklistItem
+} = require('../controllers/checklistController');
+const {
+  checklistItemValidation,
+  checklistItemUpdateValidation,
+  checklistReorderValidation,
+  idParamValidation,
+  checklistParamValidation,
+  validate
+} = require('../utils/validation');
+const { protect } = require('../middleware/authMiddleware');
+const { authorizeTask } = require('../middleware/permissionMiddleware');
+
+/**
+ * Checklist Routes
+ * Mounted at /api/tasks/:id/checklist
+ * All routes require authentication and access to the task
+ */
+
+// @route   GET /api/tasks/:id/checklist
+// @desc    Get checklist items in order
+// @access  Private (viewer)
+router.get('/', protect, idParamValidation, validate, authorizeTask('viewer'), getChecklist);
+
+// @route   POST /api/tasks/:id/checklist
+// @desc    Add checklist item
+// @access  Private (editor)
+router.post(
+  '/',
+  protect,
+  idParamValidation,
+  checklistItemValidation,
+  validate,
+  authorizeTask('editor'),
+  createChecklistItem
+);
+
+// @route   PUT /api/tasks/:id/checklist/reorder
+// @desc    Reorder checklist items
+// @access  Private (editor)
+router.put(
+  '/reorder',
+  protect,
+  idParamValidation,
+  checklistReorderValidation,
+  validate,
+  authorizeTask('editor'),
+  reorderChecklist
+);
+
+// @route   PUT /api/tasks/:id/checklist/:itemId
+// @desc    Update checklist item
+// @access  Private (editor)
+router.put(
+  '/:itemId',
+  protect,
+  checklistParamValidation,
+  checklistItemUpdateValidation,
+  validate,
+  authorizeTask('editor'),
+  updateChecklistItem
+);
+
+// @route   DELETE /api/tasks/:id/checklist/:itemId
+// @desc    Delete checklist item
+// @access  Private (editor)
+router.delete(
+  '/:itemId',
+  protect,
+  checklistParamValidation,
+  validate,
+  authorizeTask('editor'),
+  deleteChecklistItem
+);
+
+module.exports = router;
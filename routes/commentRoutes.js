@@ -0,0 +1,77 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const {
+  getComments,
+  createComment,
+  updateComment,
+  deleteComment
+} = require('../controllers/commentController');
+const {
+  commentValidation,
+  commentParamValidation,
+  pageValidation,
+  idParamValidation,
+  validate
+} = require('../utils/validation');
+const { protect } = require('../middleware/authMiddleware');
+const { authorizeTask } = require('../middleware/permissionMiddleware');
+
+/**
+ * Comment Routes
+ * Mounted at /api/tasks/:id/comments
+ * Anyone who can see the task can read and post comments;
+ * comments can only be edited or deleted by their author
+ */
+
+// @route   GET /api/tasks/:id/comments
+// @desc    Get comments on a task with pagination
+// @access  Private (viewer)
+router.get(
+  '/',
+  protect,
+  idParamValidation,
+  pageValidation,
+  validate,
+  authorizeTask('viewer'),
+  getComments
+);
+
+// @route   POST /api/tasks/:id/comments
+// @desc    Add comment
+// @access  Private (viewer)
+router.post(
+  '/',
+  protect,
+  idParamValidation,
+  commentValidation,
+  validate,
+  authorizeTask('viewer'),
+  createComment
+);
+
+// @route   PUT /api/tasks/:id/comments/:commentId
+// @desc    Edit own comment
+// @access  Private (viewer, author only)
+router.put(
+  '/:commentId',
+  protect,
+  commentParamValidation,
+  commentValidation,
+  validate,
+  authorizeTask('viewer'),
+  updateComment
+);
+
+// @route   DELETE /api/tasks/:id/comments/:commentId
+// @desc    Delete own comment
+// @access  Private (viewer, author only)
+router.delete(
+  '/:commentId',
+  protect,
+  commentParamValidation,
+  validate,
+  authorizeTask('viewer'),
+  deleteComment
+);
+
+module.exports = router;
@@ -0,0 +1,16 @@
+const express = require('express');
+const router = express.Router();
+const { streamEvents } = require('../controllers/eventController');
+const { protect } = require('../middleware/authMiddleware');
+
+/**
+ * Event Routes
+ * Real-time updates for the authenticated user over Server-Sent Events
+ */
+
+// @route   GET /api/events
+// @desc    Stream task created/updated/deleted/restored events
+// @access  Private
+router.get('/', protect, streamEvents);
+
+module.exports = router;
@@ -0,0 +1,32 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getMyInvitations,
+  acceptInvitation,
+  declineInvitation
+} = require('../controllers/memberController');
+const { idParamValidation, validate } = require('../utils/validation');
+const { protect } = require('../middleware/authMiddleware');
+
+/**
+ * Invitation Routes
+ * Invitations addressed to the authenticated user's email
+ * All routes require authentication
+ */
+
+// @route   GET /api/invitations
+// @desc    List pending invitations for current user
+// @access  Private
+router.get('/', protect, getMyInvitations);
+
+// @route   POST /api/invitations/:id/accept
+// @desc    Accept invitation and join project
+// @access  Private
+router.post('/:id/accept', protect, idParamValidation, validate, acceptInvitation);
+
+// @route   POST /api/invitations/:id/decline
+// @desc    Decline invitation
+// @access  Private
+router.post('/:id/decline', protect, idParamValidation, validate, declineInvitation);
+
+module.exports = router;
@@ -0,0 +1,42 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getNotifications,
+  getUnreadCount,
+  markRead,
+  markAllRead
+} = require('../controllers/notificationController');
+const {
+  notificationListValidation,
+  idParamValidation,
+  validate
+} = require('../utils/validation');
+const { protect } = require('../middleware/authMiddleware');
+
+/**
+ * Notification Routes
+ * The authenticated user's in-app notification inbox
+ * All routes require authentication
+ */
+
+// @route   GET /api/notifications
+// @desc    List notifications with pagination and unread count
+// @access  Private
+router.get('/', protect, notificationListValidation, validate, getNotifications);
+
+// @route   GET /api/notifications/unread-count
+// @desc    Get unread notification count
+// @access  Private
+router.get('/unread-count', protect, getUnreadCount);
+
+// @route   POST /api/notifications/read-all
+// @desc    Mark all notifications as read
+// @access  Private
+router.post('/read-all', protect, markAllRead);
+
+// @route   POST /api/notifications/:id/read
+// @desc    Mark notification as read
+// @access  Private
+router.post('/:id/read', protect, idParamValidation, validate, markRead);
+
+module.exports = router;
@@ -0,0 +1,149 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getProjects,
+  getProject,
+  createProject,
+  updateProject,
+  archiveProject,
+  unarchiveProject,
+  deleteProject
+} = require('../controllers/projectController');
+const {
+  getMembers,
+  updateMember,
+  removeMember,
+  getProjectInvitations,
+  createInvitation,
+  cancelInvitation
+} = require('../controllers/memberController');
+const {
+  projectValidation,
+  projectListValidation,
+  idParamValidation,
+  memberParamValidation,
+  invitationParamValidation,
+  invitationValidation,
+  memberRoleValidation,
+  validate
+} = require('../utils/validation');
+const { protect } = require('../middleware/authMiddleware');
+const { authorizeProject } = require('../middleware/permissionMiddleware');
+
+/**
+ * Project Routes
+ * All routes require authentication
+ * Members can view a project; only owners can change it or manage sharing
+ */
+
+// @route   GET /api/projects
+// @desc    Get all owned and shared projects with task counts
+// @access  Private
+router.get('/', protect, projectListValidation, validate, getProjects);
+
+// @route   POST /api/projects
+// @desc    Create new project
+// @access  Private
+router.post('/', protect, projectValidation, validate, createProject);
+
+// @route   GET /api/projects/:id
+// @desc    Get single project with task counts
+// @access  Private (viewer)
+router.get('/:id', protect, idParamValidation, validate, authorizeProject('viewer'), getProject);
+
+// @route   PUT /api/projects/:id
+// @desc    Update project
+// @access  Private (owner)
+router.put(
+  '/:id',
+  protect,
+  idParamValidation,
+  projectValidation,
+  validate,
+  authorizeProject('owner'),
+  updateProject
+);
+
+// @route   POST /api/projects/:id/archive
+// @desc    Archive project (tasks are kept)
+// @access  Private (owner)
+router.post('/:id/archive', protect, idParamValidation, validate, authorizeProject('owner'), archiveProject);
+
+// @route   POST /api/projects/:id/unarchive
+// @desc    Restore archived project
+// @access  Private (owner)
+router.post('/:id/unarchive', protect, idParamValidation, validate, authorizeProject('owner'), unarchiveProject);
+
+// @route   DELETE /api/projects/:id
+// @desc    Delete project (tasks are kept without a project)
+// @access  Private (owner)
+router.delete('/:id', protect, idParamValidation, validate, authorizeProject('owner'), deleteProject);
+
+// @route   GET /api/projects/:id/members
+// @desc    List project members and their roles
+// @access  Private (viewer)
+router.get('/:id/members', protect, idParamValidation, validate, authorizeProject('viewer'), getMembers);
+
+// @route   PUT /api/projects/:id/members/:userId
+// @desc    Change a member's role
+// @access  Private (owner)
+router.put(
+  '/:id/members/:userId',
+  protect,
+  memberParamValidation,
+  memberRoleValidation,
+  validate,
+  authorizeProject('owner'),
+  updateMember
+);
+
+// @route   DELETE /api/projects/:id/members/:userId
+// @desc    Remove a member, or leave the project
+// @access  Private (owner, or the member themselves)
+router.delete(
+  '/:id/members/:userId',
+  protect,
+  memberParamValidation,
+  validate,
+  authorizeProject('viewer'),
+  removeMember
+);
+
+// @route   GET /api/projects/:id/invitations
+// @desc    List pending invitations
+// @access  Private (owner)
+router.get(
+  '/:id/invitations',
+  protect,
+  idParamValidation,
+  validate,
+  authorizeProject('owner'),
+  getProjectInvitations
+);
+
+// @route   POST /api/projects/:id/invitations
+// @desc    Invite a user by email
+// @access  Private (owner)
+router.post(
+  '/:id/invitations',
+  protect,
+  idParamValidation,
+  invitationValidation,
+  validate,
+  authorizeProject('owner'),
+  createInvitation
+);
+
+// @route   DELETE /api/projects/:id/invitations/:invitationId
+// @desc    Cancel a pending invitation
+// @access  Private (owner)
+router.delete(
+  '/:id/invitations/:invitationId',
+  protect,
+  invitationParamValidation,
+  validate,
+  authorizeProject('owner'),
+  cancelInvitation
+);
+
+module.exports = router;
@@ -0,0 +1,54 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const {
+  getReminders,
+  createReminder,
+  deleteReminder
+} = require('../controllers/reminderController');
+const {
+  reminderValidation,
+  reminderParamValidation,
+  idParamValidation,
+  validate
+} = require('../utils/validation');
+const { protect } = require('../middleware/authMiddleware');
+const { authorizeTask } = require('../middleware/permissionMiddleware');
+
+/**
+ * Reminder Routes
+ * Mounted at /api/tasks/:id/reminders
+ * Anyone who can see the task can set reminders for themselves;
+ * each user only sees and deletes their own
+ */
+
+// @route   GET /api/tasks/:id/reminders
+// @desc    Get own reminders on a task
+// @access  Private (viewer)
+router.get('/', protect, idParamValidation, validate, authorizeTask('viewer'), getReminders);
+
+// @route   POST /api/tasks/:id/reminders
+// @desc    Add reminder
+// @access  Private (viewer)
+router.post(
+  '/',
+  protect,
+  idParamValidation,
+  reminderValidation,
+  validate,
+  authorizeTask('viewer'),
+  createReminder
+);
+
+// @route   DELETE /api/tasks/:id/reminders/:reminderId
+// @desc    Delete own reminder
+// @access  Private (viewer)
+router.delete(
+  '/:reminderId',
+  protect,
+  reminderParamValidation,
+  validate,
+  authorizeTask('viewer'),
+  deleteReminder
+);
+
+module.exports = router;
@@ -0,0 +1,41 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getTags,
+  createTag,
+  updateTag,
+  deleteTag
+} = require('../controllers/tagController');
+const {
+  tagValidation,
+  idParamValidation,
+  validate
+} = require('../utils/validation');
+const { protect } = require('../middleware/authMiddleware');
+
+/**
+ * Tag Routes
+ * All routes require authentication
+ */
+
+// @route   GET /api/tags
+// @desc    Get all tags with usage counts
+// @access  Private
+router.get('/', protect, getTags);
+
+// @route   POST /api/tags
+// @desc    Create new tag
+// @access  Private
+router.post('/', protect, tagValidation, validate, createTag);
+
+// @route   PUT /api/tags/:id
+// @desc    Update tag
+// @access  Private
+router.put('/:id', protect, idParamValidation, tagValidation, validate, updateTag);
+
+// @route   DELETE /api/tags/:id
+// @desc    Delete tag
+// @access  Private
+router.delete('/:id', protect, idParamValidation, validate, deleteTag);
+
+module.exports = router;
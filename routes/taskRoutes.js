@@ -2,25 +2,47 @@ const express = require('express');
 const router = express.Router();
 const {
   getTasks,
+  exportTasks,
+  importTasks,
+  getTaskStats,
   getTask,
+  getOccurrences,
+  getTaskHistory,
   createTask,
   updateTask,
-  deleteTask
+  deleteTask,
+  getTrash,
+  restoreTask,
+  purgeTask,
+  bulkTasks
 } = require('../controllers/taskController');
 const {
   taskValidation,
+  taskPatchValidation,
+  occurrencesValidation,
+  pageValidation,
+  bulkTaskValidation,
   paginationValidation,
+  exportValidation,
+  importValidation,
+  statsValidation,
+  idParamValidation,
   validate
 } = require('../utils/validation');
 const { protect } = require('../middleware/authMiddleware');
+const { authorizeTask } = require('../middleware/permissionMiddleware');
+const { checkTaskIfMatch } = require('../middleware/preconditionMiddleware');
+const { uploadImport } = require('../middleware/uploadMiddleware');
 
 /**
  * Task Routes
  * All routes require authentication
+ * Single-task routes require viewer (read) or editor (write) access
+ * Writes to a single task honour If-Match (412 if the task has changed)
  */
 
 // @route   GET /api/tasks
-// @desc    Get all tasks for authenticated user with pagination
+// @desc    Get all tasks the user can see (own and shared) with pagination
 // @access  Private
 router.get('/', protect, paginationValidation, validate, getTasks);
 
@@ -29,20 +51,142 @@ router.get('/', protect, paginationValidation, validate, getTasks);
 // @access  Private
 router.post('/', protect, taskValidation, validate, createTask);
 
+// @route   POST /api/tasks/bulk
+// @desc    Create, update, delete or change priority/status of many tasks in one transaction
+// @access  Private
+router.post('/bulk', protect, bulkTaskValidation, validate, bulkTasks);
+
+// @route   GET /api/tasks/export
+// @desc    Download all tasks as CSV, JSON or iCalendar (?format=csv|json|ics)
+// @access  Private
+router.get('/export', protect, exportValidation, validate, exportTasks);
+
+// @route   POST /api/tasks/import
+// @desc    Import tasks from a CSV or JSON file (multipart "file"; dryRun, mapping)
+// @access  Private
+router.post('/import', protect, uploadImport, importValidation, validate, importTasks);
+
+// @route   GET /api/tasks/stats
+// @desc    Dashboard statistics of the user's own tasks (?days of daily counts)
+// @access  Private
+router.get('/stats', protect, statsValidation, validate, getTaskStats);
+
+// @route   GET /api/tasks/trash
+// @desc    Get trashed tasks with pagination
+// @access  Private
+router.get('/trash', protect, paginationValidation, validate, getTrash);
+
 // @route   GET /api/tasks/:id
 // @desc    Get single task
 // @access  Private
-router.get('/:id', protect, getTask);
+router.get('/:id', protect, idParamValidation, validate, authorizeTask('viewer'), getTask);
+
+// @route   GET /api/tasks/:id/occurrences
+// @desc    Preview the next occurrences of a recurring task
+// @access  Private
+router.get(
+  '/:id/occurrences',
+  protect,
+  idParamValidation,
+  occurrencesValidation,
+  validate,
+  authorizeTask('viewer'),
+  getOccurrences
+);
+
+// @route   GET /api/tasks/:id/history
+// @desc    Get task activity history with pagination
+// @access  Private
+router.get(
+  '/:id/history',
+  protect,
+  idParamValidation,
+  pageValidation,
+  validate,
+  authorizeTask('viewer'),
+  getTaskHistory
+);
 
 // @route   PUT /api/tasks/:id
 // @desc    Update task
 // @access  Private
-router.put('/:id', protect, taskValidation, validate, updateTask);
+router.put(
+  '/:id',
+  protect,
+  idParamValidation,
+  taskValidation,
+  validate,
+  authorizeTask('editor'),
+  checkTaskIfMatch,
+  updateTask
+);
+
+// @route   PATCH /api/tasks/:id
+// @desc    Partially update task (any subset of fields, null clears optional ones)
+// @access  Private
+router.patch(
+  '/:id',
+  protect,
+  idParamValidation,
+  taskPatchValidation,
+  validate,
+  authorizeTask('editor'),
+  checkTaskIfMatch,
+  updateTask
+);
 
 // @route   DELETE /api/tasks/:id
 // @desc    Delete task
 // @access  Private
-router.delete('/:id', protect, deleteTask);
+router.delete(
+  '/:id',
+  protect,
+  idParamValidation,
+  validate,
+  authorizeTask('editor'),
+  checkTaskIfMatch,
+  deleteTask
+);
+
+// @route   POST /api/tasks/:id/restore
+// @desc    Restore task from the trash
+// @access  Private
+router.post(
+  '/:id/restore',
+  protect,
+  idParamValidation,
+  validate,
+  authorizeTask('editor', { trashed: true }),
+  restoreTask
+);
+
+// @route   DELETE /api/tasks/:id/purge
+// @desc    Permanently delete a trashed task
+// @access  Private
+router.delete(
+  '/:id/purge',
+  protect,
+  idParamValidation,
+  validate,
+  authorizeTask('editor', { trashed: true }),
+  purgeTask
+);
+
+// @route   /api/tasks/:id/checklist
+// @desc    Checklist items of a task
+router.use('/:id/checklist', require('./checklistRoutes'));
+
+// @route   /api/tasks/:id/comments
+// @desc    Comments on a task
+router.use('/:id/comments', require('./commentRoutes'));
+
+// @route   /api/tasks/:id/attachments
+// @desc    File attachments of a task
+router.use('/:id/attachments', require('./attachmentRoutes'));
+
+// @route   /api/tasks/:id/reminders
+// @desc    Reminders on a task for the current user
+router.use('/:id/reminders', require('./reminderRoutes'));
 
 module.exports = router;
 
@@ -0,0 +1,69 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getWebhooks,
+  getWebhook,
+  createWebhook,
+  updateWebhook,
+  deleteWebhook,
+  getWebhookDeliveries,
+  testWebhook
+} = require('../controllers/webhookController');
+const {
+  webhookValidation,
+  webhookUpdateValidation,
+  pageValidation,
+  idParamValidation,
+  validate
+} = require('../utils/validation');
+const { protect } = require('../middleware/authMiddleware');
+
+/**
+ * Webhook Routes
+ * The authenticated user's outgoing webhooks for task events
+ * All routes require authentication
+ */
+
+// @route   GET /api/webhooks
+// @desc    List webhooks
+// @access  Private
+router.get('/', protect, getWebhooks);
+
+// @route   POST /api/webhooks
+// @desc    Create webhook
+// @access  Private
+router.post('/', protect, webhookValidation, validate, createWebhook);
+
+// @route   GET /api/webhooks/:id
+// @desc    Get webhook
+// @access  Private
+router.get('/:id', protect, idParamValidation, validate, getWebhook);
+
+// @route   PUT /api/webhooks/:id
+// @desc    Update webhook
+// @access  Private
+router.put('/:id', protect, idParamValidation, webhookUpdateValidation, validate, updateWebhook);
+
+// @route   DELETE /api/webhooks/:id
+// @desc    Delete webhook
+// @access  Private
+router.delete('/:id', protect, idParamValidation, validate, deleteWebhook);
+
+// @route   GET /api/webhooks/:id/deliveries
+// @desc    Get webhook delivery log with pagination
+// @access  Private
+router.get(
+  '/:id/deliveries',
+  protect,
+  idParamValidation,
+  pageValidation,
+  validate,
+  getWebhookDeliveries
+);
+
+// @route   POST /api/webhooks/:id/test
+// @desc    Send a test event
+// @access  Private
+router.post('/:id/test', protect, idParamValidation, validate, testWebhook);
+
+module.exports = router;
@@ -2,7 +2,12 @@ const express = require('express');
 const cors = require('cors');
 const cookieParser = require('cookie-parser');
 const dotenv = require('dotenv');
+const { QueryTypes } = require('sequelize');
 const { sequelize, testConnection } = require('./config/db');
+const { getStatus } = require('./migrations/migrator');
+const { startTrashPurge } = require('./utils/trash');
+const { startReminderScheduler } = require('./utils/reminders');
+const { startWebhookRetries } = require('./utils/webhooks');
 
 // Load environment variables
 dotenv.config();
@@ -33,7 +38,8 @@ app.use(
         callback(new Error('Not allowed by CORS'));
       }
     },
-    credentials: true // Allow cookies to be sent
+    credentials: true, // Allow cookies to be sent
+    exposedHeaders: ['ETag'] // Let the frontend read task ETags for If-Match
   })
 );
 
@@ -49,6 +55,13 @@ app.use(cookieParser());
  */
 app.use('/api/auth', require('./routes/authRoutes'));
 app.use('/api/tasks', require('./routes/taskRoutes'));
+app.use('/api/projects', require('./routes/projectRoutes'));
+app.use('/api/invitations', require('./routes/invitationRoutes'));
+app.use('/api/tags', require('./routes/tagRoutes'));
+app.use('/api/notifications', require('./routes/notificationRoutes'));
+app.use('/api/events', require('./routes/eventRoutes'));
+app.use('/api/webhooks', require('./routes/webhookRoutes'));
+app.use('/api/calendar', require('./routes/calendarRoutes'));
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -94,15 +107,29 @@ const startServer = async () => {
       process.exit(1);
     }
 
-    // Sync database models (creates tables if they don't exist)
-    // Note: In production, use migrations instead of sync
-    await sequelize.sync({ alter: false });
-    console.log('✅ Database models synchronized');
+    // Refuse to start on a schema that is behind the code
+    const { pending } = await getStatus((sql) => sequelize.query(sql, { type: QueryTypes.SELECT }));
+
+    if (pending.length) {
+      console.error(`❌ ${pending.length} pending migration(s): ${pending.map((m) => m.file).join(', ')}`);
+      console.error('💡 Tip: Run "npm run migrate" to apply them.');
+      process.exit(1);
+    }
+    console.log('✅ Database schema is up to date');
     
     // Log environment for debugging
     console.log(`📍 Environment: ${process.env.NODE_ENV || 'development'}`);
     console.log(`🔗 CORS allowed origin: ${process.env.FRONTEND_URL || 'http://localhost:5173'}`);
 
+    // Purge tasks that have been in the trash past the retention period
+    startTrashPurge();
+
+    // Send due reminders and overdue notices (REMINDER_INTERVAL_SECONDS=0 disables it)
+    startReminderScheduler();
+
+    // Retry failed webhook deliveries with exponential backoff
+    startWebhookRetries();
+
     // Start server
     app.listen(PORT, () => {
       console.log(`\n🚀 Server running on port ${PORT}`);
@@ -111,13 +138,80 @@ const startServer = async () => {
       console.log(`\n📚 Available endpoints:`);
       console.log(`   POST   /api/auth/register`);
       console.log(`   POST   /api/auth/login`);
+      console.log(`   POST   /api/auth/refresh`);
       console.log(`   POST   /api/auth/logout`);
       console.log(`   GET    /api/auth/me`);
+      console.log(`   PATCH  /api/auth/me`);
+      console.log(`   PUT    /api/auth/me/password`);
+      console.log(`   DELETE /api/auth/me`);
+      console.log(`   POST   /api/auth/verify-email`);
+      console.log(`   POST   /api/auth/resend-verification`);
+      console.log(`   POST   /api/auth/forgot-password`);
+      console.log(`   POST   /api/auth/reset-password`);
+      console.log(`   GET    /api/auth/sessions`);
+      console.log(`   DELETE /api/auth/sessions/:id`);
+      console.log(`   GET    /api/auth/calendar-token`);
+      console.log(`   POST   /api/auth/calendar-token/rotate`);
+      console.log(`   DELETE /api/auth/calendar-token`);
       console.log(`   GET    /api/tasks`);
       console.log(`   POST   /api/tasks`);
+      console.log(`   POST   /api/tasks/bulk`);
+      console.log(`   GET    /api/tasks/export`);
+      console.log(`   POST   /api/tasks/import`);
+      console.log(`   GET    /api/tasks/stats`);
+      console.log(`   GET    /api/tasks/trash`);
       console.log(`   GET    /api/tasks/:id`);
+      console.log(`   GET    /api/tasks/:id/occurrences`);
+      console.log(`   GET    /api/tasks/:id/history`);
+      console.log(`   GET    /api/tasks/:id/comments`);
+      console.log(`   POST   /api/tasks/:id/comments`);
+      console.log(`   PUT    /api/tasks/:id/comments/:commentId`);
+      console.log(`   DELETE /api/tasks/:id/comments/:commentId`);
+      console.log(`   GET    /api/tasks/:id/attachments`);
+      console.log(`   POST   /api/tasks/:id/attachments`);
+      console.log(`   GET    /api/tasks/:id/attachments/:attachmentId`);
+      console.log(`   DELETE /api/tasks/:id/attachments/:attachmentId`);
+      console.log(`   GET    /api/tasks/:id/reminders`);
+      console.log(`   POST   /api/tasks/:id/reminders`);
+      console.log(`   DELETE /api/tasks/:id/reminders/:reminderId`);
       console.log(`   PUT    /api/tasks/:id`);
+      console.log(`   PATCH  /api/tasks/:id`);
       console.log(`   DELETE /api/tasks/:id`);
+      console.log(`   POST   /api/tasks/:id/restore`);
+      console.log(`   DELETE /api/tasks/:id/purge`);
+      console.log(`   GET    /api/projects`);
+      console.log(`   POST   /api/projects`);
+      console.log(`   GET    /api/projects/:id`);
+      console.log(`   PUT    /api/projects/:id`);
+      console.log(`   POST   /api/projects/:id/archive`);
+      console.log(`   POST   /api/projects/:id/unarchive`);
+      console.log(`   DELETE /api/projects/:id`);
+      console.log(`   GET    /api/projects/:id/members`);
+      console.log(`   PUT    /api/projects/:id/members/:userId`);
+      console.log(`   DELETE /api/projects/:id/members/:userId`);
+      console.log(`   GET    /api/projects/:id/invitations`);
+      console.log(`   POST   /api/projects/:id/invitations`);
+      console.log(`   DELETE /api/projects/:id/invitations/:invitationId`);
+      console.log(`   GET    /api/tags`);
+      console.log(`   POST   /api/tags`);
+      console.log(`   PUT    /api/tags/:id`);
+      console.log(`   DELETE /api/tags/:id`);
+      console.log(`   GET    /api/invitations`);
+      console.log(`   POST   /api/invitations/:id/accept`);
+      console.log(`   POST   /api/invitations/:id/decline`);
+      console.log(`   GET    /api/notifications`);
+      console.log(`   GET    /api/notifications/unread-count`);
+      console.log(`   POST   /api/notifications/read-all`);
+      console.log(`   POST   /api/notifications/:id/read`);
+      console.log(`   GET    /api/events (Server-Sent Events)`);
+      console.log(`   GET    /api/webhooks`);
+      console.log(`   POST   /api/webhooks`);
+      console.log(`   GET    /api/webhooks/:id`);
+      console.log(`   PUT    /api/webhooks/:id`);
+      console.log(`   DELETE /api/webhooks/:id`);
+      console.log(`   GET    /api/webhooks/:id/deliveries`);
+      console.log(`   POST   /api/webhooks/:id/test`);
+      console.log(`   GET    /api/calendar/:token.ics`);
       console.log(`\n✨ Ready to accept requests!\n`);
     });
   } catch (error) {
@@ -0,0 +1,197 @@
+/**
+ * iCalendar (RFC 5545)
+ * Builds VCALENDAR documents with one VTODO per task (exports) or one
+ * all-day VEVENT per task on its due date (subscribable feeds, since
+ * calendar apps do not show VTODOs).
+ */
+
+const PRODID = '-//Task Manager//Tasks//EN';
+
+// PRIORITY runs from 1 (highest) to 9 (lowest); 5 is "normal"
+const PRIORITIES = { high: 1, medium: 5, low: 9 };
+
+const STATUSES = {
+  todo: 'NEEDS-ACTION',
+  in_progress: 'IN-PROCESS',
+  done: 'COMPLETED',
+  cancelled: 'CANCELLED'
+};
+
+/**
+ * Escape a TEXT value
+ * @param {string} value - Raw text
+ * @returns {string} Escaped text
+ */
+const escapeText = (value) =>
+  String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+/**
+ * Fold a content line into lines of at most 75 octets
+ * Never splits a UTF-8 character; continuation lines start with a space
+ * @param {string} line - Unfolded line
+ * @returns {string} Folded line ending in CRLF
+ */
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+  let octets = 0;
+
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    // Continuation lines lose one octet to the leading space
+    if (octets + size > (parts.length ? 74 : 75)) {
+      parts.push(current);
+      current = '';
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+  parts.push(current);
+
+  return `${parts.join('\r\n ')}\r\n`;
+};
+
+/**
+ * Format a timestamp as a UTC DATE-TIME (20240131T093000Z)
+ * @param {Date|string} value - Timestamp
+ * @returns {string} DATE-TIME value
+ */
+const formatDateTime = (value) => new Date(value).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+/**
+ * Format a YYYY-MM-DD date as a DATE (20240131)
+ * @param {string} value - Date string
+ * @returns {string} DATE value
+ */
+const formatDate = (value) => String(value).replace(/-/g, '');
+
+/**
+ * The day after a YYYY-MM-DD date, as a DATE
+ * @param {string} value - Date string
+ * @returns {string} DATE value
+ */
+const nextDay = (value) => {
+  const date = new Date(`${value}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + 1);
+  return formatDate(date.toISOString().slice(0, 10));
+};
+
+/**
+ * Stable UID of a task
+ * @param {number} taskId - Task ID
+ * @returns {string} UID
+ */
+const taskUid = (taskId) => `task-${taskId}@task-manager`;
+
+/**
+ * Calendar header
+ * @param {string} [name] - Calendar name shown by clients
+ * @param {string} [refreshInterval] - Suggested polling interval for
+ *        subscribers, as an ISO 8601 duration (e.g. PT1H)
+ * @returns {string} Lines opening the VCALENDAR
+ */
+const calendarStart = (name, refreshInterval) =>
+  [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    ...(name ? [`X-WR-CALNAME:${escapeText(name)}`] : []),
+    ...(refreshInterval
+      ? [`REFRESH-INTERVAL;VALUE=DURATION:${refreshInterval}`, `X-PUBLISHED-TTL:${refreshInterval}`]
+      : [])
+  ]
+    .map(foldLine)
+    .join('');
+
+/**
+ * Calendar footer
+ * @returns {string} Line closing the VCALENDAR
+ */
+const calendarEnd = () => foldLine('END:VCALENDAR');
+
+/**
+ * VTODO component of a task
+ * @param {Object} task - Serialized task (tags optional)
+ * @returns {string} VTODO lines
+ */
+const taskTodo = (task) => {
+  const lines = [
+    'BEGIN:VTODO',
+    `UID:${taskUid(task.id)}`,
+    `DTSTAMP:${formatDateTime(task.updatedAt)}`,
+    `CREATED:${formatDateTime(task.createdAt)}`,
+    `LAST-MODIFIED:${formatDateTime(task.updatedAt)}`,
+    `SEQUENCE:${task.version || 0}`,
+    `SUMMARY:${escapeText(task.title)}`
+  ];
+
+  if (task.description) {
+    lines.push(`DESCRIPTION:${escapeText(task.description)}`);
+  }
+
+  lines.push(`DUE;VALUE=DATE:${formatDate(task.endDate)}`);
+  lines.push(`PRIORITY:${PRIORITIES[task.priority] || 0}`);
+  lines.push(`STATUS:${STATUSES[task.status] || STATUSES.todo}`);
+
+  if (task.completedAt) {
+    lines.push(`COMPLETED:${formatDateTime(task.completedAt)}`);
+  }
+  if (task.tags && task.tags.length) {
+    lines.push(`CATEGORIES:${task.tags.map((tag) => escapeText(tag.name)).join(',')}`);
+  }
+  if (task.parentId) {
+    lines.push(`RELATED-TO;RELTYPE=PARENT:${taskUid(task.parentId)}`);
+  }
+
+  lines.push('END:VTODO');
+  return lines.map(foldLine).join('');
+};
+
+/**
+ * All-day VEVENT of a task on its due date
+ * Finished tasks keep their event, with a check mark before the title
+ * @param {Object} task - Task (tags optional)
+ * @returns {string} VEVENT lines
+ */
+const taskEvent = (task) => {
+  const title = task.status === 'done' ? `✓ ${task.title}` : task.title;
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${taskUid(task.id)}`,
+    `DTSTAMP:${formatDateTime(task.updatedAt)}`,
+    `CREATED:${formatDateTime(task.createdAt)}`,
+    `LAST-MODIFIED:${formatDateTime(task.updatedAt)}`,
+    `SEQUENCE:${task.version || 0}`,
+    `DTSTART;VALUE=DATE:${formatDate(task.endDate)}`,
+    `DTEND;VALUE=DATE:${nextDay(task.endDate)}`,
+    `SUMMARY:${escapeText(title)}`
+  ];
+
+  if (task.description) {
+    lines.push(`DESCRIPTION:${escapeText(task.description)}`);
+  }
+  if (task.tags && task.tags.length) {
+    lines.push(`CATEGORIES:${task.tags.map((tag) => escapeText(tag.name)).join(',')}`);
+  }
+
+  // Due dates do not make the user busy
+  lines.push(`STATUS:${task.status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED'}`);
+  lines.push('TRANSP:TRANSPARENT');
+  lines.push('END:VEVENT');
+  return lines.map(foldLine).join('');
+};
+
+module.exports = {
+  escapeText,
+  foldLine,
+  calendarStart,
+  calendarEnd,
+  taskTodo,
+  taskEvent
+};
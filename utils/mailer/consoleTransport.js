@@ -0,0 +1,15 @@
+/**
+ * Console Transport
+ * Logs each message to stdout instead of sending it
+ * @returns {{send: Function}} Transport instance
+ */
+const consoleTransport = () => ({
+  send: async (message) => {
+    console.log('\n📧 Email (console transport)');
+    console.log(`   To:      ${message.to}`);
+    console.log(`   Subject: ${message.subject}`);
+    console.log(`\n${message.text}\n`);
+  }
+});
+
+module.exports = consoleTransport;
@@ -0,0 +1,26 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * File Transport
+ * Writes each message as a JSON file to MAIL_FILE_DIR (default: tmp/mail)
+ * Useful for local testing: open the file to grab reset/verification links
+ * @returns {{send: Function}} Transport instance
+ */
+const fileTransport = () => {
+  const dir = process.env.MAIL_FILE_DIR || path.join(process.cwd(), 'tmp', 'mail');
+
+  return {
+    send: async (message) => {
+      await fs.promises.mkdir(dir, { recursive: true });
+
+      const fileName = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.json`;
+      const content = JSON.stringify({ ...message, date: new Date().toISOString() }, null, 2);
+
+      await fs.promises.writeFile(path.join(dir, fileName), content);
+    }
+  };
+};
+
+module.exports = fileTransport;
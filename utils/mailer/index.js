@@ -0,0 +1,60 @@
+const smtpTransport = require('./smtpTransport');
+const fileTransport = require('./fileTransport');
+const consoleTransport = require('./consoleTransport');
+
+/**
+ * Mailer
+ * Sends email through a pluggable transport selected by MAIL_TRANSPORT:
+ * - smtp    -> real delivery via SMTP (production)
+ * - file    -> writes each message as JSON to MAIL_FILE_DIR (local testing)
+ * - console -> logs each message to stdout (default)
+ *
+ * A transport is a factory returning an object with an async send(message) method.
+ */
+const transports = {
+  smtp: smtpTransport,
+  file: fileTransport,
+  console: consoleTransport
+};
+
+let transport;
+
+/**
+ * Get the configured transport (created once, on first use)
+ * @returns {{send: Function}} Transport instance
+ */
+const getTransport = () => {
+  if (!transport) {
+    const name = process.env.MAIL_TRANSPORT || 'console';
+    const createTransport = transports[name];
+
+    if (!createTransport) {
+      throw new Error(`Unknown MAIL_TRANSPORT "${name}". Use smtp, file, or console.`);
+    }
+
+    transport = createTransport();
+  }
+
+  return transport;
+};
+
+/**
+ * Send an email
+ * @param {Object} message - Message to send
+ * @param {string} message.to - Recipient address
+ * @param {string} message.subject - Subject line
+ * @param {string} message.text - Plain text body
+ * @param {string} [message.html] - HTML body
+ * @returns {Promise<void>}
+ */
+const sendMail = async ({ to, subject, text, html }) => {
+  await getTransport().send({
+    from: process.env.MAIL_FROM || 'Task Manager <no-reply@localhost>',
+    to,
+    subject,
+    text,
+    html
+  });
+};
+
+module.exports = { sendMail };
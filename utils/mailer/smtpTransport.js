@@ -0,0 +1,25 @@
+const nodemailer = require('nodemailer');
+
+/**
+ * SMTP Transport
+ * Configured with SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER and SMTP_PASSWORD
+ * @returns {{send: Function}} Transport instance
+ */
+const smtpTransport = () => {
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true', // true for port 465
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+      : undefined
+  });
+
+  return {
+    send: async (message) => {
+      await transporter.sendMail(message);
+    }
+  };
+};
+
+module.exports = smtpTransport;
@@ -0,0 +1,93 @@
+/**
+ * Email Templates
+ * Each template returns { subject, text, html } for sendMail
+ */
+
+const frontendUrl = () => process.env.FRONTEND_URL || 'http://localhost:5173';
+
+/**
+ * Escape user-provided text for HTML bodies
+ * @param {string} value - Raw text
+ * @returns {string} HTML-safe text
+ */
+const escapeHtml = (value) =>
+  String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+/**
+ * Email verification message
+ * @param {Object} user - Recipient user
+ * @param {string} token - Plain verification token
+ * @returns {{subject: string, text: string, html: string}} Email content
+ */
+const verificationEmail = (user, token) => {
+  const url = `${frontendUrl()}/verify-email?token=${token}`;
+
+  return {
+    subject: 'Verify your email address',
+    text: `Hi ${user.name},\n\nPlease confirm your email address by opening the link below:\n\n${url}\n\nIf you did not create an account, you can ignore this email.`,
+    html: `<p>Hi ${escapeHtml(user.name)},</p><p>Please confirm your email address by clicking the link below:</p><p><a href="${url}">Verify email</a></p><p>If you did not create an account, you can ignore this email.</p>`
+  };
+};
+
+/**
+ * Password reset message
+ * @param {Object} user - Recipient user
+ * @param {string} token - Plain reset token
+ * @param {number} minutes - How long the link stays valid
+ * @returns {{subject: string, text: string, html: string}} Email content
+ */
+const passwordResetEmail = (user, token, minutes) => {
+  const url = `${frontendUrl()}/reset-password?token=${token}`;
+
+  return {
+    subject: 'Reset your password',
+    text: `Hi ${user.name},\n\nWe received a request to reset your password. Open the link below to choose a new one (valid for ${minutes} minutes):\n\n${url}\n\nIf you did not request this, you can ignore this email.`,
+    html: `<p>Hi ${escapeHtml(user.name)},</p><p>We received a request to reset your password. Click the link below to choose a new one (valid for ${minutes} minutes):</p><p><a href="${url}">Reset password</a></p><p>If you did not request this, you can ignore this email.</p>`
+  };
+};
+
+/**
+ * Project invitation message
+ * @param {Object} inviter - User who sent the invitation
+ * @param {Object} project - Project being shared
+ * @param {string} role - Role offered (owner, editor, viewer)
+ * @returns {{subject: string, text: string, html: string}} Email content
+ */
+const projectInvitationEmail = (inviter, project, role) => {
+  const url = `${frontendUrl()}/invitations`;
+
+  return {
+    subject: `${inviter.name} shared "${project.name}" with you`,
+    text: `Hi,\n\n${inviter.name} invited you to join the project "${project.name}" as ${role}. Open the link below to accept or decline:\n\n${url}\n\nIf you don't have an account yet, register with this email address first.`,
+    html: `<p>Hi,</p><p>${escapeHtml(inviter.name)} invited you to join the project "${escapeHtml(project.name)}" as ${role}.</p><p><a href="${url}">View invitation</a></p><p>If you don't have an account yet, register with this email address first.</p>`
+  };
+};
+
+/**
+ * Task reminder / overdue message
+ * @param {Object} user - Recipient user
+ * @param {Object} task - Task the notification is about
+ * @param {Object} notification - { title, body } of the notification
+ * @returns {{subject: string, text: string, html: string}} Email content
+ */
+const taskNotificationEmail = (user, task, { title, body }) => {
+  const url = `${frontendUrl()}/tasks/${task.id}`;
+
+  return {
+    subject: title,
+    text: `Hi ${user.name},\n\n${body}\n\n${url}`,
+    html: `<p>Hi ${escapeHtml(user.name)},</p><p>${escapeHtml(body)}</p><p><a href="${url}">Open task</a></p>`
+  };
+};
+
+module.exports = {
+  verificationEmail,
+  passwordResetEmail,
+  projectInvitationEmail,
+  taskNotificationEmail
+};
@@ -0,0 +1,40 @@
+const { marked } = require('marked');
+const sanitizeHtml = require('sanitize-html');
+
+/**
+ * Markdown Rendering
+ * User-written markdown (task comments) is rendered to HTML on the server and
+ * sanitized against an allow-list, so clients can display it without
+ * trusting the author: raw HTML, scripts, event handlers and javascript:
+ * links are stripped.
+ */
+
+const SANITIZE_OPTIONS = {
+  allowedTags: [
+    'p', 'br', 'hr', 'strong', 'em', 'del', 'code', 'pre', 'blockquote',
+    'ul', 'ol', 'li', 'a', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+    'table', 'thead', 'tbody', 'tr', 'th', 'td'
+  ],
+  allowedAttributes: {
+    a: ['href', 'title', 'rel', 'target'],
+    code: ['class'],
+    ol: ['start']
+  },
+  allowedClasses: {
+    code: [/^language-[\w-]+$/]
+  },
+  allowedSchemes: ['http', 'https', 'mailto'],
+  transformTags: {
+    a: sanitizeHtml.simpleTransform('a', { rel: 'noopener noreferrer nofollow', target: '_blank' })
+  }
+};
+
+/**
+ * Render markdown to sanitized HTML
+ * @param {string} markdown - Markdown source
+ * @returns {string} Safe HTML
+ */
+const renderMarkdown = (markdown) =>
+  sanitizeHtml(marked.parse(markdown, { gfm: true, breaks: true }), SANITIZE_OPTIONS).trim();
+
+module.exports = { renderMarkdown };
@@ -0,0 +1,162 @@
+const dns = require('dns');
+const net = require('net');
+
+/**
+ * Outbound Request Guard
+ * Webhook URLs are chosen by users but requested by the server, so they must
+ * not reach the deployment's own network (databases, cloud metadata at
+ * 169.254.169.254, other internal services). Loopback, private, link-local,
+ * unique-local and other non-public addresses are refused.
+ *
+ * Addresses are checked when a URL is saved and again on every request, at
+ * connect time, so a host that later resolves to an internal address (DNS
+ * rebinding) is still refused.
+ *
+ * WEBHOOK_ALLOWED_PRIVATE_HOSTS lets trusted targets through: a comma
+ * separated list of host names, IP addresses and CIDR ranges, e.g.
+ * "localhost,10.0.0.0/8".
+ */
+
+const BLOCKED = new net.BlockList();
+[
+  ['0.0.0.0', 8], // "this" network
+  ['10.0.0.0', 8], // private
+  ['100.64.0.0', 10], // carrier-grade NAT
+  ['127.0.0.0', 8], // loopback
+  ['169.254.0.0', 16], // link-local (cloud metadata)
+  ['172.16.0.0', 12], // private
+  ['192.0.0.0', 24], // IETF protocol assignments
+  ['192.168.0.0', 16], // private
+  ['198.18.0.0', 15], // benchmarking
+  ['224.0.0.0', 4], // multicast
+  ['240.0.0.0', 4] // reserved and broadcast
+].forEach(([address, prefix]) => BLOCKED.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], // unspecified
+  ['::1', 128], // loopback
+  ['64:ff9b::', 96], // NAT64 (embeds IPv4 addresses)
+  ['fc00::', 7], // unique-local
+  ['fe80::', 10], // link-local
+  ['ff00::', 8] // multicast
+].forEach(([address, prefix]) => BLOCKED.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * Parse WEBHOOK_ALLOWED_PRIVATE_HOSTS
+ * @returns {{hosts: Set<string>, addresses: net.BlockList}} Allowed names and addresses
+ */
+const parseAllowList = () => {
+  const hosts = new Set();
+  const addresses = new net.BlockList();
+
+  (process.env.WEBHOOK_ALLOWED_PRIVATE_HOSTS || '')
+    .split(',')
+    .map((entry) => entry.trim().toLowerCase())
+    .filter(Boolean)
+    .forEach((entry) => {
+      const [address, prefix] = entry.split('/');
+      const family = net.isIP(address);
+
+      if (!family) {
+        hosts.add(entry);
+      } else if (prefix === undefined) {
+        addresses.addAddress(address, `ipv${family}`);
+      } else {
+        addresses.addSubnet(address, parseInt(prefix), `ipv${family}`);
+      }
+    });
+
+  return { hosts, addresses };
+};
+
+const ALLOWED = parseAllowList();
+
+/**
+ * Host name of a URL without IPv6 brackets
+ * @param {string} url - URL
+ * @returns {string} Host name
+ */
+const urlHost = (url) => new URL(url).hostname.replace(/^\[|\]$/g, '').toLowerCase();
+
+/**
+ * Whether a host may be sent requests to once resolved to an address
+ * IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) are checked as IPv4
+ * @param {string} host - Host name from the URL
+ * @param {string} address - Resolved IP address
+ * @returns {boolean} True if the address is public or allow-listed
+ */
+const isAllowedAddress = (host, address) => {
+  const type = net.isIPv6(address) ? 'ipv6' : 'ipv4';
+
+  if (!BLOCKED.check(address, type)) return true;
+  return ALLOWED.hosts.has(host) || ALLOWED.addresses.check(address, type);
+};
+
+/**
+ * Error for a refused address
+ * @param {string} address - Refused IP address
+ * @returns {Error} Error whose message ends up in the delivery log
+ */
+const blockedError = (address) => {
+  const error = new Error(`Refused to send to private or internal address ${address}`);
+  error.code = 'EADDRBLOCKED';
+  return error;
+};
+
+/**
+ * Check where a URL points before saving it
+ * Hosts that do not resolve (yet) are accepted; requests to them are checked
+ * again when they are sent
+ * @param {string} url - http(s) URL
+ * @returns {Promise<string|null>} Error message, or null if allowed
+ */
+const checkUrl = async (url) => {
+  const host = urlHost(url);
+
+  let addresses;
+  try {
+    addresses = net.isIP(host) ? [{ address: host }] : await dns.promises.lookup(host, { all: true });
+  } catch (error) {
+    return null;
+  }
+
+  const blocked = addresses.find(({ address }) => !isAllowedAddress(host, address));
+  return blocked ? `URL points to a private or internal address (${blocked.address})` : null;
+};
+
+/**
+ * Check the host of a URL about to be requested
+ * Only IP literals can be checked here; host names are checked by
+ * guardedLookup when the request connects
+ * @param {string} url - http(s) URL
+ * @throws {Error} If the host is a refused IP address
+ */
+const assertAllowedUrl = (url) => {
+  const host = urlHost(url);
+  if (net.isIP(host) && !isAllowedAddress(host, host)) {
+    throw blockedError(host);
+  }
+};
+
+/**
+ * dns.lookup replacement for http(s).request that refuses internal addresses
+ * Supports both callback forms: (address, family) and, with options.all,
+ * an array of { address, family }
+ */
+const guardedLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+
+    const host = hostname.toLowerCase();
+    const addresses = Array.isArray(address) ? address : [{ address }];
+    const blocked = addresses.find((entry) => !isAllowedAddress(host, entry.address));
+
+    if (blocked) return callback(blockedError(blocked.address));
+    callback(null, address, family);
+  });
+};
+
+module.exports = {
+  checkUrl,
+  assertAllowedUrl,
+  guardedLookup
+};
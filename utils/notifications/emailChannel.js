@@ -0,0 +1,21 @@
+const { sendMail } = require('../mailer');
+const { taskNotificationEmail } = require('../mailer/templates');
+
+/**
+ * Email Channel
+ * Sends the notification to the user's (verified) email address
+ * @returns {{send: Function}} Channel instance
+ */
+const emailChannel = () => ({
+  send: async ({ user, task, title, body }) => {
+    if (!user.emailVerified) {
+      const error = new Error('Email address is not verified');
+      error.skip = true;
+      throw error;
+    }
+
+    await sendMail({ to: user.email, ...taskNotificationEmail(user, task, { title, body }) });
+  }
+});
+
+module.exports = emailChannel;
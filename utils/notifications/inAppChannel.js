@@ -0,0 +1,20 @@
+const Notification = require('../../models/Notification');
+
+/**
+ * In-App Channel
+ * Adds the notification to the user's inbox (notifications table)
+ * @returns {{send: Function}} Channel instance
+ */
+const inAppChannel = () => ({
+  send: async ({ user, task, type, title, body }) => {
+    await Notification.create({
+      userId: user.id,
+      taskId: task.id,
+      type,
+      title,
+      body
+    });
+  }
+});
+
+module.exports = inAppChannel;
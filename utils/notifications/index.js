@@ -0,0 +1,51 @@
+const emailChannel = require('./emailChannel');
+const webhookChannel = require('./webhookChannel');
+const inAppChannel = require('./inAppChannel');
+
+/**
+ * Notification Channels
+ * Delivers a notification about a task to a user through one channel:
+ * - email   -> sendMail to the user's verified address
+ * - webhook -> JSON POST to the reminder's target URL
+ * - in_app  -> row in the user's notifications inbox
+ *
+ * A channel is a factory returning an object with an async
+ * send(notification) method. send() throws to report a failed delivery;
+ * an error with skip = true means the notification cannot be delivered
+ * on that channel and must not be retried.
+ */
+const channels = {
+  email: emailChannel,
+  webhook: webhookChannel,
+  in_app: inAppChannel
+};
+
+const instances = {};
+
+/**
+ * Send a notification through a channel
+ * @param {string} name - Channel name (email, webhook, in_app)
+ * @param {Object} notification
+ * @param {Object} notification.user - Recipient user
+ * @param {Object} notification.task - Task the notification is about
+ * @param {string} notification.type - reminder or overdue
+ * @param {string} notification.title - Short summary
+ * @param {string} notification.body - Plain text details
+ * @param {string} [notification.target] - Webhook URL
+ * @returns {Promise<void>}
+ */
+const notify = async (name, notification) => {
+  if (!instances[name]) {
+    const createChannel = channels[name];
+
+    if (!createChannel) {
+      throw new Error(`Unknown notification channel "${name}". Use ${Object.keys(channels).join(', ')}.`);
+    }
+
+    instances[name] = createChannel();
+  }
+
+  await instances[name].send(notification);
+};
+
+module.exports = { notify, CHANNELS: Object.keys(channels) };
@@ -0,0 +1,83 @@
+const http = require('http');
+const https = require('https');
+const { assertAllowedUrl, guardedLookup } = require('../networkGuard');
+
+// Give up on a webhook that does not answer within this time
+const WEBHOOK_TIMEOUT_MS = 10000;
+
+/**
+ * POST a JSON payload and require a 2xx response
+ * A failed response rejects with an error carrying its statusCode.
+ * Private and internal addresses are refused (see utils/networkGuard)
+ * @param {string} url - http(s) URL
+ * @param {Object|string} payload - JSON body (object, or an already serialized string)
+ * @param {Object} [headers] - Extra request headers
+ * @returns {Promise<number>} Response status code
+ */
+const postJson = (url, payload, headers = {}) =>
+  new Promise((resolve, reject) => {
+    assertAllowedUrl(url);
+
+    const body = typeof payload === 'string' ? payload : JSON.stringify(payload);
+    const client = new URL(url).protocol === 'https:' ? https : http;
+
+    const request = client.request(
+      url,
+      {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Content-Length': Buffer.byteLength(body),
+          'User-Agent': 'TaskManager-Webhook/1.0',
+          ...headers
+        },
+        timeout: WEBHOOK_TIMEOUT_MS,
+        lookup: guardedLookup
+      },
+      (response) => {
+        // Drain the body; only the status matters
+        response.resume();
+        if (response.statusCode >= 200 && response.statusCode < 300) {
+          resolve(response.statusCode);
+        } else {
+          const error = new Error(`Webhook responded with HTTP ${response.statusCode}`);
+          error.statusCode = response.statusCode;
+          reject(error);
+        }
+      }
+    );
+
+    request.on('timeout', () => request.destroy(new Error('Webhook timed out')));
+    request.on('error', reject);
+    request.end(body);
+  });
+
+/**
+ * Webhook Channel
+ * POSTs the notification as JSON to the URL saved with the reminder.
+ * postJson refuses private and internal addresses, so a target that was
+ * public when saved but now resolves inside the network fails the delivery
+ * @returns {{send: Function}} Channel instance
+ */
+const webhookChannel = () => ({
+  send: async ({ target, type, task, title, body }) => {
+    await postJson(target, {
+      event: `task.${type}`,
+      title,
+      body,
+      task: {
+        id: task.id,
+        title: task.title,
+        priority: task.priority,
+        status: task.status,
+        endDate: task.endDate,
+        projectId: task.projectId
+      },
+      sentAt: new Date().toISOString()
+    });
+  }
+});
+
+webhookChannel.postJson = postJson;
+
+module.exports = webhookChannel;
@@ -0,0 +1,111 @@
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/db');
+const { Project, ProjectMember } = require('../models');
+
+/**
+ * Authorization Helpers
+ * Resolves what a user may do with a project or task:
+ * - owner:  manage the project, its members and invitations, change tasks
+ * - editor: create, update and delete tasks in the project
+ * - viewer: read the project and its tasks
+ *
+ * Tasks outside any project are private to the user who created them.
+ * Tasks in a project are governed by the user's role on that project.
+ */
+
+const ROLE_RANK = {
+  viewer: 1,
+  editor: 2,
+  owner: 3
+};
+
+/**
+ * Check whether a role satisfies a required role
+ * @param {string|null} role - Role the user has
+ * @param {string} required - Minimum role needed
+ * @returns {boolean} True if allowed
+ */
+const hasRole = (role, required) => Boolean(role) && ROLE_RANK[role] >= ROLE_RANK[required];
+
+/**
+ * Resolve a user's role on a project
+ * @param {Project} project - Project instance
+ * @param {number} userId - User ID
+ * @param {Transaction} [transaction] - Transaction to read in
+ * @returns {Promise<string|null>} owner, editor, viewer or null if no access
+ */
+const getProjectRole = async (project, userId, transaction) => {
+  if (project.userId === userId) return 'owner';
+
+  const membership = await ProjectMember.findOne({
+    where: { projectId: project.id, userId },
+    transaction
+  });
+
+  return membership ? membership.role : null;
+};
+
+/**
+ * Resolve a user's role on a task
+ * @param {Task} task - Task instance
+ * @param {number} userId - User ID
+ * @param {Transaction} [transaction] - Transaction to read in
+ * @returns {Promise<string|null>} owner, editor, viewer or null if no access
+ */
+const getTaskRole = async (task, userId, transaction) => {
+  if (!task.projectId) {
+    return task.userId === userId ? 'owner' : null;
+  }
+
+  const project = await Project.findByPk(task.projectId, { transaction });
+  return project ? await getProjectRole(project, userId, transaction) : null;
+};
+
+/**
+ * SQL subquery selecting IDs of every project a user can see
+ * @param {number} userId - User ID
+ * @returns {Object} Sequelize literal
+ */
+const accessibleProjectIds = (userId) => {
+  const id = sequelize.escape(userId);
+  return sequelize.literal(
+    `(SELECT id FROM projects WHERE user_id = ${id} UNION SELECT project_id FROM project_members WHERE user_id = ${id})`
+  );
+};
+
+/**
+ * Where clause matching every task a user can see
+ * @param {number} userId - User ID
+ * @returns {Object} Sequelize where clause
+ */
+const accessibleTasksWhere = (userId) => ({
+  [Op.or]: [
+    { userId, projectId: null },
+    { projectId: { [Op.in]: accessibleProjectIds(userId) } }
+  ]
+});
+
+/**
+ * Check whether a user may be assigned tasks in a project
+ * (the project creator or any member)
+ * @param {number|null} projectId - Task project
+ * @param {number} assigneeId - Proposed assignee
+ * @param {number} taskOwnerId - Creator of the task (for tasks outside a project)
+ * @param {Transaction} [transaction] - Transaction to read in
+ * @returns {Promise<boolean>} True if the assignee is allowed
+ */
+const canBeAssigned = async (projectId, assigneeId, taskOwnerId, transaction) => {
+  if (!projectId) return assigneeId === taskOwnerId;
+
+  const project = await Project.findByPk(projectId, { transaction });
+  return Boolean(project) && Boolean(await getProjectRole(project, assigneeId, transaction));
+};
+
+module.exports = {
+  hasRole,
+  getProjectRole,
+  getTaskRole,
+  accessibleProjectIds,
+  accessibleTasksWhere,
+  canBeAssigned
+};
@@ -0,0 +1,142 @@
+const { EventEmitter } = require('events');
+const Project = require('../models/Project');
+const ProjectMember = require('../models/ProjectMember');
+
+/**
+ * Real-time Task Events
+ * In-process publish/subscribe of task changes, per user, for the
+ * Server-Sent Events stream (GET /api/events). A change is pushed to every
+ * user who can see the task once its transaction commits.
+ *
+ * Events only reach clients connected to the same server process.
+ */
+
+const emitter = new EventEmitter();
+// One listener per open stream; there is no meaningful limit to warn about
+emitter.setMaxListeners(0);
+
+let lastEventId = 0;
+
+const channel = (userId) => `user:${userId}`;
+const sessionChannel = (sessionId) => `session:${sessionId}`;
+
+/**
+ * Listen to the events of one user
+ * @param {number} userId - User ID
+ * @param {Function} listener - Called with { id, type, data }
+ * @returns {Function} Unsubscribe
+ */
+const subscribe = (userId, listener) => {
+  emitter.on(channel(userId), listener);
+  return () => emitter.off(channel(userId), listener);
+};
+
+/**
+ * Run a callback when a session is revoked (logout, device removed, ...)
+ * @param {number} sessionId - Session the stream was opened with
+ * @param {Function} listener - Called once the session is revoked
+ * @returns {Function} Unsubscribe
+ */
+const onSessionRevoked = (sessionId, listener) => {
+  emitter.on(sessionChannel(sessionId), listener);
+  return () => emitter.off(sessionChannel(sessionId), listener);
+};
+
+/**
+ * Tell the streams of a session that it was revoked
+ * @param {number} sessionId - Revoked session
+ */
+const publishSessionRevoked = (sessionId) => emitter.emit(sessionChannel(sessionId));
+
+/**
+ * Number of open streams of a user
+ * @param {number} userId - User ID
+ * @returns {number} Listener count
+ */
+const subscriberCount = (userId) => emitter.listenerCount(channel(userId));
+
+/**
+ * Send an event to users
+ * @param {number[]} userIds - Recipients
+ * @param {string} type - Event name, e.g. task.updated
+ * @param {Object} data - JSON payload
+ */
+const publish = (userIds, type, data) => {
+  lastEventId += 1;
+  const event = { id: lastEventId, type, data };
+
+  new Set(userIds).forEach((userId) => emitter.emit(channel(userId), event));
+};
+
+/**
+ * Users who can see a task: its owner, or the owner and members of its
+ * project (of the previous project too when the task was just moved)
+ * @param {Task} task - Task instance inside a hook
+ * @param {Object} [transaction] - Sequelize transaction
+ * @returns {Promise<number[]>} User IDs
+ */
+const taskAudience = async (task, transaction) => {
+  const projectIds = [...new Set([task.projectId, task.previous('projectId')])].filter(Boolean);
+  if (!projectIds.length) return [task.userId];
+
+  const [projects, members] = await Promise.all([
+    Project.findAll({ where: { id: projectIds }, attributes: ['userId'], transaction }),
+    ProjectMember.findAll({ where: { projectId: projectIds }, attributes: ['userId'], transaction })
+  ]);
+
+  return [...projects, ...members].map((row) => row.userId);
+};
+
+/**
+ * Push a task change to everyone who can see the task
+ * Called from the Task model hooks with the recorded TaskEvent; sent after
+ * the transaction commits so clients never see rolled back changes
+ * @param {Task} task - Task that changed
+ * @param {TaskEvent|null} event - Recorded event (null if nothing tracked changed)
+ * @param {Object} options - Hook options (transaction, actorId)
+ */
+const publishTaskEvent = async (task, event, options = {}) => {
+  // Skip the audience lookup while no stream is open at all
+  if (!event || !emitter.eventNames().length) return;
+
+  const { transaction } = options;
+  const userIds = await taskAudience(task, transaction);
+
+  const send = () =>
+    publish(userIds, `task.${event.action}`, {
+      task: {
+        id: task.id,
+        title: task.title,
+        status: task.status,
+        priority: task.priority,
+        endDate: task.endDate,
+        projectId: task.projectId,
+        parentId: task.parentId,
+        assigneeId: task.assigneeId,
+        version: task.version,
+        updatedAt: task.updatedAt
+      },
+      changes: event.changes,
+      actorId: event.userId,
+      at: event.createdAt
+    });
+
+  if (transaction) {
+    // Savepoints (e.g. bulk operations) "commit" early; wait for the outermost transaction
+    let root = transaction;
+    while (root.parent) root = root.parent;
+    root.afterCommit(send);
+  } else {
+    send();
+  }
+};
+
+module.exports = {
+  subscribe,
+  onSessionRevoked,
+  publishSessionRevoked,
+  subscriberCount,
+  publish,
+  publishTaskEvent,
+  taskAudience
+};
@@ -0,0 +1,219 @@
+/**
+ * Recurrence Rules
+ * A simplified RRULE stored as JSON on a task:
+ *
+ *   {
+ *     freq: 'daily' | 'weekly' | 'monthly' | 'yearly',
+ *     interval: 1,              // every N days/weeks/months/years
+ *     byWeekday: ['MO', 'WE'],  // weekly only (defaults to the due date's weekday)
+ *     byMonthDay: 31,           // monthly/yearly (defaults to the due date's day)
+ *     byMonth: 2,               // yearly only (defaults to the due date's month)
+ *     count: 10,                // total occurrences including the first (optional)
+ *     until: '2026-12-31'       // last allowed due date (optional)
+ *   }
+ *
+ * Dates are DATEONLY strings (YYYY-MM-DD) and computed in UTC so server
+ * timezone never shifts a due date. Days past the end of a month are clamped
+ * (e.g. monthly on the 31st falls on Feb 28/29).
+ */
+
+const FREQUENCIES = ['daily', 'weekly', 'monthly', 'yearly'];
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Parse a YYYY-MM-DD string into a UTC date
+ * @param {string|Date} value - Date string or Date
+ * @returns {Date} UTC midnight of that day
+ */
+const parseDate = (value) => {
+  const iso = value instanceof Date ? value.toISOString() : String(value);
+  const [year, month, day] = iso.slice(0, 10).split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day));
+};
+
+/**
+ * Format a UTC date as YYYY-MM-DD
+ * @param {Date} date - UTC date
+ * @returns {string} Date string
+ */
+const formatDate = (date) => date.toISOString().slice(0, 10);
+
+const daysInMonth = (year, monthIndex) => new Date(Date.UTC(year, monthIndex + 1, 0)).getUTCDate();
+
+/**
+ * Build a date in the given month, clamping the day to the month length
+ */
+const clampedDate = (year, monthIndex, day) =>
+  new Date(Date.UTC(year, monthIndex, Math.min(day, daysInMonth(year, monthIndex))));
+
+/**
+ * Validate a recurrence rule
+ * @param {Object} rule - Rule from the request body
+ * @returns {string|null} Error message, or null if valid
+ */
+const validateRecurrence = (rule) => {
+  if (typeof rule !== 'object' || rule === null || Array.isArray(rule)) {
+    return 'Recurrence must be an object';
+  }
+
+  if (!FREQUENCIES.includes(rule.freq)) {
+    return 'Recurrence freq must be daily, weekly, monthly, or yearly';
+  }
+
+  if (rule.interval !== undefined && !(Number.isInteger(rule.interval) && rule.interval >= 1 && rule.interval <= 365)) {
+    return 'Recurrence interval must be an integer between 1 and 365';
+  }
+
+  if (rule.byWeekday !== undefined) {
+    if (rule.freq !== 'weekly') return 'Recurrence byWeekday is only allowed for weekly rules';
+    if (!Array.isArray(rule.byWeekday) || !rule.byWeekday.length || !rule.byWeekday.every((day) => WEEKDAYS.includes(day))) {
+      return 'Recurrence byWeekday must be a non-empty list of MO, TU, WE, TH, FR, SA, SU';
+    }
+  }
+
+  if (rule.byMonthDay !== undefined) {
+    if (!['monthly', 'yearly'].includes(rule.freq)) return 'Recurrence byMonthDay is only allowed for monthly or yearly rules';
+    if (!(Number.isInteger(rule.byMonthDay) && rule.byMonthDay >= 1 && rule.byMonthDay <= 31)) {
+      return 'Recurrence byMonthDay must be an integer between 1 and 31';
+    }
+  }
+
+  if (rule.byMonth !== undefined) {
+    if (rule.freq !== 'yearly') return 'Recurrence byMonth is only allowed for yearly rules';
+    if (!(Number.isInteger(rule.byMonth) && rule.byMonth >= 1 && rule.byMonth <= 12)) {
+      return 'Recurrence byMonth must be an integer between 1 and 12';
+    }
+  }
+
+  if (rule.count !== undefined && !(Number.isInteger(rule.count) && rule.count >= 1 && rule.count <= 1000)) {
+    return 'Recurrence count must be an integer between 1 and 1000';
+  }
+
+  if (rule.until !== undefined && !/^\d{4}-\d{2}-\d{2}$/.test(rule.until)) {
+    return 'Recurrence until must be a date (YYYY-MM-DD)';
+  }
+
+  if (rule.count !== undefined && rule.until !== undefined) {
+    return 'Recurrence cannot have both count and until';
+  }
+
+  const known = ['freq', 'interval', 'byWeekday', 'byMonthDay', 'byMonth', 'count', 'until'];
+  const unknown = Object.keys(rule).filter((key) => !known.includes(key));
+  if (unknown.length) {
+    return `Unknown recurrence field(s): ${unknown.join(', ')}`;
+  }
+
+  return null;
+};
+
+/**
+ * Fill in the defaults a rule derives from its first due date,
+ * so later occurrences stay anchored (e.g. monthly on the 31st)
+ * @param {Object} rule - Valid rule
+ * @param {string|Date} startDate - Due date of the first occurrence
+ * @returns {Object} Normalized rule
+ */
+const normalizeRecurrence = (rule, startDate) => {
+  const start = parseDate(startDate);
+  const normalized = { ...rule, interval: rule.interval || 1 };
+
+  if (rule.freq === 'weekly' && !rule.byWeekday) {
+    normalized.byWeekday = [WEEKDAYS[start.getUTCDay()]];
+  }
+  if (['monthly', 'yearly'].includes(rule.freq) && !rule.byMonthDay) {
+    normalized.byMonthDay = start.getUTCDate();
+  }
+  if (rule.freq === 'yearly' && !rule.byMonth) {
+    normalized.byMonth = start.getUTCMonth() + 1;
+  }
+
+  return normalized;
+};
+
+/**
+ * Compute the due date that follows a given one, ignoring count/until
+ * @param {Object} rule - Normalized rule
+ * @param {Date} from - Current due date (UTC)
+ * @returns {Date} Next due date (UTC)
+ */
+const step = (rule, from) => {
+  const interval = rule.interval || 1;
+
+  switch (rule.freq) {
+    case 'daily':
+      return new Date(from.getTime() + interval * DAY_MS);
+
+    case 'weekly': {
+      const days = rule.byWeekday.map((day) => WEEKDAYS.indexOf(day));
+      // Weeks start on Monday: 0 = Monday ... 6 = Sunday
+      const offset = (day) => (day + 6) % 7;
+      const current = offset(from.getUTCDay());
+
+      // Later weekday in the same week
+      const later = days.map(offset).filter((day) => day > current).sort((a, b) => a - b);
+      if (later.length) {
+        return new Date(from.getTime() + (later[0] - current) * DAY_MS);
+      }
+
+      // Otherwise the first weekday, `interval` weeks on
+      const first = Math.min(...days.map(offset));
+      const weekStart = from.getTime() - current * DAY_MS;
+      return new Date(weekStart + (interval * 7 + first) * DAY_MS);
+    }
+
+    case 'monthly': {
+      const monthIndex = from.getUTCMonth() + interval;
+      return clampedDate(from.getUTCFullYear(), monthIndex, rule.byMonthDay);
+    }
+
+    case 'yearly':
+      return clampedDate(from.getUTCFullYear() + interval, rule.byMonth - 1, rule.byMonthDay);
+
+    default:
+      throw new Error(`Unsupported recurrence freq: ${rule.freq}`);
+  }
+};
+
+/**
+ * List the due dates that follow an occurrence, honouring count and until
+ * @param {Object} rule - Normalized rule
+ * @param {string|Date} fromDate - Due date of the current occurrence
+ * @param {number} occurrence - 1-based index of the current occurrence
+ * @param {number} limit - Maximum number of dates to return
+ * @returns {string[]} Following due dates (YYYY-MM-DD)
+ */
+const nextOccurrences = (rule, fromDate, occurrence, limit) => {
+  const dates = [];
+  let current = parseDate(fromDate);
+  let index = occurrence;
+
+  while (dates.length < limit) {
+    if (rule.count !== undefined && index >= rule.count) break;
+
+    current = step(rule, current);
+    index += 1;
+
+    if (rule.until !== undefined && formatDate(current) > rule.until) break;
+    dates.push(formatDate(current));
+  }
+
+  return dates;
+};
+
+/**
+ * Due date of the occurrence after the current one
+ * @param {Object} rule - Normalized rule
+ * @param {string|Date} fromDate - Current due date
+ * @param {number} occurrence - 1-based index of the current occurrence
+ * @returns {string|null} Next due date, or null if the series has ended
+ */
+const nextOccurrence = (rule, fromDate, occurrence) =>
+  nextOccurrences(rule, fromDate, occurrence, 1)[0] || null;
+
+module.exports = {
+  validateRecurrence,
+  normalizeRecurrence,
+  nextOccurrences,
+  nextOccurrence
+};
@@ -0,0 +1,289 @@
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/db');
+const { Task, User, Reminder, NotificationDelivery } = require('../models');
+const { notify } = require('./notifications');
+const { getTaskRole } = require('./permissions');
+
+/**
+ * Reminder Scheduler
+ * Every REMINDER_INTERVAL_SECONDS (default 60, 0 disables) the scheduler:
+ * 1. queues a delivery for each reminder whose day has come
+ *    (due date - daysBefore <= today) on an open task,
+ * 2. queues an overdue notice for the owner and assignee of each open task
+ *    that is past its due date, on every channel in OVERDUE_CHANNELS,
+ * 3. sends queued deliveries through their channel and stores the outcome.
+ *
+ * Deliveries are unique per reminder (or task, user and channel) and due
+ * date, so nothing is queued twice and a sent notification is never sent
+ * again after a restart. Moving a task's due date queues it afresh.
+ * Failed deliveries are retried with exponential backoff.
+ */
+
+const parsedInterval = parseInt(process.env.REMINDER_INTERVAL_SECONDS);
+const REMINDER_INTERVAL_SECONDS = Number.isNaN(parsedInterval) ? 60 : parsedInterval;
+
+// Channels overdue notices go out on (webhook needs a reminder's target URL)
+const OVERDUE_CHANNELS = (process.env.OVERDUE_CHANNELS || 'in_app,email')
+  .split(',')
+  .map((channel) => channel.trim())
+  .filter((channel) => ['email', 'in_app'].includes(channel));
+
+// Only report tasks that became overdue recently, not the whole backlog
+const OVERDUE_LOOKBACK_DAYS = 7;
+
+const MAX_ATTEMPTS = 5;
+const BATCH_SIZE = 100;
+
+// A delivery left in "sending" this long belongs to a crashed run
+const STALE_SENDING_MS = 10 * 60 * 1000;
+
+const OPEN_STATUSES = { [Op.notIn]: ['done', 'cancelled'] };
+
+/**
+ * Today's date as YYYY-MM-DD (UTC)
+ * @returns {string} Date string
+ */
+const today = () => new Date().toISOString().slice(0, 10);
+
+/**
+ * Whole days from today until a date
+ * @param {string} date - YYYY-MM-DD
+ * @returns {number} Days (negative if in the past)
+ */
+const daysUntil = (date) => Math.round((Date.parse(date) - Date.parse(today())) / (24 * 60 * 60 * 1000));
+
+/**
+ * Title and text of a notification
+ * @param {string} kind - reminder or overdue
+ * @param {Task} task - Task the notification is about
+ * @returns {{title: string, body: string}} Notification content
+ */
+const describe = (kind, task) => {
+  const days = daysUntil(task.endDate);
+
+  if (kind === 'overdue') {
+    return {
+      title: `Overdue: ${task.title}`,
+      body: `"${task.title}" was due on ${task.endDate} and is not finished yet.`
+    };
+  }
+
+  const when = days <= 0 ? 'today' : days === 1 ? 'tomorrow' : `in ${days} days`;
+  return {
+    title: `Reminder: ${task.title} is due ${when}`,
+    body: `"${task.title}" is due ${when} (${task.endDate}).`
+  };
+};
+
+/**
+ * Queue deliveries for reminders that are due and not queued yet
+ * @returns {Promise<number>} Number of reminders found
+ */
+const queueDueReminders = async () => {
+  const reminders = await Reminder.findAll({
+    where: {
+      [Op.and]: [
+        sequelize.literal(`"task"."end_date" - "Reminder"."days_before" <= CURRENT_DATE`),
+        sequelize.literal(
+          `NOT EXISTS (SELECT 1 FROM notification_deliveries d WHERE d.reminder_id = "Reminder"."id" AND d.due_date = "task"."end_date" AND d.kind = 'reminder')`
+        )
+      ]
+    },
+    include: [
+      {
+        model: Task,
+        as: 'task',
+        attributes: ['id', 'endDate'],
+        where: {
+          status: OPEN_STATUSES,
+          endDate: { [Op.gte]: sequelize.literal('CURRENT_DATE') }
+        }
+      }
+    ]
+  });
+
+  await NotificationDelivery.bulkCreate(
+    reminders.map((reminder) => ({
+      userId: reminder.userId,
+      taskId: reminder.taskId,
+      reminderId: reminder.id,
+      kind: 'reminder',
+      channel: reminder.channel,
+      target: reminder.target,
+      dueDate: reminder.task.endDate
+    })),
+    { ignoreDuplicates: true }
+  );
+
+  return reminders.length;
+};
+
+/**
+ * Queue overdue notices for open tasks past their due date
+ * @returns {Promise<number>} Number of overdue tasks found
+ */
+const queueOverdueTasks = async () => {
+  if (!OVERDUE_CHANNELS.length) return 0;
+
+  const tasks = await Task.findAll({
+    attributes: ['id', 'userId', 'assigneeId', 'endDate'],
+    where: {
+      status: OPEN_STATUSES,
+      endDate: {
+        [Op.lt]: sequelize.literal('CURRENT_DATE'),
+        [Op.gte]: sequelize.literal(`CURRENT_DATE - ${OVERDUE_LOOKBACK_DAYS}`)
+      },
+      [Op.and]: sequelize.literal(
+        `NOT EXISTS (SELECT 1 FROM notification_deliveries d WHERE d.task_id = "Task"."id" AND d.due_date = "Task"."end_date" AND d.kind = 'overdue')`
+      )
+    }
+  });
+
+  const deliveries = tasks.flatMap((task) =>
+    [...new Set([task.userId, task.assigneeId].filter(Boolean))].flatMap((userId) =>
+      OVERDUE_CHANNELS.map((channel) => ({
+        userId,
+        taskId: task.id,
+        kind: 'overdue',
+        channel,
+        dueDate: task.endDate
+      }))
+    )
+  );
+
+  await NotificationDelivery.bulkCreate(deliveries, { ignoreDuplicates: true });
+
+  return tasks.length;
+};
+
+/**
+ * Work out why a delivery should no longer be sent
+ * @param {NotificationDelivery} delivery - Delivery to check
+ * @param {Task|null} task - Its task (null if trashed)
+ * @param {User|null} user - Its recipient
+ * @returns {Promise<string|null>} Reason to skip, or null to send
+ */
+const skipReason = async (delivery, task, user) => {
+  if (!task) return 'Task is in the trash';
+  if (!user) return 'User not found';
+  if (['done', 'cancelled'].includes(task.status)) return `Task is ${task.status}`;
+  if (task.endDate !== delivery.dueDate) return 'Task due date has changed';
+  if (!(await getTaskRole(task, user.id))) return 'User can no longer see the task';
+  return null;
+};
+
+/**
+ * Send one claimed delivery and store the outcome
+ * @param {NotificationDelivery} delivery - Delivery in "sending" state
+ */
+const sendDelivery = async (delivery) => {
+  const [task, user] = await Promise.all([
+    Task.findByPk(delivery.taskId),
+    User.findByPk(delivery.userId)
+  ]);
+
+  const reason = await skipReason(delivery, task, user);
+  if (reason) {
+    await delivery.update({ status: 'skipped', lastError: reason });
+    return;
+  }
+
+  try {
+    await notify(delivery.channel, {
+      user,
+      task,
+      type: delivery.kind,
+      target: delivery.target,
+      ...describe(delivery.kind, task)
+    });
+
+    await delivery.update({ status: 'sent', sentAt: new Date(), lastError: null });
+  } catch (error) {
+    const retry = !error.skip && delivery.attempts < MAX_ATTEMPTS;
+
+    // Back off 1, 2, 4, 8... minutes between attempts
+    await delivery.update({
+      status: error.skip ? 'skipped' : 'failed',
+      lastError: error.message,
+      nextAttemptAt: retry ? new Date(Date.now() + 2 ** (delivery.attempts - 1) * 60 * 1000) : null
+    });
+  }
+};
+
+/**
+ * Send queued deliveries that are ready (pending, due for a retry, or stale)
+ * Each delivery is claimed with a conditional update first, so two
+ * schedulers never send the same one
+ * @returns {Promise<number>} Number of deliveries processed
+ */
+const sendPendingDeliveries = async () => {
+  const now = new Date();
+
+  const deliveries = await NotificationDelivery.findAll({
+    where: {
+      [Op.or]: [
+        { status: 'pending' },
+        { status: 'failed', attempts: { [Op.lt]: MAX_ATTEMPTS }, nextAttemptAt: { [Op.lte]: now } },
+        { status: 'sending', updatedAt: { [Op.lt]: new Date(now.getTime() - STALE_SENDING_MS) } }
+      ]
+    },
+    order: [['id', 'ASC']],
+    limit: BATCH_SIZE
+  });
+
+  let processed = 0;
+  for (const delivery of deliveries) {
+    const [claimed] = await NotificationDelivery.update(
+      { status: 'sending', attempts: delivery.attempts + 1 },
+      { where: { id: delivery.id, status: delivery.status, attempts: delivery.attempts } }
+    );
+    if (!claimed) continue;
+
+    delivery.set({ status: 'sending', attempts: delivery.attempts + 1 });
+    await sendDelivery(delivery);
+    processed += 1;
+  }
+
+  return processed;
+};
+
+let running = false;
+
+/**
+ * Run one scheduler pass, logging (not throwing) on failure
+ * Passes never overlap; a tick that finds one still running is skipped
+ */
+const processReminders = async () => {
+  if (running) return;
+  running = true;
+
+  try {
+    await queueDueReminders();
+    await queueOverdueTasks();
+    const sent = await sendPendingDeliveries();
+    if (sent) {
+      console.log(`🔔 Processed ${sent} notification(s)`);
+    }
+  } catch (error) {
+    console.error('Reminder scheduler error:', error);
+  } finally {
+    running = false;
+  }
+};
+
+/**
+ * Run the scheduler now and then every REMINDER_INTERVAL_SECONDS
+ * The timer is unref'd so it never keeps the process alive on its own
+ */
+const startReminderScheduler = () => {
+  if (REMINDER_INTERVAL_SECONDS <= 0) return;
+
+  processReminders();
+  setInterval(processReminders, REMINDER_INTERVAL_SECONDS * 1000).unref();
+};
+
+module.exports = {
+  REMINDER_INTERVAL_SECONDS,
+  processReminders,
+  startReminderScheduler
+};
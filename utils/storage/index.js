@@ -0,0 +1,57 @@
+const localStorage = require('./localStorage');
+const s3Storage = require('./s3Storage');
+
+/**
+ * File Storage
+ * Stores uploaded files through a pluggable driver selected by STORAGE_DRIVER:
+ * - local -> files on disk under STORAGE_LOCAL_DIR (default)
+ * - s3    -> any S3-compatible object store (AWS S3, MinIO, a local stand-in)
+ *
+ * A driver is a factory returning an object with async methods:
+ * - put(key, buffer, { contentType })
+ * - get(key) -> readable stream (rejects with code ENOENT if missing)
+ * - remove(key) (missing files are ignored)
+ */
+const drivers = {
+  local: localStorage,
+  s3: s3Storage
+};
+
+let storage;
+
+/**
+ * Get the configured storage driver (created once, on first use)
+ * @returns {{put: Function, get: Function, remove: Function}} Driver instance
+ */
+const getStorage = () => {
+  if (!storage) {
+    const name = process.env.STORAGE_DRIVER || 'local';
+    const createDriver = drivers[name];
+
+    if (!createDriver) {
+      throw new Error(`Unknown STORAGE_DRIVER "${name}". Use local or s3.`);
+    }
+
+    storage = createDriver();
+  }
+
+  return storage;
+};
+
+/**
+ * Remove stored files, logging (not throwing) on failure
+ * Used after the database rows pointing at them are gone
+ * @param {string[]} keys - Storage keys
+ * @returns {Promise<void>}
+ */
+const removeFiles = async (keys) => {
+  for (const key of keys) {
+    try {
+      await getStorage().remove(key);
+    } catch (error) {
+      console.error(`Could not remove stored file ${key}:`, error.message);
+    }
+  }
+};
+
+module.exports = { getStorage, removeFiles };
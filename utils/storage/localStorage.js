@@ -0,0 +1,45 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Local Storage Driver
+ * Keeps files on disk under STORAGE_LOCAL_DIR (default: uploads)
+ * @returns {{put: Function, get: Function, remove: Function}} Driver instance
+ */
+const localStorage = () => {
+  const root = path.resolve(process.env.STORAGE_LOCAL_DIR || path.join(process.cwd(), 'uploads'));
+
+  // Resolve a key inside the root, refusing anything that escapes it
+  const resolve = (key) => {
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  return {
+    put: async (key, buffer) => {
+      const filePath = resolve(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, buffer);
+    },
+
+    get: async (key) => {
+      const filePath = resolve(key);
+      // Fail before streaming so callers can answer 404
+      await fs.promises.access(filePath);
+      return fs.createReadStream(filePath);
+    },
+
+    remove: async (key) => {
+      try {
+        await fs.promises.unlink(resolve(key));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    }
+  };
+};
+
+module.exports = localStorage;
@@ -0,0 +1,130 @@
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+
+/**
+ * S3 Storage Driver
+ * Talks to any S3-compatible object store with path-style URLs and
+ * AWS Signature Version 4, so the same driver works with AWS S3, MinIO or a
+ * local stand-in. Configured by:
+ * - S3_ENDPOINT (e.g. https://s3.us-east-1.amazonaws.com or http://localhost:9000)
+ * - S3_REGION (default: us-east-1)
+ * - S3_BUCKET, S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY
+ */
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+/**
+ * Compute the SigV4 Authorization header for a request
+ * @param {Object} request
+ * @param {string} request.method - HTTP method
+ * @param {string} request.path - URI-encoded path
+ * @param {Object} request.headers - Headers to sign (must include host, x-amz-date, x-amz-content-sha256)
+ * @param {Object} credentials - { accessKeyId, secretAccessKey, region }
+ * @returns {string} Authorization header value
+ */
+const signRequest = ({ method, path, headers }, { accessKeyId, secretAccessKey, region }) => {
+  const amzDate = headers['x-amz-date'];
+  const date = amzDate.slice(0, 8);
+  const names = Object.keys(headers).map((name) => name.toLowerCase()).sort();
+  const lowered = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+
+  const canonicalRequest = [
+    method,
+    path,
+    '',
+    names.map((name) => `${name}:${String(lowered[name]).trim()}\n`).join(''),
+    names.join(';'),
+    lowered['x-amz-content-sha256']
+  ].join('\n');
+
+  const scope = `${date}/${region}/s3/aws4_request`;
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+
+  const signingKey = ['s3', 'aws4_request'].reduce(
+    (key, part) => hmac(key, part),
+    hmac(hmac(`AWS4${secretAccessKey}`, date), region)
+  );
+  const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+  return `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${names.join(';')}, Signature=${signature}`;
+};
+
+/**
+ * @returns {{put: Function, get: Function, remove: Function}} Driver instance
+ */
+const s3Storage = () => {
+  const endpoint = new URL(process.env.S3_ENDPOINT || 'https://s3.amazonaws.com');
+  const bucket = process.env.S3_BUCKET;
+  const credentials = {
+    accessKeyId: process.env.S3_ACCESS_KEY_ID,
+    secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+    region: process.env.S3_REGION || 'us-east-1'
+  };
+
+  if (!bucket || !credentials.accessKeyId || !credentials.secretAccessKey) {
+    throw new Error('S3 storage requires S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY');
+  }
+
+  const client = endpoint.protocol === 'http:' ? http : https;
+  const basePath = endpoint.pathname.replace(/\/$/, '');
+
+  /**
+   * Send a signed request for an object
+   * Resolves with the response; the body is left unread for the caller
+   */
+  const send = (method, key, body, extraHeaders = {}) => {
+    const path = `${basePath}/${encodeURIComponent(bucket)}/${key.split('/').map(encodeURIComponent).join('/')}`;
+    const headers = {
+      host: endpoint.host,
+      'x-amz-date': new Date().toISOString().replace(/[:-]|\.\d{3}/g, ''),
+      'x-amz-content-sha256': sha256(body || ''),
+      ...extraHeaders
+    };
+    headers.authorization = signRequest({ method, path, headers }, credentials);
+
+    return new Promise((resolve, reject) => {
+      const request = client.request({ method, hostname: endpoint.hostname, port: endpoint.port, path, headers }, resolve);
+      request.on('error', reject);
+      request.end(body);
+    });
+  };
+
+  /**
+   * Turn an unexpected response into an error (draining its body)
+   */
+  const fail = async (response, action, key) => {
+    let details = '';
+    for await (const chunk of response) details += chunk;
+
+    const error = new Error(`S3 ${action} ${key} failed with ${response.statusCode}: ${details.slice(0, 200)}`);
+    if (response.statusCode === 404) error.code = 'ENOENT';
+    return error;
+  };
+
+  return {
+    put: async (key, buffer, { contentType } = {}) => {
+      const response = await send('PUT', key, buffer, {
+        'content-type': contentType || 'application/octet-stream',
+        'content-length': buffer.length
+      });
+      if (response.statusCode !== 200) throw await fail(response, 'PUT', key);
+      response.resume();
+    },
+
+    get: async (key) => {
+      const response = await send('GET', key);
+      if (response.statusCode !== 200) throw await fail(response, 'GET', key);
+      return response;
+    },
+
+    remove: async (key) => {
+      const response = await send('DELETE', key);
+      if (![200, 204, 404].includes(response.statusCode)) throw await fail(response, 'DELETE', key);
+      response.resume();
+    }
+  };
+};
+
+module.exports = s3Storage;
@@ -0,0 +1,79 @@
+const { calendarStart, calendarEnd, taskTodo } = require('./icalendar');
+
+/**
+ * Task Export Formats
+ * Each format turns a stream of serialized tasks into a file, one chunk at a
+ * time: start() once, row(task, index) per task, end() once.
+ */
+
+// CSV columns: header name and how to read it from a serialized task
+const CSV_COLUMNS = [
+  ['id', (task) => task.id],
+  ['title', (task) => task.title],
+  ['description', (task) => task.description],
+  ['status', (task) => task.status],
+  ['priority', (task) => task.priority],
+  ['end_date', (task) => task.endDate],
+  ['completed_at', (task) => task.completedAt],
+  ['tags', (task) => (task.tags || []).map((tag) => tag.name).join('; ')],
+  ['project_id', (task) => task.projectId],
+  ['parent_id', (task) => task.parentId],
+  ['assignee_id', (task) => task.assigneeId],
+  ['created_at', (task) => task.createdAt],
+  ['updated_at', (task) => task.updatedAt]
+];
+
+/**
+ * Format a CSV field (RFC 4180)
+ * Text starting with = + - @ is prefixed with ' so spreadsheets do not run
+ * it as a formula
+ * @param {*} value - Field value
+ * @returns {string} Quoted field if needed
+ */
+const csvField = (value) => {
+  if (value === null || value === undefined) return '';
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const csvRow = (values) => `${values.map(csvField).join(',')}\r\n`;
+
+const FORMATS = {
+  csv: {
+    contentType: 'text/csv; charset=utf-8',
+    extension: 'csv',
+    // The byte order mark makes spreadsheet apps read the file as UTF-8
+    start: () => `\ufeff${csvRow(CSV_COLUMNS.map(([name]) => name))}`,
+    row: (task) => csvRow(CSV_COLUMNS.map(([, read]) => read(task))),
+    end: () => ''
+  },
+
+  json: {
+    contentType: 'application/json; charset=utf-8',
+    extension: 'json',
+    start: () => '[',
+    row: (task, index) => `${index ? ',' : ''}\n  ${JSON.stringify(task)}`,
+    end: () => '\n]\n'
+  },
+
+  ics: {
+    contentType: 'text/calendar; charset=utf-8',
+    extension: 'ics',
+    start: () => calendarStart('Tasks'),
+    row: (task) => taskTodo(task),
+    end: () => calendarEnd()
+  }
+};
+
+const EXPORT_FORMATS = Object.keys(FORMATS);
+
+module.exports = {
+  EXPORT_FORMATS,
+  FORMATS,
+  CSV_COLUMNS
+};
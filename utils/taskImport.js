@@ -0,0 +1,321 @@
+/**
+ * Task Import
+ * Reads tasks from an uploaded CSV or JSON file (including this API's own
+ * exports and Todoist-style CSV files) and normalizes them into the fields
+ * taskValidation expects.
+ */
+
+const IMPORT_FIELDS = ['title', 'description', 'priority', 'endDate', 'status', 'tags'];
+
+const IMPORT_MAX_ROWS = 500;
+
+// Column names recognized for each field, compared without case and punctuation
+const COLUMN_ALIASES = {
+  title: ['title', 'content', 'name', 'task', 'summary'],
+  description: ['description', 'notes', 'note', 'body'],
+  priority: ['priority'],
+  endDate: ['enddate', 'duedate', 'due', 'date', 'deadline'],
+  status: ['status', 'state'],
+  tags: ['tags', 'tag', 'labels', 'label']
+};
+
+// p1 (Todoist's most urgent) to p4 (no priority); bare numbers mean the same
+const PRIORITIES = {
+  high: 'high',
+  urgent: 'high',
+  p1: 'high',
+  medium: 'medium',
+  normal: 'medium',
+  p2: 'medium',
+  low: 'low',
+  p3: 'low',
+  p4: 'low'
+};
+
+const STATUSES = {
+  todo: 'todo',
+  open: 'todo',
+  not_started: 'todo',
+  in_progress: 'in_progress',
+  doing: 'in_progress',
+  done: 'done',
+  completed: 'done',
+  complete: 'done',
+  cancelled: 'cancelled',
+  canceled: 'cancelled'
+};
+
+const TAG_MAX_LENGTH = 50;
+const TAGS_MAX = 20;
+
+const columnKey = (name) => String(name).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Parse CSV text (RFC 4180: quoted fields, "" escapes, embedded newlines)
+ * The delimiter is a comma, or a semicolon if the header line has more of them
+ * @param {string} text - CSV text
+ * @returns {{rows?: string[][], error?: string}} Rows of fields, or an error
+ */
+const parseCsv = (text) => {
+  const headerLine = text.slice(0, text.search(/\r?\n|$/));
+  const delimiter =
+    (headerLine.match(/;/g) || []).length > (headerLine.match(/,/g) || []).length ? ';' : ',';
+
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    return { error: 'CSV has an unterminated quoted field.' };
+  }
+  if (field !== '' || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Blank lines carry no task
+  return { rows: rows.filter((fields) => fields.some((value) => value.trim() !== '')) };
+};
+
+/**
+ * Read the records of an import file
+ * @param {Buffer} buffer - File contents
+ * @param {string} format - csv or json
+ * @returns {{records?: Object[], columns?: string[], error?: string}}
+ *          Records keyed by column name, or an error
+ */
+const readRecords = (buffer, format) => {
+  const text = buffer.toString('utf8').replace(/^\ufeff/, '');
+  let records;
+
+  if (format === 'json') {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      return { error: 'File is not valid JSON.' };
+    }
+
+    // Accept a bare array or an object with a tasks array
+    records = Array.isArray(data) ? data : data && data.tasks;
+    if (!Array.isArray(records) || records.some((record) => !record || typeof record !== 'object' || Array.isArray(record))) {
+      return { error: 'JSON must be an array of task objects (or { "tasks": [...] }).' };
+    }
+  } else {
+    const { rows, error } = parseCsv(text);
+    if (error) return { error };
+    if (!rows.length) return { error: 'CSV file is empty.' };
+
+    const [header, ...body] = rows;
+    const names = header.map((name) => name.trim());
+    records = body.map((fields) =>
+      Object.fromEntries(names.map((name, index) => [name, fields[index] === undefined ? '' : fields[index]]))
+    );
+  }
+
+  if (!records.length) {
+    return { error: 'File contains no tasks.' };
+  }
+  if (records.length > IMPORT_MAX_ROWS) {
+    return { error: `File contains ${records.length} tasks. At most ${IMPORT_MAX_ROWS} can be imported at once.` };
+  }
+
+  const columns = [...new Set(records.flatMap((record) => Object.keys(record)))];
+  return { records, columns };
+};
+
+/**
+ * Work out which column feeds each task field
+ * Explicit mappings win; other fields use the first column matching an alias
+ * @param {string[]} columns - Columns present in the file
+ * @param {Object} [mapping] - { field: column } chosen by the user
+ * @returns {{columnFor?: Object, error?: string}} { field: column }, or an error
+ */
+const resolveColumns = (columns, mapping = {}) => {
+  const missing = Object.entries(mapping).filter(([, column]) => !columns.includes(column));
+  if (missing.length) {
+    return {
+      error: `Mapped column(s) not found in the file: ${missing.map(([field, column]) => `${column} (${field})`).join(', ')}. Columns: ${columns.join(', ')}`
+    };
+  }
+
+  const columnFor = {};
+  IMPORT_FIELDS.forEach((field) => {
+    const column = mapping[field] || columns.find((name) => COLUMN_ALIASES[field].includes(columnKey(name)));
+    if (column) columnFor[field] = column;
+  });
+
+  if (!columnFor.title) {
+    return { error: `No title column found. Map one with mapping.title. Columns: ${columns.join(', ')}` };
+  }
+
+  return { columnFor };
+};
+
+/**
+ * Text value of a field, without the ' that exports put before formulas
+ * @param {*} value - Raw value
+ * @returns {string|undefined} Text, or undefined if empty
+ */
+const textValue = (value) => {
+  if (value === null || value === undefined) return undefined;
+  const result = String(value).replace(/^'(?=[=+\-@])/, '');
+  return result.trim() === '' ? undefined : result;
+};
+
+/**
+ * Normalize a priority (high/medium/low, p1-p4, 1-4, urgent, normal)
+ * Unknown values are returned as given so validation reports them
+ * @param {string} value - Raw priority
+ * @returns {string} Priority
+ */
+const normalizePriority = (value) => {
+  const key = value.trim().toLowerCase();
+  return PRIORITIES[/^[1-4]$/.test(key) ? `p${key}` : key] || value;
+};
+
+/**
+ * Normalize a status ("In progress", "Completed", ...)
+ * @param {string} value - Raw status
+ * @returns {string} Status (unknown values as given)
+ */
+const normalizeStatus = (value) => STATUSES[value.trim().toLowerCase().replace(/[\s-]+/g, '_')] || value;
+
+/**
+ * Format a calendar date as YYYY-MM-DD
+ * @returns {string|null} Date, or null for impossible dates such as 31/02/2025
+ */
+const formatDate = (year, month, day) => {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day
+    ? date.toISOString().slice(0, 10)
+    : null;
+};
+
+/**
+ * Normalize a date to YYYY-MM-DD
+ * Accepts YYYY-MM-DD (optionally with a time) and DD/MM/YYYY, DD.MM.YYYY
+ * or DD-MM-YYYY; other values are returned as given so validation reports them
+ * @param {string} value - Raw date
+ * @returns {string|null} Date, or null if it is in a known format but does not exist
+ */
+const normalizeDate = (value) => {
+  const trimmed = value.trim();
+
+  const iso = trimmed.match(/^(\d{4})-(\d{2})-(\d{2})(?:[T ][\d:.]+(?:Z|[+-]\d{2}:?\d{2})?)?$/);
+  if (iso) return formatDate(Number(iso[1]), Number(iso[2]), Number(iso[3]));
+
+  const dayFirst = trimmed.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/);
+  if (dayFirst) return formatDate(Number(dayFirst[3]), Number(dayFirst[2]), Number(dayFirst[1]));
+
+  return value;
+};
+
+/**
+ * Tag names of a record: an array of names or { name } objects, or text
+ * separated by semicolons
+ * @param {*} value - Raw tags
+ * @returns {string[]} Distinct tag names
+ */
+const normalizeTags = (value) => {
+  const names = Array.isArray(value)
+    ? value.map((tag) => (tag && typeof tag === 'object' ? tag.name : tag))
+    : String(value).split(';');
+
+  return [...new Set(names.map(textValue).filter(Boolean).map((name) => name.trim()))];
+};
+
+/**
+ * Turn a record into task fields
+ * @param {Object} record - Record keyed by column name
+ * @param {Object} columnFor - { field: column } from resolveColumns
+ * @returns {{task: Object, tags: string[], errors: Object[]}} Task fields for
+ *          taskValidation, tag names, and date/tag errors ({ field, message })
+ */
+const normalizeRecord = (record, columnFor) => {
+  const value = (field) => (columnFor[field] ? record[columnFor[field]] : undefined);
+  const task = {};
+
+  const title = textValue(value('title'));
+  task.title = title === undefined ? '' : title;
+
+  const description = textValue(value('description'));
+  if (description !== undefined) task.description = description;
+
+  const priority = textValue(value('priority'));
+  task.priority = priority === undefined ? '' : normalizePriority(priority);
+
+  const errors = [];
+  const endDate = textValue(value('endDate'));
+  const date = endDate === undefined ? '' : normalizeDate(endDate);
+  task.endDate = date === null ? endDate : date;
+  if (date === null) {
+    errors.push({ field: 'endDate', message: `End date ${endDate.trim()} does not exist` });
+  }
+
+  const status = textValue(value('status'));
+  if (status !== undefined) task.status = normalizeStatus(status);
+
+  const rawTags = value('tags');
+  const tags = rawTags === undefined || rawTags === null ? [] : normalizeTags(rawTags);
+
+  if (tags.length > TAGS_MAX) {
+    errors.push({ field: 'tags', message: `A task can have at most ${TAGS_MAX} tags` });
+  }
+  tags
+    .filter((name) => name.length > TAG_MAX_LENGTH)
+    .forEach((name) => {
+      errors.push({ field: 'tags', message: `Tag "${name}" exceeds ${TAG_MAX_LENGTH} characters` });
+    });
+
+  return { task, tags, errors };
+};
+
+/**
+ * Whether a record is a task; Todoist exports also have section and note rows
+ * @param {Object} record - Record keyed by column name
+ * @returns {boolean} False for rows typed as something other than a task
+ */
+const isTaskRecord = (record) => {
+  const typeColumn = Object.keys(record).find((name) => columnKey(name) === 'type');
+  const type = typeColumn && textValue(record[typeColumn]);
+  return !type || type.trim().toLowerCase() === 'task';
+};
+
+module.exports = {
+  IMPORT_FIELDS,
+  IMPORT_MAX_ROWS,
+  readRecords,
+  resolveColumns,
+  normalizeRecord,
+  isTaskRecord
+};
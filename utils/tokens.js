@@ -0,0 +1,96 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+/**
+ * Token Helpers
+ * Access tokens are short-lived JWTs bound to a session.
+ * Refresh tokens are opaque "<sessionId>.<secret>" strings; only a SHA-256
+ * hash of the secret is stored, so a database leak does not leak tokens.
+ * The same hashing is used for emailed password reset / verification tokens.
+ */
+
+const ACCESS_TOKEN_MINUTES = parseInt(process.env.JWT_ACCESS_EXPIRE_MINUTES) || 15;
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || 7;
+
+const PASSWORD_RESET_MINUTES = parseInt(process.env.PASSWORD_RESET_EXPIRE_MINUTES) || 60;
+const EMAIL_VERIFICATION_HOURS = parseInt(process.env.EMAIL_VERIFICATION_EXPIRE_HOURS) || 24;
+
+const ACCESS_TOKEN_TTL_MS = ACCESS_TOKEN_MINUTES * 60 * 1000;
+const REFRESH_TOKEN_TTL_MS = REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000;
+const PASSWORD_RESET_TTL_MS = PASSWORD_RESET_MINUTES * 60 * 1000;
+const EMAIL_VERIFICATION_TTL_MS = EMAIL_VERIFICATION_HOURS * 60 * 60 * 1000;
+
+/**
+ * Hash a token secret for storage
+ * @param {string} token - Plain token
+ * @returns {string} Hex encoded SHA-256 hash
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Generate a random URL-safe secret
+ * @param {number} bytes - Number of random bytes
+ * @returns {string} Hex encoded secret
+ */
+const generateSecret = (bytes = 32) => crypto.randomBytes(bytes).toString('hex');
+
+/**
+ * Generate a short-lived access token
+ * @param {number} userId - User ID
+ * @param {number} sessionId - Session the token belongs to
+ * @returns {string} Signed JWT
+ */
+const generateAccessToken = (userId, sessionId) => {
+  return jwt.sign({ id: userId, sid: sessionId }, process.env.JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_MINUTES * 60
+  });
+};
+
+/**
+ * Build a refresh token from its session ID and secret
+ * @param {number} sessionId - Session ID
+ * @param {string} secret - Plain secret
+ * @returns {string} Refresh token
+ */
+const buildRefreshToken = (sessionId, secret) => `${sessionId}.${secret}`;
+
+/**
+ * Split a refresh token into its session ID and secret
+ * @param {string} token - Refresh token
+ * @returns {{sessionId: number, secret: string}|null} Parsed token or null if malformed
+ */
+const parseRefreshToken = (token) => {
+  if (typeof token !== 'string') return null;
+
+  const [id, secret] = token.split('.');
+  const sessionId = parseInt(id, 10);
+
+  if (!sessionId || !secret) return null;
+  return { sessionId, secret };
+};
+
+/**
+ * Constant-time comparison of a plain secret against a stored hash
+ * @param {string} secret - Plain secret
+ * @param {string} hash - Stored hash
+ * @returns {boolean} True if they match
+ */
+const matchesHash = (secret, hash) => {
+  const candidate = Buffer.from(hashToken(secret), 'hex');
+  const stored = Buffer.from(hash || '', 'hex');
+  return candidate.length === stored.length && crypto.timingSafeEqual(candidate, stored);
+};
+
+module.exports = {
+  ACCESS_TOKEN_TTL_MS,
+  REFRESH_TOKEN_TTL_MS,
+  PASSWORD_RESET_MINUTES,
+  PASSWORD_RESET_TTL_MS,
+  EMAIL_VERIFICATION_TTL_MS,
+  hashToken,
+  generateSecret,
+  generateAccessToken,
+  buildRefreshToken,
+  parseRefreshToken,
+  matchesHash
+};
@@ -0,0 +1,56 @@
+const { Task } = require('../models');
+
+/**
+ * Trash Retention
+ * Deleted tasks stay in the trash for TRASH_RETENTION_DAYS, then a periodic
+ * job purges them for good. Set TRASH_RETENTION_DAYS=0 to keep them until
+ * they are purged by hand.
+ */
+
+const parsedRetention = parseInt(process.env.TRASH_RETENTION_DAYS);
+const TRASH_RETENTION_DAYS = Number.isNaN(parsedRetention) ? 30 : parsedRetention;
+
+// How often the purge job runs
+const PURGE_INTERVAL_MS = 6 * 60 * 60 * 1000;
+
+/**
+ * Date a trashed task will be purged
+ * @param {Date} deletedAt - When the task was trashed
+ * @returns {Date|null} Purge date, or null if auto purge is disabled
+ */
+const purgeDate = (deletedAt) =>
+  TRASH_RETENTION_DAYS > 0
+    ? new Date(new Date(deletedAt).getTime() + TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000)
+    : null;
+
+/**
+ * Purge tasks past the retention period, logging (not throwing) on failure
+ */
+const purgeExpiredTasks = async () => {
+  try {
+    const purged = await Task.purgeTrashed(TRASH_RETENTION_DAYS);
+    if (purged) {
+      console.log(`🗑️  Purged ${purged} task(s) from the trash`);
+    }
+  } catch (error) {
+    console.error('Trash purge error:', error);
+  }
+};
+
+/**
+ * Run the purge now and then every PURGE_INTERVAL_MS
+ * The timer is unref'd so it never keeps the process alive on its own
+ */
+const startTrashPurge = () => {
+  if (TRASH_RETENTION_DAYS <= 0) return;
+
+  purgeExpiredTasks();
+  setInterval(purgeExpiredTasks, PURGE_INTERVAL_MS).unref();
+};
+
+module.exports = {
+  TRASH_RETENTION_DAYS,
+  purgeDate,
+  purgeExpiredTasks,
+  startTrashPurge
+};
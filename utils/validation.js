@@ -1,4 +1,8 @@
-const { body, query, validationResult } = require('express-validator');
+const { body, query, param, validationResult } = require('express-validator');
+const { validateRecurrence } = require('./recurrence');
+const { EXPORT_FORMATS } = require('./taskExport');
+const { IMPORT_FIELDS } = require('./taskImport');
+const { checkUrl } = require('./networkGuard');
 
 /**
  * Validation Rules for User Registration
@@ -43,6 +47,154 @@ const loginValidation = [
     .withMessage('Password is required')
 ];
 
+/**
+ * Validation Rules for requests that only carry an email
+ * (forgot password, resend verification)
+ */
+const emailValidation = [
+  body('email')
+    .trim()
+    .notEmpty()
+    .withMessage('Email is required')
+    .isEmail()
+    .withMessage('Please provide a valid email address')
+    .normalizeEmail()
+];
+
+/**
+ * Validation Rules for Email Verification
+ */
+const verifyEmailValidation = [
+  body('token')
+    .trim()
+    .notEmpty()
+    .withMessage('Token is required')
+];
+
+/**
+ * Validation Rules for Password Reset
+ */
+const resetPasswordValidation = [
+  body('token')
+    .trim()
+    .notEmpty()
+    .withMessage('Token is required'),
+
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required')
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters long')
+];
+
+/**
+ * Validation Rules for Profile Update (any subset of name/email)
+ */
+const updateProfileValidation = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Name must be between 2 and 100 characters'),
+
+  body('email')
+    .optional()
+    .trim()
+    .isEmail()
+    .withMessage('Please provide a valid email address')
+    .normalizeEmail(),
+
+  body()
+    .custom((value) => value && (value.name !== undefined || value.email !== undefined))
+    .withMessage('Provide a name or email to update')
+];
+
+/**
+ * Validation Rules for Password Change
+ */
+const changePasswordValidation = [
+  body('currentPassword')
+    .notEmpty()
+    .withMessage('Current password is required'),
+
+  body('newPassword')
+    .notEmpty()
+    .withMessage('New password is required')
+    .isLength({ min: 6 })
+    .withMessage('New password must be at least 6 characters long')
+];
+
+/**
+ * Validation Rules for Account Deletion
+ */
+const deleteAccountValidation = [
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required to delete your account')
+];
+
+/**
+ * Fields a task create/update may carry
+ */
+const TASK_FIELDS = [
+  'title',
+  'description',
+  'priority',
+  'endDate',
+  'status',
+  'projectId',
+  'assigneeId',
+  'parentId',
+  'tagIds',
+  'recurrence'
+];
+
+/**
+ * Rules for the optional task fields, shared by full and partial updates
+ */
+const optionalTaskRules = [
+  body('status')
+    .optional()
+    .isIn(['todo', 'in_progress', 'done', 'cancelled'])
+    .withMessage('Status must be todo, in_progress, done, or cancelled'),
+
+  body('projectId')
+    .optional({ values: 'null' })
+    .isInt({ min: 1 })
+    .withMessage('Project ID must be a positive integer')
+    .toInt(),
+
+  body('assigneeId')
+    .optional({ values: 'null' })
+    .isInt({ min: 1 })
+    .withMessage('Assignee ID must be a positive integer')
+    .toInt(),
+
+  body('parentId')
+    .optional({ values: 'null' })
+    .isInt({ min: 1 })
+    .withMessage('Parent ID must be a positive integer')
+    .toInt(),
+
+  body('tagIds')
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage('Tag IDs must be an array of at most 20 IDs'),
+
+  body('tagIds.*')
+    .isInt({ min: 1 })
+    .withMessage('Tag IDs must be positive integers')
+    .toInt(),
+
+  body('recurrence')
+    .optional({ values: 'null' })
+    .custom((rule) => {
+      const error = validateRecurrence(rule);
+      if (error) throw new Error(error);
+      return true;
+    })
+];
+
 /**
  * Validation Rules for Task Creation/Update
  */
@@ -69,13 +221,131 @@ const taskValidation = [
     .withMessage('End date is required')
     .isISO8601()
     .withMessage('End date must be a valid date (YYYY-MM-DD)')
-    .toDate()
+    .toDate(),
+
+  ...optionalTaskRules
 ];
 
 /**
- * Validation Rules for Pagination and Sorting Query Parameters
+ * Run taskValidation against a task object outside of a request body
+ * Sanitizers (trim, toInt, toDate) apply to the object in place
+ * @param {Object} task - Task fields
+ * @returns {Promise<Object[]>} Errors as { field, message }
  */
-const paginationValidation = [
+const validateTaskObject = async (task) => {
+  const item = { body: task };
+  await Promise.all(taskValidation.map((rule) => rule.run(item)));
+
+  return validationResult(item)
+    .array()
+    .map((err) => ({ field: err.path, message: err.msg }));
+};
+
+/**
+ * Validation Rules for Partial Task Update (PATCH, any subset of fields)
+ * null clears description, projectId, parentId, assigneeId and recurrence
+ */
+const taskPatchValidation = [
+  body('title')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Title cannot be empty')
+    .isLength({ max: 255 })
+    .withMessage('Title cannot exceed 255 characters'),
+
+  body('description')
+    .optional({ values: 'null' })
+    .isString()
+    .withMessage('Description must be a string')
+    .trim(),
+
+  body('priority')
+    .optional()
+    .isIn(['low', 'medium', 'high'])
+    .withMessage('Priority must be low, medium, or high'),
+
+  body('endDate')
+    .optional()
+    .isISO8601()
+    .withMessage('End date must be a valid date (YYYY-MM-DD)')
+    .toDate(),
+
+  ...optionalTaskRules,
+
+  body()
+    .custom((value) => value && TASK_FIELDS.some((field) => value[field] !== undefined))
+    .withMessage(`Provide at least one of: ${TASK_FIELDS.join(', ')}`)
+];
+
+/**
+ * Bulk task operations
+ * create/update carry a `task` object checked with taskValidation,
+ * priority/status carry the new value, everything but create needs an `id`
+ */
+const BULK_MAX_OPERATIONS = 100;
+const BULK_OPERATIONS = ['create', 'update', 'delete', 'priority', 'status'];
+
+/**
+ * Get the op of the operation a bulk field path belongs to
+ * @param {Object} req - Request
+ * @param {string} path - Field path such as operations[3].id
+ * @returns {string|undefined} Operation type
+ */
+const bulkOpAt = (req, path) => {
+  const match = /^operations\[(\d+)\]/.exec(path);
+  const operation = match && req.body.operations[Number(match[1])];
+  return operation ? operation.op : undefined;
+};
+
+/**
+ * Validation Rules for Bulk Task Operations
+ */
+const bulkTaskValidation = [
+  body('operations')
+    .isArray({ min: 1, max: BULK_MAX_OPERATIONS })
+    .withMessage(`Operations must be an array of 1 to ${BULK_MAX_OPERATIONS} items`),
+
+  body('operations.*.op')
+    .isIn(BULK_OPERATIONS)
+    .withMessage(`Op must be ${BULK_OPERATIONS.slice(0, -1).join(', ')}, or ${BULK_OPERATIONS.slice(-1)}`),
+
+  body('operations.*.id')
+    .if((value, { req, path }) => bulkOpAt(req, path) !== 'create')
+    .isInt({ min: 1 })
+    .withMessage('Task ID must be a positive integer')
+    .toInt(),
+
+  body('operations.*.priority')
+    .if((value, { req, path }) => bulkOpAt(req, path) === 'priority')
+    .isIn(['low', 'medium', 'high'])
+    .withMessage('Priority must be low, medium, or high'),
+
+  body('operations.*.status')
+    .if((value, { req, path }) => bulkOpAt(req, path) === 'status')
+    .isIn(['todo', 'in_progress', 'done', 'cancelled'])
+    .withMessage('Status must be todo, in_progress, done, or cancelled'),
+
+  // Run the single-task rules against each task object; sanitizers
+  // (trim, toInt, toDate) apply to the object in place
+  body('operations.*.task')
+    .if((value, { req, path }) => ['create', 'update'].includes(bulkOpAt(req, path)))
+    .isObject()
+    .withMessage('Task must be an object')
+    .bail()
+    .custom(async (task) => {
+      const errors = await validateTaskObject(task);
+      if (errors.length) {
+        throw new Error(errors.map((err) => `${err.field}: ${err.message}`).join('; '));
+      }
+      return true;
+    })
+];
+
+/**
+ * Validation Rules for page/limit Query Parameters (history, comments)
+ */
+const pageValidation = [
   query('page')
     .optional()
     .isInt({ min: 1 })
@@ -86,17 +356,479 @@ const paginationValidation = [
     .optional()
     .isInt({ min: 1, max: 100 })
     .withMessage('Limit must be between 1 and 100')
+    .toInt()
+];
+
+/**
+ * Validation Rules for Listing Notifications
+ */
+const notificationListValidation = [
+  ...pageValidation,
+
+  query('unread')
+    .optional()
+    .isBoolean()
+    .withMessage('Unread must be true or false')
+    .toBoolean()
+];
+
+/**
+ * Validation Rules for Previewing Task Occurrences
+ */
+const occurrencesValidation = [
+  query('count')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Count must be between 1 and 50')
+    .toInt()
+];
+
+/**
+ * Split a multi-value query parameter into an array
+ * Accepts both ?priority=high,low and ?priority=high&priority=low
+ */
+const toList = (value) =>
+  (Array.isArray(value) ? value : String(value).split(','))
+    .map((item) => String(item).trim())
+    .filter(Boolean);
+
+/**
+ * Optional query parameter that must be given at most once
+ * A repeated parameter (?q=a&q=b) arrives as an array, which most validators
+ * would check item by item and then pass on to the query as a list
+ */
+const singleQuery = (field) =>
+  query(field).optional().isString().withMessage(`${field} must be given only once`).bail();
+
+/**
+ * Validation Rules for Pagination, Sorting and Filter Query Parameters
+ */
+const paginationValidation = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer')
     .toInt(),
 
-  query('sortBy')
+  query('limit')
     .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+    .toInt(),
+
+  singleQuery('sortBy')
     .isIn(['end_date', 'priority', 'created_at'])
     .withMessage('SortBy must be end_date, priority, or created_at'),
 
-  query('order')
-    .optional()
+  singleQuery('order')
     .isIn(['asc', 'desc'])
-    .withMessage('Order must be asc or desc')
+    .withMessage('Order must be asc or desc'),
+
+  singleQuery('status')
+    .isIn(['todo', 'in_progress', 'done', 'cancelled'])
+    .withMessage('Status must be todo, in_progress, done, or cancelled'),
+
+  query('priority')
+    .optional()
+    .customSanitizer(toList)
+    .custom((values) => values.every((value) => ['low', 'medium', 'high'].includes(value)))
+    .withMessage('Priority must be a comma-separated list of low, medium, or high'),
+
+  singleQuery('dueBefore')
+    .isISO8601({ strict: true })
+    .withMessage('dueBefore must be a valid date (YYYY-MM-DD)'),
+
+  singleQuery('dueAfter')
+    .isISO8601({ strict: true })
+    .withMessage('dueAfter must be a valid date (YYYY-MM-DD)'),
+
+  singleQuery('overdue')
+    .isBoolean()
+    .withMessage('Overdue must be true or false')
+    .toBoolean(),
+
+  // Kept as given: a bare date means the end of that day (see buildTaskFilters)
+  singleQuery('createdBefore')
+    .isISO8601({ strict: true, strictSeparator: true })
+    .withMessage('createdBefore must be a valid date or timestamp')
+    .bail()
+    .custom((value) => !Number.isNaN(Date.parse(value)))
+    .withMessage('createdBefore must be a valid date or timestamp'),
+
+  singleQuery('createdAfter')
+    .isISO8601({ strict: true, strictSeparator: true })
+    .withMessage('createdAfter must be a valid date or timestamp')
+    .bail()
+    .custom((value) => !Number.isNaN(Date.parse(value)))
+    .withMessage('createdAfter must be a valid date or timestamp')
+    .toDate(),
+
+  singleQuery('q')
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Search query must be between 1 and 200 characters'),
+
+  singleQuery('projectId')
+    .custom((value) => value === 'none' || /^[1-9]\d*$/.test(value))
+    .withMessage('Project ID must be a positive integer or "none"'),
+
+  singleQuery('parentId')
+    .custom((value) => value === 'none' || /^[1-9]\d*$/.test(value))
+    .withMessage('Parent ID must be a positive integer or "none"'),
+
+  query('tags')
+    .optional()
+    .customSanitizer(toList)
+    .custom((values) => values.every((value) => /^[1-9]\d*$/.test(value)))
+    .withMessage('Tags must be a comma-separated list of tag IDs')
+    .customSanitizer((values) => values.map(Number)),
+
+  singleQuery('tagMatch')
+    .isIn(['any', 'all'])
+    .withMessage('tagMatch must be any or all')
+];
+
+/**
+ * Validation Rules for Importing Tasks (multipart form fields)
+ * mapping is a JSON object of { taskField: "Column name" }
+ */
+const importValidation = [
+  body('dryRun')
+    .optional()
+    .isBoolean()
+    .withMessage('dryRun must be true or false')
+    .toBoolean(),
+
+  body('mapping')
+    .optional()
+    .customSanitizer((value) => {
+      if (typeof value !== 'string') return value;
+      try {
+        return JSON.parse(value);
+      } catch (error) {
+        return value;
+      }
+    })
+    .custom(
+      (mapping) =>
+        mapping !== null &&
+        typeof mapping === 'object' &&
+        !Array.isArray(mapping) &&
+        Object.entries(mapping).every(
+          ([field, column]) => IMPORT_FIELDS.includes(field) && typeof column === 'string' && column !== ''
+        )
+    )
+    .withMessage(`Mapping must be a JSON object mapping ${IMPORT_FIELDS.join(', ')} to column names`)
+];
+
+/**
+ * Validation Rules for Exporting Tasks
+ * Takes the sort and filter options of the task listing
+ */
+const exportValidation = [
+  singleQuery('format')
+    .isIn(EXPORT_FORMATS)
+    .withMessage(`Format must be ${EXPORT_FORMATS.join(', ')}`),
+
+  ...paginationValidation
+];
+
+/**
+ * Validation Rules for Task Statistics
+ */
+const statsValidation = [
+  singleQuery('days')
+    .isInt({ min: 1, max: 365 })
+    .withMessage('Days must be between 1 and 365')
+    .toInt()
+];
+
+/**
+ * Validation Rules for Project Creation/Update
+ */
+const projectValidation = [
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('Name is required')
+    .isLength({ max: 100 })
+    .withMessage('Name cannot exceed 100 characters'),
+
+  body('description')
+    .optional({ values: 'null' })
+    .trim(),
+
+  body('color')
+    .optional({ values: 'null' })
+    .matches(/^#[0-9a-fA-F]{6}$/)
+    .withMessage('Color must be a hex color like #1a2b3c')
+];
+
+/**
+ * Validation Rules for Checklist Item Creation
+ */
+const checklistItemValidation = [
+  body('content')
+    .trim()
+    .notEmpty()
+    .withMessage('Content is required')
+    .isLength({ max: 500 })
+    .withMessage('Content cannot exceed 500 characters'),
+
+  body('isChecked')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('isChecked must be true or false'),
+
+  body('position')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Position must be a non-negative integer')
+    .toInt()
+];
+
+/**
+ * Validation Rules for Checklist Item Update (any subset of fields)
+ */
+const checklistItemUpdateValidation = [
+  body('content')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Content cannot be empty')
+    .isLength({ max: 500 })
+    .withMessage('Content cannot exceed 500 characters'),
+
+  body('isChecked')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('isChecked must be true or false'),
+
+  body('position')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Position must be a non-negative integer')
+    .toInt()
+];
+
+/**
+ * Validation Rules for Checklist Reordering
+ */
+const checklistReorderValidation = [
+  body('itemIds')
+    .isArray({ min: 1 })
+    .withMessage('itemIds must be a non-empty array'),
+
+  body('itemIds.*')
+    .isInt({ min: 1 })
+    .withMessage('Item IDs must be positive integers')
+    .toInt()
+];
+
+/**
+ * Validation Rules for Comment Creation/Update
+ */
+const commentValidation = [
+  body('body')
+    .isString()
+    .withMessage('Comment is required')
+    .trim()
+    .notEmpty()
+    .withMessage('Comment is required')
+    .isLength({ max: 10000 })
+    .withMessage('Comment cannot exceed 10000 characters')
+];
+
+/**
+ * Reject URLs pointing at private or internal addresses
+ * (see utils/networkGuard; requests are checked again when sent)
+ */
+const publicUrl = async (url) => {
+  const error = await checkUrl(url);
+  if (error) throw new Error(error);
+  return true;
+};
+
+/**
+ * Validation Rules for Reminders
+ * A webhook reminder needs an http(s) target URL, not pointing at a private
+ * or internal address; other channels take none
+ */
+const reminderValidation = [
+  body('daysBefore')
+    .optional()
+    .isInt({ min: 0, max: 365 })
+    .withMessage('Days before must be a whole number between 0 and 365')
+    .toInt(),
+
+  body('channel')
+    .optional()
+    .isIn(['email', 'webhook', 'in_app'])
+    .withMessage('Channel must be email, webhook or in_app'),
+
+  body('target')
+    .if(body('channel').equals('webhook'))
+    .isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: false })
+    .withMessage('Webhook reminders need a valid http(s) target URL')
+    .bail()
+    .isLength({ max: 2048 })
+    .withMessage('Target URL cannot exceed 2048 characters')
+    .bail()
+    .custom(publicUrl)
+];
+
+/**
+ * Validation Rules for Webhooks
+ * Shared by create (url required) and update (every field optional)
+ */
+const WEBHOOK_EVENTS = ['task.created', 'task.updated', 'task.deleted'];
+
+const optionalWebhookRules = [
+  body('description')
+    .optional({ nullable: true })
+    .isString()
+    .trim()
+    .isLength({ max: 255 })
+    .withMessage('Description cannot exceed 255 characters'),
+
+  body('events')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('Events must be a non-empty array'),
+
+  body('events.*')
+    .isIn(WEBHOOK_EVENTS)
+    .withMessage(`Each event must be one of: ${WEBHOOK_EVENTS.join(', ')}`),
+
+  body('active')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('Active must be true or false')
+];
+
+const webhookUrlRule = () =>
+  body('url')
+    .trim()
+    .isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: false })
+    .withMessage('URL must be a valid http(s) URL')
+    .bail()
+    .isLength({ max: 2048 })
+    .withMessage('URL cannot exceed 2048 characters')
+    .bail()
+    .custom(publicUrl);
+
+const webhookValidation = [webhookUrlRule(), ...optionalWebhookRules];
+
+const webhookUpdateValidation = [
+  webhookUrlRule().optional(),
+  ...optionalWebhookRules,
+
+  body('rotateSecret')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('rotateSecret must be true or false')
+];
+
+/**
+ * Validation Rules for Tag Creation/Update
+ */
+const tagValidation = [
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('Name is required')
+    .isLength({ max: 50 })
+    .withMessage('Name cannot exceed 50 characters'),
+
+  body('color')
+    .optional()
+    .matches(/^#[0-9a-fA-F]{6}$/)
+    .withMessage('Color must be a hex color like #1a2b3c')
+];
+
+/**
+ * Validation Rules for Project Listing Query Parameters
+ */
+const projectListValidation = [
+  query('includeArchived')
+    .optional()
+    .isBoolean()
+    .withMessage('includeArchived must be true or false')
+    .toBoolean()
+];
+
+/**
+ * Validation rule for a numeric route parameter
+ * @param {string} name - Route parameter name
+ */
+const intParam = (name) =>
+  param(name)
+    .isInt({ min: 1 })
+    .withMessage(`${name === 'id' ? 'ID' : name} must be a positive integer`)
+    .toInt();
+
+/**
+ * Validation Rules for numeric :id route parameters
+ */
+const idParamValidation = [intParam('id')];
+
+/**
+ * Validation Rules for /projects/:id/members/:userId
+ */
+const memberParamValidation = [intParam('id'), intParam('userId')];
+
+/**
+ * Validation Rules for /projects/:id/invitations/:invitationId
+ */
+const invitationParamValidation = [intParam('id'), intParam('invitationId')];
+
+/**
+ * Validation Rules for /tasks/:id/checklist/:itemId
+ */
+const checklistParamValidation = [intParam('id'), intParam('itemId')];
+
+/**
+ * Validation Rules for /tasks/:id/comments/:commentId
+ */
+const commentParamValidation = [intParam('id'), intParam('commentId')];
+
+/**
+ * Validation Rules for /tasks/:id/attachments/:attachmentId
+ */
+const attachmentParamValidation = [intParam('id'), intParam('attachmentId')];
+
+/**
+ * Validation Rules for /tasks/:id/reminders/:reminderId
+ */
+const reminderParamValidation = [intParam('id'), intParam('reminderId')];
+
+/**
+ * Validation Rules for Project Invitations
+ */
+const invitationValidation = [
+  body('email')
+    .trim()
+    .notEmpty()
+    .withMessage('Email is required')
+    .isEmail()
+    .withMessage('Please provide a valid email address')
+    .normalizeEmail(),
+
+  body('role')
+    .optional()
+    .isIn(['owner', 'editor', 'viewer'])
+    .withMessage('Role must be owner, editor, or viewer')
+];
+
+/**
+ * Validation Rules for Changing a Member's Role
+ */
+const memberRoleValidation = [
+  body('role')
+    .notEmpty()
+    .withMessage('Role is required')
+    .isIn(['owner', 'editor', 'viewer'])
+    .withMessage('Role must be owner, editor, or viewer')
 ];
 
 /**
@@ -123,8 +855,42 @@ const validate = (req, res, next) => {
 module.exports = {
   registerValidation,
   loginValidation,
+  emailValidation,
+  verifyEmailValidation,
+  resetPasswordValidation,
+  updateProfileValidation,
+  changePasswordValidation,
+  deleteAccountValidation,
   taskValidation,
+  taskPatchValidation,
+  occurrencesValidation,
+  pageValidation,
+  bulkTaskValidation,
   paginationValidation,
+  exportValidation,
+  importValidation,
+  statsValidation,
+  validateTaskObject,
+  projectValidation,
+  projectListValidation,
+  tagValidation,
+  checklistItemValidation,
+  checklistItemUpdateValidation,
+  checklistReorderValidation,
+  idParamValidation,
+  memberParamValidation,
+  invitationParamValidation,
+  checklistParamValidation,
+  commentValidation,
+  commentParamValidation,
+  attachmentParamValidation,
+  reminderValidation,
+  reminderParamValidation,
+  notificationListValidation,
+  webhookValidation,
+  webhookUpdateValidation,
+  invitationValidation,
+  memberRoleValidation,
   validate
 };
 
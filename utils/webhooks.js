@@ -0,0 +1,205 @@
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { Webhook, WebhookDelivery } = require('../models');
+const { postJson } = require('./notifications/webhookChannel');
+const { taskAudience } = require('./realtime');
+
+/**
+ * Outgoing Webhooks
+ * Task events are queued as webhook_deliveries for every active webhook
+ * subscribed to the event whose owner can see the task, then POSTed in
+ * the background. Each request carries:
+ * - X-Webhook-Id:        delivery ID (the same on every retry)
+ * - X-Webhook-Event:     event name, e.g. task.updated
+ * - X-Webhook-Timestamp: Unix time (seconds) of this attempt
+ * - X-Webhook-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<body>" with the webhook secret>
+ *
+ * Failed deliveries are retried after 1, 2, 4, 8 and 16 minutes by a job
+ * that runs every WEBHOOK_RETRY_INTERVAL_SECONDS (default 30, 0 disables).
+ */
+
+const parsedInterval = parseInt(process.env.WEBHOOK_RETRY_INTERVAL_SECONDS);
+const WEBHOOK_RETRY_INTERVAL_SECONDS = Number.isNaN(parsedInterval) ? 30 : parsedInterval;
+
+const MAX_ATTEMPTS = 6;
+const BATCH_SIZE = 50;
+
+// A delivery left pending or sending this long was interrupted (e.g. by a restart)
+const STALE_MS = 10 * 60 * 1000;
+
+/**
+ * Generate a webhook signing secret
+ * @returns {string} Secret
+ */
+const generateWebhookSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+/**
+ * Sign a webhook body
+ * @param {string} secret - Webhook secret
+ * @param {number} timestamp - Unix time in seconds
+ * @param {string} body - Raw JSON body
+ * @returns {string} Signature header value
+ */
+const signPayload = (secret, timestamp, body) =>
+  `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+
+/**
+ * Send one delivery and store the outcome
+ * The delivery is claimed with a conditional update first, so a retry job
+ * and an immediate attempt never send it twice at the same time
+ * @param {WebhookDelivery} delivery - Delivery to send
+ * @param {Webhook} webhook - Its webhook
+ * @returns {Promise<WebhookDelivery|null>} Updated delivery, or null if someone else claimed it
+ */
+const attemptDelivery = async (delivery, webhook) => {
+  const [claimed] = await WebhookDelivery.update(
+    { status: 'sending', attempts: delivery.attempts + 1 },
+    { where: { id: delivery.id, status: delivery.status, attempts: delivery.attempts } }
+  );
+  if (!claimed) return null;
+  delivery.set({ status: 'sending', attempts: delivery.attempts + 1 });
+
+  const body = JSON.stringify({
+    id: delivery.id,
+    event: delivery.event,
+    createdAt: delivery.createdAt,
+    data: delivery.payload
+  });
+  const timestamp = Math.floor(Date.now() / 1000);
+  const startedAt = Date.now();
+
+  try {
+    const responseStatus = await postJson(webhook.url, body, {
+      'X-Webhook-Id': String(delivery.id),
+      'X-Webhook-Event': delivery.event,
+      'X-Webhook-Timestamp': String(timestamp),
+      'X-Webhook-Signature': signPayload(webhook.secret, timestamp, body)
+    });
+
+    return await delivery.update({
+      status: 'delivered',
+      responseStatus,
+      lastError: null,
+      durationMs: Date.now() - startedAt,
+      deliveredAt: new Date(),
+      nextAttemptAt: null
+    });
+  } catch (error) {
+    const retry = delivery.attempts < MAX_ATTEMPTS;
+
+    // Back off 1, 2, 4, 8, 16 minutes between attempts
+    return delivery.update({
+      status: 'failed',
+      responseStatus: error.statusCode || null,
+      lastError: error.message,
+      durationMs: Date.now() - startedAt,
+      nextAttemptAt: retry ? new Date(Date.now() + 2 ** (delivery.attempts - 1) * 60 * 1000) : null
+    });
+  }
+};
+
+/**
+ * Queue a delivery for a webhook and send it right away in the background
+ * @param {Webhook} webhook - Target webhook
+ * @param {string} event - Event name
+ * @param {Object} payload - Event data
+ * @returns {Promise<WebhookDelivery>} Queued delivery
+ */
+const queueDelivery = async (webhook, event, payload) => {
+  const delivery = await WebhookDelivery.create({ webhookId: webhook.id, event, payload });
+
+  attemptDelivery(delivery, webhook).catch((error) => console.error('Webhook delivery error:', error));
+  return delivery;
+};
+
+/**
+ * Send a task event to the webhooks subscribed to it
+ * Call after the change is committed; errors are logged, never thrown,
+ * so a webhook problem cannot fail the request that changed the task
+ * @param {string} event - task.created, task.updated or task.deleted
+ * @param {Task} task - Task the event is about
+ * @param {Object} data - Event data (task, actor)
+ */
+const emitTaskEvent = async (event, task, data) => {
+  try {
+    const userIds = await taskAudience(task);
+    const webhooks = await Webhook.findAll({
+      where: {
+        userId: { [Op.in]: userIds },
+        active: true,
+        events: { [Op.contains]: [event] }
+      }
+    });
+
+    for (const webhook of webhooks) {
+      await queueDelivery(webhook, event, data);
+    }
+  } catch (error) {
+    console.error('Webhook emit error:', error);
+  }
+};
+
+/**
+ * Retry failed deliveries that are due and resume interrupted ones
+ * @returns {Promise<number>} Number of deliveries attempted
+ */
+const retryDeliveries = async () => {
+  const now = new Date();
+  const stale = new Date(now.getTime() - STALE_MS);
+
+  const deliveries = await WebhookDelivery.findAll({
+    where: {
+      [Op.or]: [
+        { status: 'failed', attempts: { [Op.lt]: MAX_ATTEMPTS }, nextAttemptAt: { [Op.lte]: now } },
+        { status: ['pending', 'sending'], updatedAt: { [Op.lt]: stale } }
+      ]
+    },
+    include: [{ model: Webhook, as: 'webhook', where: { active: true } }],
+    order: [['id', 'ASC']],
+    limit: BATCH_SIZE
+  });
+
+  for (const delivery of deliveries) {
+    await attemptDelivery(delivery, delivery.webhook);
+  }
+
+  return deliveries.length;
+};
+
+let running = false;
+
+/**
+ * Run one retry pass, logging (not throwing) on failure
+ */
+const processRetries = async () => {
+  if (running) return;
+  running = true;
+
+  try {
+    await retryDeliveries();
+  } catch (error) {
+    console.error('Webhook retry error:', error);
+  } finally {
+    running = false;
+  }
+};
+
+/**
+ * Run the retry job every WEBHOOK_RETRY_INTERVAL_SECONDS
+ * The timer is unref'd so it never keeps the process alive on its own
+ */
+const startWebhookRetries = () => {
+  if (WEBHOOK_RETRY_INTERVAL_SECONDS <= 0) return;
+
+  processRetries();
+  setInterval(processRetries, WEBHOOK_RETRY_INTERVAL_SECONDS * 1000).unref();
+};
+
+module.exports = {
+  MAX_ATTEMPTS,
+  generateWebhookSecret,
+  signPayload,
+  attemptDelivery,
+  emitTaskEvent,
+  startWebhookRetries
+};